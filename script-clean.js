@@ -17,6 +17,41 @@ const APP_CONFIG = {
         enabled: true,
         trackingKey: 'linkpro_analytics',
         sessionDuration: 30 * 60 * 1000, // 30 minutes
+        debug: false,
+        impressionThreshold: 0.5, // share of a link card that must be on screen
+        impressionDelay: 1000, // for this long before it counts as an impression
+        storage: {
+            dbName: 'linkpro',
+            storeName: 'events',
+            maxEvents: 5000,
+            maxAgeDays: 90,
+            writeDelay: 1000, // batch writes made within this window
+        },
+        transport: {
+            endpoint: null, // e.g. 'https://collect.example.com/events'; null keeps events local
+            queueKey: 'linkpro_analytics_queue',
+            batchSize: 20,
+            flushInterval: 10 * 1000,
+            maxRetries: 5,
+            retryBaseDelay: 1000,
+            retryMaxDelay: 60 * 1000,
+        },
+        attribution: {
+            storageKey: 'linkpro_attribution', // sessionStorage
+            maxLength: 200,
+            // Ad click IDs, and the source they imply when there is no utm_source
+            clickIds: {
+                gclid: 'google',
+                gbraid: 'google',
+                wbraid: 'google',
+                dclid: 'google',
+                fbclid: 'facebook',
+                msclkid: 'bing',
+                ttclid: 'tiktok',
+                twclid: 'twitter',
+                li_fat_id: 'linkedin',
+            },
+        },
     },
     animations: {
         enabled: true,
@@ -28,10 +63,80 @@ const APP_CONFIG = {
         prefetchLinks: true,
         imageOptimization: true,
     },
+    privacy: {
+        consentKey: 'linkpro_consent',
+        consentVersion: 1, // bump to ask visitors again after the categories change
+        honorBrowserSignals: true, // Do Not Track and Global Privacy Control
+        anonymize: false, // coarsen device info and strip query strings from URLs
+        maxPendingEvents: 100,
+        policyUrl: null,
+    },
     accessibility: {
         reducedMotion: true,
         focusManagement: true,
         keyboardNavigation: true,
+    },
+    profile: {
+        url: 'profile.json',
+        embeddedId: 'linkpro-profile', // <script type="application/json"> written by scripts/build.js
+        maxErrorsShown: 3,
+    },
+    template: {
+        default: 'clean', // used when the page has no <html data-template>
+    },
+    editor: {
+        queryParam: 'edit',
+        storageKey: 'linkpro_profile',
+    },
+    dashboard: {
+        queryParam: 'analytics',
+        defaultRangeDays: 30,
+    },
+    audit: {
+        queryParam: 'audit',
+        minTargetSize: 24, // CSS pixels, WCAG 2.2 target size (minimum)
+    },
+    linkRules: {
+        countdownInterval: 60 * 1000,
+    },
+    forms: {
+        queueKey: 'linkpro_leads_queue',
+        honeypot: 'homepage_url', // hidden field only bots fill in
+        maxQueued: 50,
+        maxRetries: 8,
+        retryBaseDelay: 2000,
+        retryMaxDelay: 5 * 60 * 1000,
+    },
+    share: {
+        targets: ['x', 'facebook', 'linkedin', 'whatsapp', 'telegram', 'email'], // share menu, in order
+        qr: {
+            errorCorrection: 'M', // 'H' is used when the code has a logo
+            margin: 4, // quiet zone, in modules
+            pngScale: 12, // pixels per module in downloaded PNGs
+            logoSize: 0.2, // logo width as a share of the code
+            minContrast: 4.5, // dark modules against the background
+        },
+    },
+    search: {
+        minLinks: 6, // pages with fewer cards get no search box unless the profile asks for one
+        statusDelay: 500, // announce the result count once typing pauses
+        trackDelay: 1500, // a search without results counts once it has stood this long
+        maxQueryLength: 100,
+    },
+    i18n: {
+        defaultLocale: 'en', // when the profile has no `locale`
+        queryParam: 'lang', // ?lang=es picks a language, e.g. in shared links
+        storageKey: 'linkpro_locale', // the visitor's choice from the language switcher
+        detect: true, // follow the browser's languages; off in edit mode
+    },
+    experiments: {
+        visitorKey: 'linkpro_visitor',
+        significanceLevel: 0.05,
+    },
+    offline: {
+        enabled: true,
+        serviceWorker: 'sw.js',
+        updateCheckInterval: 60 * 60 * 1000,
     }
 };
 
@@ -69,6 +174,52 @@ const Utils = {
         return `linkpro_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
     },
 
+    /**
+     * Escape text for safe insertion into HTML markup and attributes
+     */
+    escapeHtml(value) {
+        return String(value ?? '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    },
+
+    /**
+     * Turn free text into a lowercase, dash-separated identifier
+     */
+    slugify(value) {
+        return String(value ?? '')
+            .toLowerCase()
+            .normalize('NFKD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .replace(/[^a-z0-9]+/g, '-')
+            .replace(/^-+|-+$/g, '')
+            .slice(0, 64);
+    },
+
+    /**
+     * Trigger a browser download of a JSON document
+     */
+    downloadJson(data, filename) {
+        this.downloadBlob(new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' }), filename);
+    },
+
+    /**
+     * Trigger a browser download of a Blob
+     */
+    downloadBlob(blob, filename) {
+        const url = URL.createObjectURL(blob);
+
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = filename;
+        a.click();
+
+        URL.revokeObjectURL(url);
+    },
+
     /**
      * Format number with animation
      */
@@ -83,10 +234,83 @@ const Utils = {
                 current = target;
                 clearInterval(timer);
             }
-            element.textContent = Math.floor(current).toLocaleString();
+            element.textContent = I18n.formatNumber(Math.floor(current));
         }, 16);
     },
 
+    /**
+     * Remove the query string and fragment from a URL
+     */
+    stripQuery(url) {
+        try {
+            const parsed = new URL(url, window.location.href);
+            return `${parsed.origin}${parsed.pathname}`;
+        } catch (e) {
+            return String(url).split(/[?#]/)[0];
+        }
+    },
+
+    /**
+     * Reduce device info to coarse, low-entropy fields
+     */
+    coarsenDeviceInfo(device) {
+        const roundTo = (value, step) => Math.round((value || 0) / step) * step;
+        return {
+            type: /Mobi|Android|iPhone/i.test(device.userAgent || '') ? 'mobile' : 'desktop',
+            language: (device.language || '').split('-')[0] || undefined,
+            viewport: {
+                width: roundTo(device.viewport?.width, 100),
+                height: roundTo(device.viewport?.height, 100),
+            },
+        };
+    },
+
+    /**
+     * Parse a #rgb, #rrggbb or rgb() color into [r, g, b], or null
+     */
+    parseColor(value) {
+        const color = String(value).trim();
+        const hex = color.match(/^#([0-9a-f]{3}|[0-9a-f]{6})$/i);
+        if (hex) {
+            const digits = hex[1].length === 3 ? hex[1].replace(/./g, '$&$&') : hex[1];
+            return [0, 2, 4].map(i => parseInt(digits.slice(i, i + 2), 16));
+        }
+
+        const rgb = color.match(/^rgba?\(\s*(\d+)[\s,]+(\d+)[\s,]+(\d+)/i);
+        return rgb ? rgb.slice(1, 4).map(Number) : null;
+    },
+
+    /**
+     * WCAG 2.1 contrast ratio between two colors, or null if either is not a plain color
+     */
+    contrastRatio(foreground, background) {
+        const luminance = (rgb) => {
+            const [r, g, b] = rgb.map(channel => {
+                const c = channel / 255;
+                return c <= 0.03928 ? c / 12.92 : ((c + 0.055) / 1.055) ** 2.4;
+            });
+            return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+        };
+
+        const fg = this.parseColor(foreground);
+        const bg = this.parseColor(background);
+        if (!fg || !bg) return null;
+
+        const [lighter, darker] = [luminance(fg), luminance(bg)].sort((a, b) => b - a);
+        return (lighter + 0.05) / (darker + 0.05);
+    },
+
+    /**
+     * Mix a color toward an [r, g, b] target, returning a hex color
+     */
+    mixColors(color, target, amount) {
+        const rgb = this.parseColor(color);
+        if (!rgb) return color;
+
+        return `#${rgb.map((channel, i) => Math.round(channel + (target[i] - channel) * amount)
+            .toString(16).padStart(2, '0')).join('')}`;
+    },
+
     /**
      * Get device information
      */
@@ -109,515 +333,8275 @@ const Utils = {
 };
 
 // =============================================================================
-// Analytics Module
+// Internationalization
 // =============================================================================
 
-const Analytics = {
+// Interface text by language. A locale without an entry of its own uses its
+// base language ("pt-BR" → "pt"), then English; profiles add languages and
+// override single messages in `translations.<locale>.messages`. Plural
+// messages have one key per Intl.PluralRules category, e.g. "form.fix.one".
+const I18N_MESSAGES = {
+    en: {
+        'app.skipLink': 'Skip to main content',
+        'app.initFailed': 'Application failed to initialize',
+        'nav.toggle': 'Menu',
+        'nav.title': 'On this page',
+        'nav.close': 'Close menu',
+        'language.label': 'Language',
+        'consent.title': 'Your privacy',
+        'consent.text': 'Choose what this page may record. Nothing optional is stored until you decide.',
+        'consent.policy': 'Privacy policy',
+        'consent.signal': 'Your browser asks sites not to track you, so optional categories are off unless you turn them on.',
+        'consent.categories': 'Consent categories',
+        'consent.reject': 'Reject all',
+        'consent.customize': 'Customize',
+        'consent.save': 'Save choices',
+        'consent.accept': 'Accept all',
+        'consent.purge': 'Withdraw consent and delete my data',
+        'consent.settings': 'Privacy settings',
+        'consent.essential.label': 'Essential',
+        'consent.essential.description': 'Remembers your theme, language and privacy choices. Always on.',
+        'consent.analytics.label': 'Analytics',
+        'consent.analytics.description': 'Counts page views and link clicks so the owner knows which links are useful.',
+        'consent.performance.label': 'Performance',
+        'consent.performance.description': 'Measures how fast the page loads on your device.',
+        'consent.media.label': 'Embedded media',
+        'consent.media.description': 'Loads videos, music and posts from YouTube, Spotify and others, which may set their own cookies.',
+        'theme.label': 'Color theme',
+        'theme.light': 'Light',
+        'theme.dark': 'Dark',
+        'theme.system': 'System',
+        'search.label': 'Search links',
+        'search.placeholder': 'Search links',
+        'search.filters': 'Filter by category',
+        'search.all': 'All',
+        'search.results.one': '1 link found',
+        'search.results.other': '{count} links found',
+        'search.none': 'No links match “{query}”',
+        'share.button': 'Share',
+        'share.qr': 'QR code',
+        'share.link': 'Share {title}',
+        'share.titleProfile': 'Share this page',
+        'share.titleLink': 'Share “{title}”',
+        'share.close': 'Close share menu',
+        'share.address': 'Address to share',
+        'share.copy': 'Copy',
+        'share.targets': 'Share to',
+        'share.more': 'More apps…',
+        'share.scan': 'Scan to open on another device',
+        'share.copied': 'Link copied',
+        'share.copyManually': 'Press Ctrl+C (⌘C on a Mac) to copy the selected link',
+        'share.tooLong': 'This address is too long for a QR code.',
+        'share.qrLabel': 'QR code for {url}',
+        'share.noPng': 'This browser cannot create PNG files; download the SVG instead',
+        'share.target.email': 'Email',
+        'embed.play': 'Play {title} ({provider})',
+        'embed.open': 'Open on {provider}',
+        'embed.consentLabel': 'Load content from {provider}',
+        'embed.consentText': 'Playing this loads content from {provider}, which may set cookies and see your IP address.',
+        'embed.playOnce': 'Play',
+        'embed.allow': 'Always allow embeds',
+        'embed.otherSite': 'another site',
+        'embed.fallbackTitle': 'Embedded media',
+        'form.trap': 'Leave this field empty',
+        'form.submit': 'Send',
+        'form.fix.one': 'Please fix the highlighted field.',
+        'form.fix.other': 'Please fix {count} fields.',
+        'form.sending': 'Sending…',
+        'form.offline': 'You are offline. Your message is saved and will be sent when you are back online.',
+        'form.queued': 'Your message could not be sent yet. It is saved and will be sent automatically.',
+        'form.success': 'Thanks! Your message has been sent.',
+        'form.checkRequired': 'Please check "{label}".',
+        'form.required': '{label} is required.',
+        'form.email': 'Enter an email address like name@example.com.',
+        'form.url': 'Enter a web address starting with https://.',
+        'form.tel': 'Enter a phone number.',
+        'form.tooLong': '{label} is too long.',
+        'form.invalid': '{label} is not valid.',
+        'link.endsIn': 'Ends in {time}',
+        'update.available': 'A new version is available.',
+        'update.availableVersion': 'A new version ({version}) is available.',
+        'update.later': 'Later',
+        'update.refresh': 'Refresh',
+    },
+    es: {
+        'app.skipLink': 'Saltar al contenido principal',
+        'app.initFailed': 'No se pudo iniciar la aplicación',
+        'nav.toggle': 'Menú',
+        'nav.title': 'En esta página',
+        'nav.close': 'Cerrar menú',
+        'language.label': 'Idioma',
+        'consent.title': 'Tu privacidad',
+        'consent.text': 'Elige qué puede registrar esta página. No se guarda nada opcional hasta que decidas.',
+        'consent.policy': 'Política de privacidad',
+        'consent.signal': 'Tu navegador pide a los sitios que no te rastreen, así que las categorías opcionales están desactivadas salvo que las actives.',
+        'consent.categories': 'Categorías de consentimiento',
+        'consent.reject': 'Rechazar todo',
+        'consent.customize': 'Personalizar',
+        'consent.save': 'Guardar selección',
+        'consent.accept': 'Aceptar todo',
+        'consent.purge': 'Retirar el consentimiento y borrar mis datos',
+        'consent.settings': 'Ajustes de privacidad',
+        'consent.essential.label': 'Esenciales',
+        'consent.essential.description': 'Recuerdan tu tema, tu idioma y tus opciones de privacidad. Siempre activas.',
+        'consent.analytics.label': 'Analítica',
+        'consent.analytics.description': 'Cuenta las visitas y los clics en enlaces para que el propietario sepa qué enlaces son útiles.',
+        'consent.performance.label': 'Rendimiento',
+        'consent.performance.description': 'Mide lo rápido que carga la página en tu dispositivo.',
+        'consent.media.label': 'Contenido incrustado',
+        'consent.media.description': 'Carga vídeos, música y publicaciones de YouTube, Spotify y otros, que pueden usar sus propias cookies.',
+        'theme.label': 'Tema de color',
+        'theme.light': 'Claro',
+        'theme.dark': 'Oscuro',
+        'theme.system': 'Sistema',
+        'search.label': 'Buscar enlaces',
+        'search.placeholder': 'Buscar enlaces',
+        'search.filters': 'Filtrar por categoría',
+        'search.all': 'Todos',
+        'search.results.one': '1 enlace encontrado',
+        'search.results.other': '{count} enlaces encontrados',
+        'search.none': 'Ningún enlace coincide con «{query}»',
+        'share.button': 'Compartir',
+        'share.qr': 'Código QR',
+        'share.link': 'Compartir {title}',
+        'share.titleProfile': 'Compartir esta página',
+        'share.titleLink': 'Compartir «{title}»',
+        'share.close': 'Cerrar el menú de compartir',
+        'share.address': 'Dirección para compartir',
+        'share.copy': 'Copiar',
+        'share.targets': 'Compartir en',
+        'share.more': 'Más apps…',
+        'share.scan': 'Escanea para abrir en otro dispositivo',
+        'share.copied': 'Enlace copiado',
+        'share.copyManually': 'Pulsa Ctrl+C (⌘C en Mac) para copiar el enlace seleccionado',
+        'share.tooLong': 'Esta dirección es demasiado larga para un código QR.',
+        'share.qrLabel': 'Código QR de {url}',
+        'share.noPng': 'Este navegador no puede crear archivos PNG; descarga el SVG',
+        'share.target.email': 'Correo',
+        'embed.play': 'Reproducir {title} ({provider})',
+        'embed.open': 'Abrir en {provider}',
+        'embed.consentLabel': 'Cargar contenido de {provider}',
+        'embed.consentText': 'Al reproducirlo se carga contenido de {provider}, que puede usar cookies y ver tu dirección IP.',
+        'embed.playOnce': 'Reproducir',
+        'embed.allow': 'Permitir siempre el contenido incrustado',
+        'embed.otherSite': 'otro sitio',
+        'embed.fallbackTitle': 'Contenido incrustado',
+        'form.trap': 'Deja este campo vacío',
+        'form.submit': 'Enviar',
+        'form.fix.one': 'Corrige el campo marcado.',
+        'form.fix.other': 'Corrige los {count} campos marcados.',
+        'form.sending': 'Enviando…',
+        'form.offline': 'No tienes conexión. Tu mensaje se ha guardado y se enviará cuando vuelvas a estar en línea.',
+        'form.queued': 'Tu mensaje aún no se ha podido enviar. Está guardado y se enviará automáticamente.',
+        'form.success': '¡Gracias! Tu mensaje se ha enviado.',
+        'form.checkRequired': 'Marca «{label}».',
+        'form.required': '{label} es obligatorio.',
+        'form.email': 'Introduce un correo como nombre@ejemplo.com.',
+        'form.url': 'Introduce una dirección web que empiece por https://.',
+        'form.tel': 'Introduce un número de teléfono.',
+        'form.tooLong': '{label} es demasiado largo.',
+        'form.invalid': '{label} no es válido.',
+        'link.endsIn': 'Termina en {time}',
+        'update.available': 'Hay una nueva versión disponible.',
+        'update.availableVersion': 'Hay una nueva versión ({version}) disponible.',
+        'update.later': 'Más tarde',
+        'update.refresh': 'Actualizar',
+    },
+    fr: {
+        'app.skipLink': 'Aller au contenu principal',
+        'app.initFailed': 'L’application n’a pas pu démarrer',
+        'nav.toggle': 'Menu',
+        'nav.title': 'Sur cette page',
+        'nav.close': 'Fermer le menu',
+        'language.label': 'Langue',
+        'consent.title': 'Votre vie privée',
+        'consent.text': 'Choisissez ce que cette page peut enregistrer. Rien d’optionnel n’est enregistré avant votre choix.',
+        'consent.policy': 'Politique de confidentialité',
+        'consent.signal': 'Votre navigateur demande aux sites de ne pas vous suivre : les catégories optionnelles restent désactivées sauf si vous les activez.',
+        'consent.categories': 'Catégories de consentement',
+        'consent.reject': 'Tout refuser',
+        'consent.customize': 'Personnaliser',
+        'consent.save': 'Enregistrer mes choix',
+        'consent.accept': 'Tout accepter',
+        'consent.purge': 'Retirer mon consentement et supprimer mes données',
+        'consent.settings': 'Paramètres de confidentialité',
+        'consent.essential.label': 'Essentiels',
+        'consent.essential.description': 'Mémorisent votre thème, votre langue et vos choix de confidentialité. Toujours actifs.',
+        'consent.analytics.label': 'Statistiques',
+        'consent.analytics.description': 'Comptent les visites et les clics sur les liens pour que le propriétaire sache quels liens sont utiles.',
+        'consent.performance.label': 'Performance',
+        'consent.performance.description': 'Mesure la vitesse de chargement de la page sur votre appareil.',
+        'consent.media.label': 'Médias intégrés',
+        'consent.media.description': 'Chargent des vidéos, de la musique et des publications de YouTube, Spotify et d’autres, qui peuvent déposer leurs propres cookies.',
+        'theme.label': 'Thème de couleur',
+        'theme.light': 'Clair',
+        'theme.dark': 'Sombre',
+        'theme.system': 'Système',
+        'search.label': 'Rechercher des liens',
+        'search.placeholder': 'Rechercher des liens',
+        'search.filters': 'Filtrer par catégorie',
+        'search.all': 'Tous',
+        'search.results.one': '{count} lien trouvé',
+        'search.results.other': '{count} liens trouvés',
+        'search.none': 'Aucun lien ne correspond à « {query} »',
+        'share.button': 'Partager',
+        'share.qr': 'Code QR',
+        'share.link': 'Partager {title}',
+        'share.titleProfile': 'Partager cette page',
+        'share.titleLink': 'Partager « {title} »',
+        'share.close': 'Fermer le menu de partage',
+        'share.address': 'Adresse à partager',
+        'share.copy': 'Copier',
+        'share.targets': 'Partager sur',
+        'share.more': 'Autres applis…',
+        'share.scan': 'Scannez pour ouvrir sur un autre appareil',
+        'share.copied': 'Lien copié',
+        'share.copyManually': 'Appuyez sur Ctrl+C (⌘C sur Mac) pour copier le lien sélectionné',
+        'share.tooLong': 'Cette adresse est trop longue pour un code QR.',
+        'share.qrLabel': 'Code QR de {url}',
+        'share.noPng': 'Ce navigateur ne peut pas créer de fichiers PNG ; téléchargez le SVG',
+        'share.target.email': 'E-mail',
+        'embed.play': 'Lire {title} ({provider})',
+        'embed.open': 'Ouvrir sur {provider}',
+        'embed.consentLabel': 'Charger le contenu de {provider}',
+        'embed.consentText': 'La lecture charge du contenu de {provider}, qui peut déposer des cookies et voir votre adresse IP.',
+        'embed.playOnce': 'Lire',
+        'embed.allow': 'Toujours autoriser les contenus intégrés',
+        'embed.otherSite': 'un autre site',
+        'embed.fallbackTitle': 'Média intégré',
+        'form.trap': 'Laissez ce champ vide',
+        'form.submit': 'Envoyer',
+        'form.fix.one': 'Corrigez le champ signalé.',
+        'form.fix.other': 'Corrigez les {count} champs signalés.',
+        'form.sending': 'Envoi…',
+        'form.offline': 'Vous êtes hors ligne. Votre message est enregistré et sera envoyé à votre retour en ligne.',
+        'form.queued': 'Votre message n’a pas encore pu être envoyé. Il est enregistré et sera envoyé automatiquement.',
+        'form.success': 'Merci ! Votre message a été envoyé.',
+        'form.checkRequired': 'Veuillez cocher « {label} ».',
+        'form.required': '{label} est obligatoire.',
+        'form.email': 'Saisissez une adresse e-mail comme nom@exemple.com.',
+        'form.url': 'Saisissez une adresse web commençant par https://.',
+        'form.tel': 'Saisissez un numéro de téléphone.',
+        'form.tooLong': '{label} est trop long.',
+        'form.invalid': '{label} n’est pas valide.',
+        'link.endsIn': 'Se termine dans {time}',
+        'update.available': 'Une nouvelle version est disponible.',
+        'update.availableVersion': 'Une nouvelle version ({version}) est disponible.',
+        'update.later': 'Plus tard',
+        'update.refresh': 'Actualiser',
+    },
+    de: {
+        'app.skipLink': 'Zum Hauptinhalt springen',
+        'app.initFailed': 'Die Anwendung konnte nicht gestartet werden',
+        'nav.toggle': 'Menü',
+        'nav.title': 'Auf dieser Seite',
+        'nav.close': 'Menü schließen',
+        'language.label': 'Sprache',
+        'consent.title': 'Deine Privatsphäre',
+        'consent.text': 'Wähle, was diese Seite erfassen darf. Optionales wird erst gespeichert, wenn du dich entschieden hast.',
+        'consent.policy': 'Datenschutzerklärung',
+        'consent.signal': 'Dein Browser bittet Websites, dich nicht zu verfolgen. Optionale Kategorien bleiben daher aus, solange du sie nicht einschaltest.',
+        'consent.categories': 'Einwilligungskategorien',
+        'consent.reject': 'Alle ablehnen',
+        'consent.customize': 'Anpassen',
+        'consent.save': 'Auswahl speichern',
+        'consent.accept': 'Alle akzeptieren',
+        'consent.purge': 'Einwilligung widerrufen und meine Daten löschen',
+        'consent.settings': 'Datenschutzeinstellungen',
+        'consent.essential.label': 'Notwendig',
+        'consent.essential.description': 'Merkt sich dein Farbschema, deine Sprache und deine Datenschutzauswahl. Immer aktiv.',
+        'consent.analytics.label': 'Statistik',
+        'consent.analytics.description': 'Zählt Seitenaufrufe und Linkklicks, damit der Betreiber weiß, welche Links nützlich sind.',
+        'consent.performance.label': 'Leistung',
+        'consent.performance.description': 'Misst, wie schnell die Seite auf deinem Gerät lädt.',
+        'consent.media.label': 'Eingebettete Medien',
+        'consent.media.description': 'Lädt Videos, Musik und Beiträge von YouTube, Spotify und anderen, die eigene Cookies setzen können.',
+        'theme.label': 'Farbschema',
+        'theme.light': 'Hell',
+        'theme.dark': 'Dunkel',
+        'theme.system': 'System',
+        'search.label': 'Links durchsuchen',
+        'search.placeholder': 'Links durchsuchen',
+        'search.filters': 'Nach Kategorie filtern',
+        'search.all': 'Alle',
+        'search.results.one': '1 Link gefunden',
+        'search.results.other': '{count} Links gefunden',
+        'search.none': 'Keine Links passen zu „{query}“',
+        'share.button': 'Teilen',
+        'share.qr': 'QR-Code',
+        'share.link': '{title} teilen',
+        'share.titleProfile': 'Diese Seite teilen',
+        'share.titleLink': '„{title}“ teilen',
+        'share.close': 'Teilen-Menü schließen',
+        'share.address': 'Adresse zum Teilen',
+        'share.copy': 'Kopieren',
+        'share.targets': 'Teilen über',
+        'share.more': 'Weitere Apps…',
+        'share.scan': 'Scannen, um die Seite auf einem anderen Gerät zu öffnen',
+        'share.copied': 'Link kopiert',
+        'share.copyManually': 'Drücke Strg+C (⌘C auf dem Mac), um den markierten Link zu kopieren',
+        'share.tooLong': 'Diese Adresse ist zu lang für einen QR-Code.',
+        'share.qrLabel': 'QR-Code für {url}',
+        'share.noPng': 'Dieser Browser kann keine PNG-Dateien erstellen; lade stattdessen das SVG herunter',
+        'share.target.email': 'E-Mail',
+        'embed.play': '{title} abspielen ({provider})',
+        'embed.open': 'Auf {provider} öffnen',
+        'embed.consentLabel': 'Inhalte von {provider} laden',
+        'embed.consentText': 'Beim Abspielen werden Inhalte von {provider} geladen. Dabei können Cookies gesetzt und deine IP-Adresse übermittelt werden.',
+        'embed.playOnce': 'Abspielen',
+        'embed.allow': 'Eingebettete Inhalte immer erlauben',
+        'embed.otherSite': 'einer anderen Website',
+        'embed.fallbackTitle': 'Eingebettete Medien',
+        'form.trap': 'Dieses Feld leer lassen',
+        'form.submit': 'Senden',
+        'form.fix.one': 'Bitte korrigiere das markierte Feld.',
+        'form.fix.other': 'Bitte korrigiere die {count} markierten Felder.',
+        'form.sending': 'Wird gesendet…',
+        'form.offline': 'Du bist offline. Deine Nachricht ist gespeichert und wird gesendet, sobald du wieder online bist.',
+        'form.queued': 'Deine Nachricht konnte noch nicht gesendet werden. Sie ist gespeichert und wird automatisch gesendet.',
+        'form.success': 'Danke! Deine Nachricht wurde gesendet.',
+        'form.checkRequired': 'Bitte bestätige „{label}“.',
+        'form.required': '{label} ist erforderlich.',
+        'form.email': 'Gib eine E-Mail-Adresse wie name@beispiel.de ein.',
+        'form.url': 'Gib eine Webadresse ein, die mit https:// beginnt.',
+        'form.tel': 'Gib eine Telefonnummer ein.',
+        'form.tooLong': '{label} ist zu lang.',
+        'form.invalid': '{label} ist ungültig.',
+        'link.endsIn': 'Endet in {time}',
+        'update.available': 'Eine neue Version ist verfügbar.',
+        'update.availableVersion': 'Eine neue Version ({version}) ist verfügbar.',
+        'update.later': 'Später',
+        'update.refresh': 'Aktualisieren',
+    },
+    ar: {
+        'app.skipLink': 'انتقل إلى المحتوى الرئيسي',
+        'app.initFailed': 'تعذّر تشغيل التطبيق',
+        'nav.toggle': 'القائمة',
+        'nav.title': 'في هذه الصفحة',
+        'nav.close': 'إغلاق القائمة',
+        'language.label': 'اللغة',
+        'consent.title': 'خصوصيتك',
+        'consent.text': 'اختر ما يمكن لهذه الصفحة تسجيله. لا يُحفظ أي شيء اختياري حتى تقرر.',
+        'consent.policy': 'سياسة الخصوصية',
+        'consent.signal': 'يطلب متصفحك من المواقع عدم تتبعك، لذا تبقى الفئات الاختيارية معطّلة ما لم تفعّلها.',
+        'consent.categories': 'فئات الموافقة',
+        'consent.reject': 'رفض الكل',
+        'consent.customize': 'تخصيص',
+        'consent.save': 'حفظ الاختيارات',
+        'consent.accept': 'قبول الكل',
+        'consent.purge': 'سحب الموافقة وحذف بياناتي',
+        'consent.settings': 'إعدادات الخصوصية',
+        'consent.essential.label': 'أساسية',
+        'consent.essential.description': 'تتذكر السمة واللغة وخيارات الخصوصية. مفعّلة دائمًا.',
+        'consent.analytics.label': 'التحليلات',
+        'consent.analytics.description': 'تحصي مشاهدات الصفحة والنقرات على الروابط ليعرف المالك الروابط المفيدة.',
+        'consent.performance.label': 'الأداء',
+        'consent.performance.description': 'تقيس سرعة تحميل الصفحة على جهازك.',
+        'consent.media.label': 'الوسائط المضمّنة',
+        'consent.media.description': 'تحمّل مقاطع الفيديو والموسيقى والمنشورات من YouTube وSpotify وغيرها، وقد تضع ملفات تعريف ارتباط خاصة بها.',
+        'theme.label': 'سمة الألوان',
+        'theme.light': 'فاتح',
+        'theme.dark': 'داكن',
+        'theme.system': 'النظام',
+        'search.label': 'البحث في الروابط',
+        'search.placeholder': 'ابحث في الروابط',
+        'search.filters': 'التصفية حسب الفئة',
+        'search.all': 'الكل',
+        'search.results.one': 'عُثر على رابط واحد',
+        'search.results.two': 'عُثر على رابطين',
+        'search.results.few': 'عُثر على {count} روابط',
+        'search.results.many': 'عُثر على {count} رابطًا',
+        'search.results.other': 'عُثر على {count} رابط',
+        'search.none': 'لا توجد روابط تطابق «{query}»',
+        'share.button': 'مشاركة',
+        'share.qr': 'رمز QR',
+        'share.link': 'مشاركة {title}',
+        'share.titleProfile': 'مشاركة هذه الصفحة',
+        'share.titleLink': 'مشاركة «{title}»',
+        'share.close': 'إغلاق قائمة المشاركة',
+        'share.address': 'العنوان المراد مشاركته',
+        'share.copy': 'نسخ',
+        'share.targets': 'المشاركة عبر',
+        'share.more': 'تطبيقات أخرى…',
+        'share.scan': 'امسح الرمز لفتح الصفحة على جهاز آخر',
+        'share.copied': 'تم نسخ الرابط',
+        'share.copyManually': 'اضغط Ctrl+C (أو ⌘C على Mac) لنسخ الرابط المحدد',
+        'share.tooLong': 'هذا العنوان أطول من أن يُحوَّل إلى رمز QR.',
+        'share.qrLabel': 'رمز QR للعنوان {url}',
+        'share.noPng': 'لا يستطيع هذا المتصفح إنشاء ملفات PNG؛ نزّل ملف SVG بدلًا منها',
+        'share.target.email': 'البريد الإلكتروني',
+        'embed.play': 'تشغيل {title} ({provider})',
+        'embed.open': 'فتح على {provider}',
+        'embed.consentLabel': 'تحميل محتوى من {provider}',
+        'embed.consentText': 'يؤدي التشغيل إلى تحميل محتوى من {provider}، وقد يضع ملفات تعريف ارتباط ويرى عنوان IP الخاص بك.',
+        'embed.playOnce': 'تشغيل',
+        'embed.allow': 'السماح دائمًا بالمحتوى المضمّن',
+        'embed.otherSite': 'موقع آخر',
+        'embed.fallbackTitle': 'وسائط مضمّنة',
+        'form.trap': 'اترك هذا الحقل فارغًا',
+        'form.submit': 'إرسال',
+        'form.fix.one': 'يرجى تصحيح الحقل المحدد.',
+        'form.fix.two': 'يرجى تصحيح الحقلين المحددين.',
+        'form.fix.few': 'يرجى تصحيح {count} حقول محددة.',
+        'form.fix.many': 'يرجى تصحيح {count} حقلًا محددًا.',
+        'form.fix.other': 'يرجى تصحيح {count} حقل محدد.',
+        'form.sending': 'جارٍ الإرسال…',
+        'form.offline': 'أنت غير متصل. حُفظت رسالتك وسيتم إرسالها عند عودتك إلى الاتصال.',
+        'form.queued': 'تعذّر إرسال رسالتك حتى الآن. لقد حُفظت وسيتم إرسالها تلقائيًا.',
+        'form.success': 'شكرًا! تم إرسال رسالتك.',
+        'form.checkRequired': 'يرجى تحديد «{label}».',
+        'form.required': '{label} مطلوب.',
+        'form.email': 'أدخل بريدًا إلكترونيًا مثل name@example.com.',
+        'form.url': 'أدخل عنوان ويب يبدأ بـ https://.',
+        'form.tel': 'أدخل رقم هاتف.',
+        'form.tooLong': '{label} طويل جدًا.',
+        'form.invalid': '{label} غير صالح.',
+        'link.endsIn': 'ينتهي خلال {time}',
+        'update.available': 'يتوفر إصدار جديد.',
+        'update.availableVersion': 'يتوفر إصدار جديد ({version}).',
+        'update.later': 'لاحقًا',
+        'update.refresh': 'تحديث',
+    },
+};
+
+// Languages written right to left, for engines without Intl.Locale text info
+const RTL_LANGUAGES = ['ar', 'ckb', 'dv', 'fa', 'he', 'ks', 'ku', 'ps', 'sd', 'ug', 'ur', 'yi'];
+
+const I18n = {
+    locale: APP_CONFIG.i18n.defaultLocale,
+    defaultLocale: APP_CONFIG.i18n.defaultLocale,
+    available: [APP_CONFIG.i18n.defaultLocale],
+    translations: {},
+
     /**
-     * Initialize analytics tracking
+     * Read the profile's languages without touching the page, so
+     * scripts/render.js can render the default locale in Node
      */
-    init() {
-        if (!APP_CONFIG.analytics.enabled) return;
-        
-        this.sessionId = this.generateSessionId();
-        this.startTime = Date.now();
-        this.events = [];
-        
-        // Track page view
-        this.trackEvent('page_view', {
-            url: window.location.href,
-            referrer: document.referrer,
-            device: Utils.getDeviceInfo(),
-        });
+    configure(profile) {
+        this.defaultLocale = profile?.locale || APP_CONFIG.i18n.defaultLocale;
+        this.translations = profile?.translations || {};
+        this.available = [this.defaultLocale, ...Object.keys(this.translations).filter(locale => locale !== this.defaultLocale)];
+        this.locale = this.defaultLocale;
+    },
 
-        // Track performance
-        this.trackPerformance();
-        
-        // Setup unload tracking
-        window.addEventListener('beforeunload', () => this.trackSessionEnd());
+    /**
+     * Pick the visitor's language and mark up the page for it
+     */
+    init(profile) {
+        this.configure(profile);
+        this.setLocale(APP_CONFIG.i18n.detect ? this.detect() : this.defaultLocale);
     },
 
     /**
-     * Generate unique session ID
+     * The first available language of: ?lang=, the visitor's earlier choice,
+     * the browser's languages. Each matches exactly or by base language, so
+     * "es-MX" gets "es".
      */
-    generateSessionId() {
-        return `session_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    detect() {
+        const { queryParam, storageKey } = APP_CONFIG.i18n;
+        let stored = null;
+        try {
+            stored = localStorage.getItem(storageKey);
+        } catch (e) {
+            // Storage blocked; the browser's languages still apply
+        }
+
+        const requested = [
+            new URLSearchParams(window.location.search).get(queryParam),
+            stored,
+            ...(navigator.languages?.length ? navigator.languages : [navigator.language]),
+        ];
+        for (const tag of requested) {
+            const locale = this.match(tag);
+            if (locale) return locale;
+        }
+        return this.defaultLocale;
     },
 
     /**
-     * Track user interaction events
+     * The available locale for a language tag, or null
      */
-    trackEvent(eventName, data = {}) {
-        if (!APP_CONFIG.analytics.enabled) return;
+    match(tag) {
+        if (!tag) return null;
+        const wanted = String(tag).toLowerCase();
+        const base = (locale) => locale.toLowerCase().split('-')[0];
 
-        const event = {
-            id: Utils.generateId(),
-            sessionId: this.sessionId,
-            name: eventName,
-            data: {
-                ...data,
-                timestamp: Date.now(),
-                url: window.location.href,
-            },
-        };
+        return this.available.find(locale => locale.toLowerCase() === wanted)
+            || this.available.find(locale => base(locale) === base(wanted))
+            || null;
+    },
 
-        this.events.push(event);
-        this.saveToStorage();
-        console.log('Analytics Event:', event);
+    /**
+     * Switch to a locale and set the page's lang and dir
+     */
+    setLocale(locale) {
+        this.locale = locale;
+        document.documentElement.lang = locale;
+        document.documentElement.dir = this.direction(locale);
     },
 
     /**
-     * Track link clicks
+     * "rtl" or "ltr" for a locale
      */
-    trackLinkClick(link, category) {
-        this.trackEvent('link_click', {
-            linkUrl: link.href,
-            linkText: link.querySelector('.link-title')?.textContent,
-            category: category,
-            position: this.getLinkPosition(link),
-        });
+    direction(locale = this.locale) {
+        try {
+            const info = new Intl.Locale(locale);
+            const direction = (info.getTextInfo?.() || info.textInfo)?.direction;
+            if (direction) return direction;
+        } catch (e) {
+            // Fall back to the list below
+        }
+        return RTL_LANGUAGES.includes(locale.toLowerCase().split('-')[0]) ? 'rtl' : 'ltr';
     },
 
     /**
-     * Get link position in grid
+     * Interface text for a key in the current locale, with `{name}`
+     * placeholders filled from `params`. Returns plain text.
      */
-    getLinkPosition(link) {
-        const parent = link.closest('.links-grid');
-        if (!parent) return null;
-        
-        const siblings = Array.from(parent.querySelectorAll('.link-card'));
-        return siblings.indexOf(link) + 1;
+    t(key, params = {}, fallback = key) {
+        const message = this.lookup(key) ?? fallback;
+        return message.replace(/\{(\w+)\}/g, (match, name) => (params[name] !== undefined ? params[name] : match));
     },
 
     /**
-     * Track performance metrics
+     * Plural message: "<key>.<category>" for the count, else "<key>.other".
+     * `{count}` is the formatted count.
      */
-    trackPerformance() {
-        if ('performance' in window) {
-            window.addEventListener('load', () => {
-                setTimeout(() => {
-                    const perfData = performance.getEntriesByType('navigation')[0];
-                    this.trackEvent('performance', {
-                        loadTime: perfData.loadEventEnd - perfData.loadEventStart,
-                        domContentLoaded: perfData.domContentLoadedEventEnd - perfData.domContentLoadedEventStart,
-                        firstPaint: performance.getEntriesByType('paint')[0]?.startTime,
-                        firstContentfulPaint: performance.getEntriesByType('paint')[1]?.startTime,
-                    });
-                }, 0);
-            });
+    plural(key, count, params = {}) {
+        let category = 'other';
+        try {
+            category = new Intl.PluralRules(this.locale).select(count);
+        } catch (e) {
+            // Unknown locale; "other" is always there
         }
+        const values = { ...params, count: this.formatNumber(count) };
+        return this.lookup(`${key}.${category}`) !== undefined
+            ? this.t(`${key}.${category}`, values)
+            : this.t(`${key}.other`, values);
     },
 
     /**
-     * Track session end
+     * Message for a key: the profile's for the locale, then the built-in
+     * one, then its base language's, then English
      */
-    trackSessionEnd() {
-        this.trackEvent('session_end', {
-            duration: Date.now() - this.startTime,
-            eventsCount: this.events.length,
-        });
+    lookup(key) {
+        const base = this.locale.split('-')[0];
+        const sources = [
+            this.translations[this.locale]?.messages,
+            I18N_MESSAGES[this.locale],
+            this.translations[base]?.messages,
+            I18N_MESSAGES[base],
+            I18N_MESSAGES.en,
+        ];
+        for (const messages of sources) {
+            if (messages?.[key] !== undefined) return messages[key];
+        }
+        return undefined;
+    },
+
+    /**
+     * Profile with the locale's translations laid over it. The default
+     * locale is the profile itself, so the editor always works on it.
+     */
+    localize(profile, locale = this.locale) {
+        const translation = profile.translations?.[locale];
+        if (!translation || locale === (profile.locale || APP_CONFIG.i18n.defaultLocale)) return profile;
+
+        const pick = (source, keys) => Object.fromEntries(keys
+            .filter(key => source?.[key] !== undefined)
+            .map(key => [key, source[key]]));
+        const overlayLinks = (links, overrides = {}) => links.map(link => ({ ...link, ...pick(overrides[link.id], ['title', 'description']) }));
+
+        return {
+            ...profile,
+            ...pick(translation, ['brand', 'title', 'name', 'subtitle', 'description']),
+            avatar: profile.avatar && { ...profile.avatar, ...pick(translation.avatar, ['alt']) },
+            stats: profile.stats?.map((stat, index) => (translation.stats?.[index] ? { ...stat, label: translation.stats[index] } : stat)),
+            groups: profile.groups.map(group => ({
+                ...group,
+                ...pick(translation.groups?.[group.id], ['title']),
+                links: overlayLinks(group.links, translation.links),
+            })),
+            categories: profile.categories && Object.fromEntries(Object.entries(profile.categories)
+                .map(([id, category]) => [id, { ...category, ...pick(translation.categories?.[id], ['label']) }])),
+            forms: profile.forms?.map(form => {
+                const overrides = translation.forms?.[form.id];
+                return {
+                    ...form,
+                    ...pick(overrides, ['title', 'description', 'submitLabel', 'successMessage']),
+                    fields: form.fields.map(field => ({ ...field, ...pick(overrides?.fields?.[field.name], ['label', 'placeholder']) })),
+                };
+            }),
+            embeds: profile.embeds?.map(embed => ({ ...embed, ...pick(translation.embeds?.[embed.id], ['title']) })),
+            experiments: profile.experiments?.map(experiment => ({
+                ...experiment,
+                variants: experiment.variants.map(variant => {
+                    const overrides = translation.experiments?.[experiment.id]?.[variant.id]?.links;
+                    if (!variant.links || !overrides) return variant;
+                    return {
+                        ...variant,
+                        links: Object.fromEntries(Object.entries(variant.links)
+                            .map(([id, link]) => [id, { ...link, ...pick(overrides[id], ['title', 'description']) }])),
+                    };
+                }),
+            })),
+            share: profile.share && { ...profile.share, ...pick(translation.share, ['text']) },
+        };
     },
 
     /**
-     * Save analytics to local storage
+     * Number in the current locale's digits and separators
      */
-    saveToStorage() {
+    formatNumber(value, options = {}) {
         try {
-            localStorage.setItem(APP_CONFIG.analytics.trackingKey, JSON.stringify(this.events));
+            return new Intl.NumberFormat(this.locale, options).format(value);
         } catch (e) {
-            console.warn('Analytics storage failed:', e);
+            return String(value);
         }
     },
 
     /**
-     * Load analytics from storage
+     * Date and time in the current locale
      */
-    loadFromStorage() {
+    formatDate(date, options = { dateStyle: 'medium', timeStyle: 'short' }) {
         try {
-            const data = localStorage.getItem(APP_CONFIG.analytics.trackingKey);
-            return data ? JSON.parse(data) : [];
+            return new Intl.DateTimeFormat(this.locale, options).format(date);
         } catch (e) {
-            console.warn('Analytics load failed:', e);
-            return [];
+            return new Date(date).toLocaleString();
         }
     },
 
     /**
-     * Get analytics summary
+     * Name of a language, in `inLocale` (by default itself: "Español")
      */
-    getSummary() {
-        const events = this.loadFromStorage();
-        const clicks = events.filter(e => e.name === 'link_click');
-        const categories = {};
-        
-        clicks.forEach(click => {
-            const category = click.data.category;
-            categories[category] = (categories[category] || 0) + 1;
-        });
+    displayName(locale, inLocale = locale) {
+        try {
+            const name = new Intl.DisplayNames([inLocale], { type: 'language' }).of(locale);
+            return name ? name.charAt(0).toLocaleUpperCase(inLocale) + name.slice(1) : locale;
+        } catch (e) {
+            return locale;
+        }
+    },
 
-        return {
-            totalEvents: events.length,
-            totalClicks: clicks.length,
-            categories,
-            averageSessionTime: this.calculateAverageSessionTime(events),
-        };
+    /**
+     * Footer language menu for profiles with translations. Choosing reloads
+     * the page in the new language and remembers it.
+     */
+    createSwitcher() {
+        const footerActions = Template.query('footerActions');
+        if (!footerActions || this.available.length < 2) return;
+
+        const escape = Utils.escapeHtml;
+        const select = document.createElement('select');
+        select.className = 'language-switcher';
+        select.setAttribute('aria-label', this.t('language.label'));
+        select.innerHTML = this.available.map(locale => `
+            <option value="${escape(locale)}" lang="${escape(locale)}"${locale === this.locale ? ' selected' : ''}>${escape(this.displayName(locale))}</option>`).join('');
+        select.addEventListener('change', () => this.choose(select.value));
+        footerActions.insertBefore(select, footerActions.firstChild);
     },
 
     /**
-     * Calculate average session time
+     * Remember a language and reload the page in it
      */
-    calculateAverageSessionTime(events) {
-        const sessions = events.filter(e => e.name === 'session_end');
-        if (sessions.length === 0) return 0;
-        
-        const totalTime = sessions.reduce((sum, session) => sum + session.data.duration, 0);
-        return Math.round(totalTime / sessions.length / 1000); // Convert to seconds
-    }
+    choose(locale) {
+        const { queryParam, storageKey } = APP_CONFIG.i18n;
+        try {
+            localStorage.setItem(storageKey, locale);
+        } catch (e) {
+            console.warn('Language storage failed:', e);
+        }
+        Analytics.trackEvent('language_change', { from: this.locale, to: locale });
+
+        // A ?lang= in the address would override the choice
+        const url = new URL(window.location.href);
+        if (url.searchParams.has(queryParam)) {
+            url.searchParams.set(queryParam, locale);
+            window.location.assign(url.href);
+        } else {
+            window.location.reload();
+        }
+    },
 };
 
 // =============================================================================
-// Animation Module
+// Consent Module
 // =============================================================================
 
-const Animations = {
+// Labels and descriptions are the "consent.<id>.label" and
+// "consent.<id>.description" messages
+const CONSENT_CATEGORIES = [
+    {
+        id: 'essential',
+        required: true,
+    },
+    {
+        id: 'analytics',
+    },
+    {
+        id: 'performance',
+    },
+    {
+        id: 'media',
+        // Only asked about on pages that embed something
+        applies: () => document.querySelector('[data-embed-id]') !== null,
+    },
+];
+
+const Consent = {
+    listeners: [],
+
     /**
-     * Initialize animations
+     * Load the stored decision and ask the visitor if none was made yet
      */
     init() {
-        if (Utils.prefersReducedMotion()) {
-            document.body.classList.add('reduced-motion');
-            return;
-        }
+        this.choices = this.loadChoices();
+        this.createBanner();
+        this.createSettingsButton();
 
-        this.setupIntersectionObserver();
-        this.setupNumberAnimations();
-        this.setupScrollAnimations();
+        const undecided = this.categories().some(category => this.get(category.id) === null);
+        if (undecided) {
+            this.showBanner();
+        }
     },
 
     /**
-     * Setup intersection observer for fade-in animations
+     * Consent for a category: true (granted), false (declined or blocked by
+     * a browser privacy signal) or null (not decided yet)
      */
-    setupIntersectionObserver() {
-        const options = {
-            threshold: 0.1,
-            rootMargin: '0px 0px -50px 0px',
-        };
-
-        const observer = new IntersectionObserver((entries) => {
-            entries.forEach(entry => {
-                if (entry.isIntersecting) {
-                    entry.target.classList.add('animate-in');
-                    observer.unobserve(entry.target);
-                }
-            });
-        }, options);
+    get(category) {
+        if (CONSENT_CATEGORIES.find(c => c.id === category)?.required) return true;
+        if (this.choices === undefined) this.choices = this.loadChoices();
+        if (this.choices && typeof this.choices[category] === 'boolean') {
+            return this.choices[category];
+        }
+        if (this.hasPrivacySignal()) return false;
+        return null;
+    },
 
-        // Observe elements
-        document.querySelectorAll('.link-card, .links-group').forEach(el => {
-            el.classList.add('animate-ready');
-            observer.observe(el);
-        });
+    /**
+     * Categories that apply to this page
+     */
+    categories() {
+        return CONSENT_CATEGORIES.filter(category => !category.applies || category.applies());
     },
 
     /**
-     * Setup number counter animations
+     * Grant one category from outside the banner (e.g. "Always allow" on an
+     * embed), leaving the other decisions as they are
      */
-    setupNumberAnimations() {
-        const observer = new IntersectionObserver((entries) => {
-            entries.forEach(entry => {
-                if (entry.isIntersecting) {
-                    const target = parseInt(entry.target.dataset.target);
-                    if (!isNaN(target)) {
-                        Utils.animateNumber(entry.target, target);
-                        observer.unobserve(entry.target);
-                    }
-                }
-            });
-        }, { threshold: 0.5 });
+    grant(category) {
+        const choices = Object.fromEntries(this.categories()
+            .filter(c => !c.required)
+            .map(c => [c.id, this.choices?.[c.id] ?? null]));
+        this.update({ ...choices, [category]: true });
+    },
 
-        document.querySelectorAll('.stat-number').forEach(el => {
-            observer.observe(el);
-        });
+    /**
+     * Do Not Track or Global Privacy Control is set in the browser
+     */
+    hasPrivacySignal() {
+        if (!APP_CONFIG.privacy.honorBrowserSignals) return false;
+        return navigator.globalPrivacyControl === true
+            || navigator.doNotTrack === '1'
+            || window.doNotTrack === '1';
     },
 
     /**
-     * Setup scroll-based animations
+     * Register a callback for consent changes
      */
-    setupScrollAnimations() {
-        let ticking = false;
+    onChange(callback) {
+        this.listeners.push(callback);
+    },
+
+    /**
+     * Store the visitor's decision and notify listeners
+     */
+    update(choices) {
+        this.choices = {
+            version: APP_CONFIG.privacy.consentVersion,
+            updatedAt: Date.now(),
+        };
+        this.categories().filter(category => !category.required).forEach(category => {
+            // null keeps a category undecided, so the banner asks again
+            this.choices[category.id] = choices[category.id] === null ? null : Boolean(choices[category.id]);
+        });
+
+        try {
+            localStorage.setItem(APP_CONFIG.privacy.consentKey, JSON.stringify(this.choices));
+        } catch (e) {
+            console.warn('Consent storage failed:', e);
+        }
+
+        // A grant from outside the banner (e.g. an embed) must not dismiss it
+        // while other categories are still undecided
+        if (this.categories().some(category => this.get(category.id) === null)) {
+            this.syncSwitches();
+        } else {
+            this.hideBanner();
+        }
+        this.listeners.forEach(callback => callback(this.choices));
+    },
+
+    /**
+     * Load a stored decision, ignoring decisions made for an older version
+     */
+    loadChoices() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(APP_CONFIG.privacy.consentKey));
+            return stored?.version === APP_CONFIG.privacy.consentVersion ? stored : null;
+        } catch (e) {
+            return null;
+        }
+    },
+
+    /**
+     * Build the consent banner with per-category switches
+     */
+    createBanner() {
+        const text = (key) => Utils.escapeHtml(I18n.t(key));
+        const policy = APP_CONFIG.privacy.policyUrl
+            ? ` <a href="${Utils.escapeHtml(APP_CONFIG.privacy.policyUrl)}">${text('consent.policy')}</a>`
+            : '';
+        const signal = this.hasPrivacySignal()
+            ? `<p class="consent-signal">${text('consent.signal')}</p>`
+            : '';
+
+        const banner = document.createElement('section');
+        banner.className = 'consent-banner';
+        banner.hidden = true;
+        banner.setAttribute('aria-labelledby', 'consentTitle');
+        banner.innerHTML = `
+            <form class="consent-form">
+                <h2 class="consent-title" id="consentTitle">${text('consent.title')}</h2>
+                <p class="consent-text">
+                    ${text('consent.text')}${policy}
+                </p>
+                ${signal}
+                <fieldset class="consent-categories" hidden>
+                    <legend class="sr-only">${text('consent.categories')}</legend>
+                    ${this.categories().map(category => `
+                    <label class="consent-category">
+                        <input type="checkbox" name="${category.id}"${category.required ? ' checked disabled' : ''}>
+                        <span>
+                            <strong>${text(`consent.${category.id}.label`)}</strong>
+                            <span class="consent-category-description">${text(`consent.${category.id}.description`)}</span>
+                        </span>
+                    </label>`).join('')}
+                </fieldset>
+                <div class="consent-actions">
+                    <button type="button" class="ui-button" data-consent="reject">${text('consent.reject')}</button>
+                    <button type="button" class="ui-button" data-consent="customize" aria-expanded="false">${text('consent.customize')}</button>
+                    <button type="submit" class="ui-button" data-consent="save" hidden>${text('consent.save')}</button>
+                    <button type="button" class="ui-button ui-button-primary" data-consent="accept">${text('consent.accept')}</button>
+                </div>
+                <button type="button" class="consent-purge" data-consent="purge" hidden>
+                    ${text('consent.purge')}
+                </button>
+            </form>
+        `;
+        document.body.appendChild(banner);
+        this.banner = banner;
+
+        const form = banner.querySelector('form');
+        const optional = this.categories().filter(category => !category.required);
+
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.update(Object.fromEntries(optional.map(category => [category.id, form.elements[category.id].checked])));
+        });
+
+        banner.addEventListener('click', (e) => {
+            const action = e.target.closest('[data-consent]')?.dataset.consent;
+            switch (action) {
+                case 'accept':
+                    this.update(Object.fromEntries(optional.map(category => [category.id, true])));
+                    break;
+                case 'reject':
+                case 'purge':
+                    this.update({});
+                    break;
+                case 'customize':
+                    this.toggleDetails(true);
+                    break;
+            }
+        });
+    },
+
+    /**
+     * Show or hide the per-category switches
+     */
+    toggleDetails(expanded) {
+        this.banner.querySelector('.consent-categories').hidden = !expanded;
+        this.banner.querySelector('[data-consent="save"]').hidden = !expanded;
+        this.banner.querySelector('[data-consent="customize"]').hidden = expanded;
+        this.banner.querySelector('[data-consent="customize"]').setAttribute('aria-expanded', String(expanded));
+    },
+
+    /**
+     * Show the banner, reflecting the current choices
+     */
+    showBanner() {
+        if (!this.banner) return;
+
+        this.syncSwitches();
+        const decided = Boolean(this.choices);
+        this.toggleDetails(decided);
+        this.banner.querySelector('[data-consent="purge"]').hidden = !decided;
+        this.banner.hidden = false;
+        this.banner.querySelector('button').focus({ preventScroll: true });
+    },
+
+    /**
+     * Check the banner's switches of granted categories
+     */
+    syncSwitches() {
+        if (!this.banner) return;
+
+        const form = this.banner.querySelector('form');
+        this.categories().filter(category => !category.required).forEach(category => {
+            form.elements[category.id].checked = this.get(category.id) === true;
+        });
+    },
+
+    /**
+     * Hide the banner
+     */
+    hideBanner() {
+        if (this.banner) this.banner.hidden = true;
+    },
+
+    /**
+     * Footer button that reopens the banner to change or withdraw consent
+     */
+    createSettingsButton() {
+        const footerActions = Template.query('footerActions');
+        if (!footerActions) return;
+
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'consent-settings';
+        button.textContent = I18n.t('consent.settings');
+        button.addEventListener('click', () => this.showBanner());
+        footerActions.insertBefore(button, footerActions.firstChild);
+    }
+};
+
+// =============================================================================
+// Analytics Module
+// =============================================================================
+
+const PERFORMANCE_EVENTS = new Set(['web_vitals']);
+
+const Analytics = {
+    /**
+     * Initialize analytics tracking
+     */
+    init() {
+        if (!APP_CONFIG.analytics.enabled) return;
         
-        const updateScrollAnimations = () => {
-            const scrollY = window.scrollY;
-            const header = document.querySelector('.header');
-            
-            // Header background opacity based on scroll
-            if (header) {
-                const opacity = Math.min(scrollY / 100, 1);
-                header.style.background = `rgba(255, 255, 255, ${0.8 + opacity * 0.2})`;
+        this.sessionId = this.generateSessionId();
+        this.startTime = Date.now();
+        this.events = [];
+        this.pending = [];
+        this.hideCallbacks = [];
+
+        if (Consent.get('analytics')) {
+            AnalyticsTransport.init();
+        }
+        Consent.onChange(() => this.applyConsent());
+
+        // Campaign parameters of the landing page tag every event
+        Attribution.init();
+        
+        // Track page view
+        this.trackEvent('page_view', {
+            url: window.location.href,
+            referrer: document.referrer,
+            device: Utils.getDeviceInfo(),
+        });
+
+        // Track which link cards are actually seen
+        this.setupImpressionTracking();
+
+        // Track Core Web Vitals
+        WebVitals.init();
+        
+        // Setup unload tracking
+        window.addEventListener('beforeunload', () => this.trackSessionEnd());
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'hidden') this.handleHide();
+        });
+        window.addEventListener('pagehide', () => this.handleHide());
+    },
+
+    /**
+     * Register a callback that records final events when the page is hidden
+     */
+    onHide(callback) {
+        this.hideCallbacks.push(callback);
+    },
+
+    /**
+     * The page may never become visible again: let modules record their
+     * final events, then write and hand everything to the browser
+     */
+    handleHide() {
+        this.hideCallbacks.forEach(callback => callback());
+        EventStore.flush();
+        AnalyticsTransport.flushWithBeacon();
+    },
+
+    /**
+     * Generate unique session ID
+     */
+    generateSessionId() {
+        return `session_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    },
+
+    /**
+     * Track user interaction events
+     */
+    trackEvent(eventName, data = {}) {
+        if (!APP_CONFIG.analytics.enabled) return;
+
+        // Events wait in memory until the visitor decides; declined ones are dropped
+        const consent = Consent.get(this.getEventCategory(eventName));
+        if (consent === false) return;
+
+        const event = {
+            id: Utils.generateId(),
+            sessionId: this.sessionId,
+            name: eventName,
+            data: this.sanitize({
+                ...data,
+                timestamp: Date.now(),
+                url: window.location.href,
+                locale: I18n.locale,
+                ...(Attribution.current ? { attribution: Attribution.current } : {}),
+            }),
+        };
+
+        if (consent === null) {
+            if (this.pending.length < APP_CONFIG.privacy.maxPendingEvents) {
+                this.pending.push(event);
+            }
+            return;
+        }
+
+        this.record(event);
+    },
+
+    /**
+     * Consent category an event belongs to
+     */
+    getEventCategory(eventName) {
+        return PERFORMANCE_EVENTS.has(eventName) ? 'performance' : 'analytics';
+    },
+
+    /**
+     * Store and deliver an event the visitor consented to
+     */
+    record(event) {
+        this.events.push(event);
+        EventStore.add(event);
+        AnalyticsTransport.enqueue(event);
+
+        if (APP_CONFIG.analytics.debug) {
+            console.log('Analytics Event:', event);
+        }
+    },
+
+    /**
+     * Release or drop held events after a consent decision, and purge
+     * everything stored when analytics consent is withdrawn
+     */
+    applyConsent() {
+        if (!this.sessionId) return;
+
+        const pending = this.pending;
+        const analytics = Consent.get('analytics');
+
+        if (analytics === false) {
+            this.purge();
+        } else if (analytics === true) {
+            AnalyticsTransport.init();
+        }
+
+        // Events of categories that are still undecided keep waiting
+        this.pending = [];
+        pending.forEach(event => {
+            const consent = Consent.get(this.getEventCategory(event.name));
+            if (consent === true) this.record(event);
+            if (consent === null) this.pending.push(event);
+        });
+    },
+
+    /**
+     * Delete every stored and queued event. Resolves to false when the event
+     * store could not be cleared, so stored events may remain.
+     */
+    purge() {
+        this.events = [];
+        this.pending = [];
+        AnalyticsTransport.stop();
+        Experiments.reset();
+        Attribution.reset();
+        try {
+            localStorage.removeItem(APP_CONFIG.analytics.transport.queueKey);
+        } catch (e) {
+            console.warn('Analytics purge failed:', e);
+        }
+
+        return EventStore.clear().then(() => true, (e) => {
+            console.warn('Analytics purge failed; stored events may remain:', e);
+            return false;
+        });
+    },
+
+    /**
+     * In anonymized mode, strip query strings from URLs and coarsen device info
+     */
+    sanitize(data) {
+        if (!APP_CONFIG.privacy.anonymize) return data;
+
+        const clean = { ...data };
+        ['url', 'referrer', 'linkUrl'].forEach(key => {
+            if (clean[key]) clean[key] = Utils.stripQuery(clean[key]);
+        });
+        if (clean.device) {
+            clean.device = Utils.coarsenDeviceInfo(clean.device);
+        }
+        if (clean.attribution?.clickIds) {
+            const { clickIds, ...attribution } = clean.attribution;
+            clean.attribution = attribution;
+        }
+        delete clean.userAgent;
+
+        return clean;
+    },
+
+    /**
+     * Track link clicks
+     */
+    trackLinkClick(link, category) {
+        // A clicked card was seen, even if the click beat the dwell time
+        this.trackLinkImpression(link);
+
+        this.trackEvent('link_click', {
+            ...this.describeLink(link),
+            linkUrl: link.dataset.destination || link.href,
+            category: category,
+            // The redirect counts this click server-side as well
+            ...(link.dataset.destination ? { redirected: true } : {}),
+        });
+    },
+
+    /**
+     * Fields shared by link clicks and impressions
+     */
+    describeLink(link) {
+        const data = {
+            linkId: link.dataset.linkId,
+            groupId: Template.closest(link, 'group')?.dataset.groupId,
+            linkText: Template.query('cardTitle', link)?.textContent,
+            position: this.getLinkPosition(link),
+        };
+
+        const experiments = Experiments.getAssignments(link.dataset.linkId);
+        if (experiments) data.experiments = experiments;
+
+        return data;
+    },
+
+    /**
+     * Watch every link card for impressions. Independent of Animations, so
+     * it also runs under reduced motion.
+     */
+    setupImpressionTracking() {
+        this.impressionsSeen = new Set();
+        this.impressionTimers = new Map();
+        this.visibleCards = new Set();
+
+        if (!('IntersectionObserver' in window)) return;
+
+        const { impressionThreshold } = APP_CONFIG.analytics;
+        this.impressionObserver = new IntersectionObserver((entries) => {
+            entries.forEach(entry => {
+                if (entry.isIntersecting && entry.intersectionRatio >= impressionThreshold) {
+                    this.visibleCards.add(entry.target);
+                    this.startImpressionTimer(entry.target);
+                } else {
+                    this.visibleCards.delete(entry.target);
+                    this.stopImpressionTimer(entry.target);
+                }
+            });
+        }, { threshold: impressionThreshold });
+
+        Template.queryAll('card').forEach(card => {
+            if (card.dataset.linkId) this.observeImpression(card);
+        });
+
+        // Time spent in a background tab does not count toward the dwell time
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'hidden') {
+                this.visibleCards.forEach(card => this.stopImpressionTimer(card));
+            } else {
+                this.visibleCards.forEach(card => this.startImpressionTimer(card));
+            }
+        });
+    },
+
+    /**
+     * Watch a card added after initialization
+     */
+    observeImpression(card) {
+        if (this.impressionsSeen?.has(card.dataset.linkId)) return;
+        this.impressionObserver?.observe(card);
+    },
+
+    /**
+     * Count the impression once the card has stayed visible long enough
+     */
+    startImpressionTimer(card) {
+        if (this.impressionTimers.has(card)) return;
+        this.impressionTimers.set(card, setTimeout(() => {
+            this.impressionTimers.delete(card);
+            this.trackLinkImpression(card);
+        }, APP_CONFIG.analytics.impressionDelay));
+    },
+
+    /**
+     * Cancel a pending impression when the card scrolls away
+     */
+    stopImpressionTimer(card) {
+        clearTimeout(this.impressionTimers.get(card));
+        this.impressionTimers.delete(card);
+    },
+
+    /**
+     * Record one link_impression per link and session
+     */
+    trackLinkImpression(card) {
+        const linkId = card.dataset.linkId;
+        if (!this.impressionsSeen || this.impressionsSeen.has(linkId)) return;
+
+        this.impressionsSeen.add(linkId);
+        this.stopImpressionTimer(card);
+        this.visibleCards.delete(card);
+        this.impressionObserver?.unobserve(card);
+
+        this.trackEvent('link_impression', {
+            ...this.describeLink(card),
+            scheduled: card.hasAttribute('data-scheduled'),
+        });
+    },
+
+    /**
+     * Get link position in grid
+     */
+    getLinkPosition(link) {
+        const parent = Template.closest(link, 'grid');
+        if (!parent) return null;
+        
+        const siblings = Template.queryAll('card', parent);
+        return siblings.indexOf(link) + 1;
+    },
+
+    /**
+     * Track session end
+     */
+    trackSessionEnd() {
+        this.trackEvent('session_end', {
+            duration: Date.now() - this.startTime,
+            eventsCount: this.events.length,
+        });
+    },
+
+    /**
+     * Load stored events from every session, optionally filtered by
+     * { name, from, to }
+     */
+    loadFromStorage(filter = {}) {
+        return EventStore.query(filter);
+    },
+
+    /**
+     * Get analytics summary for an optional { from, to } range
+     */
+    async getSummary(range = {}) {
+        const [clicks, impressions, pageViews, sessionEnds, vitals, formViews, formStarts, formSubmissions, embedPlays, shares, failedSearches, totalEvents] = await Promise.all([
+            EventStore.query({ ...range, name: 'link_click' }),
+            EventStore.query({ ...range, name: 'link_impression' }),
+            EventStore.query({ ...range, name: 'page_view' }),
+            EventStore.query({ ...range, name: 'session_end' }),
+            EventStore.query({ ...range, name: 'web_vitals' }),
+            EventStore.query({ ...range, name: 'form_view' }),
+            EventStore.query({ ...range, name: 'form_start' }),
+            EventStore.query({ ...range, name: 'form_submit' }),
+            EventStore.query({ ...range, name: 'embed_play' }),
+            EventStore.query({ ...range, name: 'share' }),
+            EventStore.query({ ...range, name: 'search_no_results' }),
+            EventStore.count(range),
+        ]);
+        const categories = {};
+        const links = {};
+        const groups = {};
+        const positionRates = {};
+        const entry = (table, key, defaults = {}) => {
+            table[key] = table[key] || { ...defaults, impressions: 0, clicks: 0, ctr: 0 };
+            return table[key];
+        };
+
+        impressions.forEach(impression => {
+            const { linkId, linkText, groupId, position } = impression.data;
+            entry(links, linkId, { title: linkText?.trim() || linkId, groupId }).impressions++;
+            if (groupId) entry(groups, groupId).impressions++;
+            entry(positionRates, position ?? 'unknown').impressions++;
+        });
+
+        clicks.forEach(click => {
+            const category = click.data.category;
+            categories[category] = (categories[category] || 0) + 1;
+
+            const key = click.data.linkId || click.data.linkUrl;
+            const link = entry(links, key, { title: click.data.linkText?.trim() || key, groupId: click.data.groupId });
+            link.url = click.data.linkUrl;
+            link.clicks++;
+            if (click.data.groupId) entry(groups, click.data.groupId).clicks++;
+            entry(positionRates, click.data.position ?? 'unknown').clicks++;
+        });
+
+        [links, groups, positionRates].forEach(table => Object.values(table).forEach(item => {
+            item.ctr = item.impressions > 0 ? item.clicks / item.impressions : 0;
+        }));
+
+        return {
+            totalEvents,
+            totalClicks: clicks.length,
+            totalImpressions: impressions.length,
+            totalPageViews: pageViews.length,
+            totalSessions: new Set(pageViews.map(e => e.sessionId)).size,
+            categories,
+            links,
+            groups,
+            positions: this.countBy(clicks, click => click.data.position ?? 'unknown'),
+            positionRates,
+            sessionsByDay: this.countSessionsByDay(pageViews),
+            referrers: this.countBy(pageViews, view => this.getReferrerDomain(view.data.referrer)),
+            attribution: Attribution.summarize(clicks),
+            devices: this.countBy(pageViews, view => this.getDeviceType(view.data.device)),
+            viewports: this.countBy(pageViews, view => this.getViewportBucket(view.data.device)),
+            averageSessionTime: this.calculateAverageSessionTime(sessionEnds),
+            webVitals: WebVitals.summarize(vitals),
+            experiments: Experiments.summarize(impressions, clicks),
+            forms: LeadForms.summarize(formViews, formStarts, formSubmissions),
+            embedPlays: this.countBy(embedPlays, play => play.data.embedId),
+            shares: this.countBy(shares, share => share.data.target),
+            locales: this.countBy(pageViews, view => view.data.locale || 'unknown'),
+            failedSearches: this.countBy(failedSearches, search => search.data.query),
+        };
+    },
+
+    /**
+     * Count items by a derived key
+     */
+    countBy(items, getKey) {
+        return items.reduce((counts, item) => {
+            const key = getKey(item);
+            counts[key] = (counts[key] || 0) + 1;
+            return counts;
+        }, {});
+    },
+
+    /**
+     * Count distinct sessions per local calendar day (YYYY-MM-DD)
+     */
+    countSessionsByDay(events) {
+        const days = {};
+        events.forEach(e => {
+            const date = new Date(e.data.timestamp);
+            const day = `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+            (days[day] = days[day] || new Set()).add(e.sessionId);
+        });
+
+        return Object.fromEntries(Object.keys(days).sort().map(day => [day, days[day].size]));
+    },
+
+    /**
+     * Reduce a referrer URL to its host name
+     */
+    getReferrerDomain(referrer) {
+        if (!referrer) return 'Direct';
+        try {
+            return new URL(referrer).hostname.replace(/^www\./, '');
+        } catch (e) {
+            return 'Unknown';
+        }
+    },
+
+    /**
+     * Classify a recorded device as mobile, tablet or desktop
+     */
+    getDeviceType(device) {
+        if (device?.type) return device.type;
+
+        const width = device?.viewport?.width;
+        if (/iPad|Tablet/i.test(device?.userAgent || '')) return 'tablet';
+        if (/Mobi|Android|iPhone/i.test(device?.userAgent || '')) return 'mobile';
+        if (!width) return 'unknown';
+        if (width < 768) return 'mobile';
+        if (width < 1024) return 'tablet';
+        return 'desktop';
+    },
+
+    /**
+     * Bucket viewport widths by the stylesheet breakpoints
+     */
+    getViewportBucket(device) {
+        const width = device?.viewport?.width;
+        if (!width) return 'unknown';
+        if (width <= 480) return '≤480px';
+        if (width <= 768) return '481–768px';
+        if (width <= 1200) return '769–1200px';
+        return '>1200px';
+    },
+
+    /**
+     * Calculate average session time
+     */
+    calculateAverageSessionTime(events) {
+        const sessions = events.filter(e => e.name === 'session_end');
+        if (sessions.length === 0) return 0;
+        
+        const totalTime = sessions.reduce((sum, session) => sum + session.data.duration, 0);
+        return Math.round(totalTime / sessions.length / 1000); // Convert to seconds
+    }
+};
+
+// =============================================================================
+// Campaign Attribution
+// =============================================================================
+
+const UTM_FIELDS = ['source', 'medium', 'campaign', 'term', 'content'];
+
+const Attribution = {
+    current: null,
+
+    /**
+     * Attribute the session to the landing page's utm_* parameters, ad click
+     * IDs and referrer. A landing with campaign parameters starts a new
+     * attribution; other pages keep the one the session landed with.
+     */
+    init() {
+        const campaign = this.parse(new URLSearchParams(window.location.search));
+        const stored = this.load();
+
+        if (Object.keys(campaign).length > 0 || !stored) {
+            this.current = { ...campaign, referrer: Analytics.getReferrerDomain(document.referrer) };
+            this.save();
+        } else {
+            this.current = stored;
+        }
+    },
+
+    /**
+     * Campaign fields and click IDs present in query parameters
+     */
+    parse(params) {
+        const config = APP_CONFIG.analytics.attribution;
+        const read = (name) => params.get(name)?.trim().slice(0, config.maxLength) || null;
+        const campaign = {};
+
+        UTM_FIELDS.forEach(field => {
+            const value = read(`utm_${field}`);
+            if (value) campaign[field] = value;
+        });
+
+        const clickIds = {};
+        Object.keys(config.clickIds).forEach(name => {
+            const value = read(name);
+            if (value) clickIds[name] = value;
+        });
+        if (Object.keys(clickIds).length > 0) {
+            campaign.clickIds = clickIds;
+            // An ad click without UTM tags still names its network
+            campaign.source = campaign.source || config.clickIds[Object.keys(clickIds)[0]];
+        }
+
+        return campaign;
+    },
+
+    /**
+     * Attribution stored for this browser session, or null
+     */
+    load() {
+        try {
+            return JSON.parse(sessionStorage.getItem(APP_CONFIG.analytics.attribution.storageKey));
+        } catch (e) {
+            return null;
+        }
+    },
+
+    /**
+     * Keep the attribution for later pages of the session
+     */
+    save() {
+        try {
+            sessionStorage.setItem(APP_CONFIG.analytics.attribution.storageKey, JSON.stringify(this.current));
+        } catch (e) {
+            console.warn('Attribution could not be saved:', e);
+        }
+    },
+
+    /**
+     * Forget the session's attribution
+     */
+    reset() {
+        this.current = null;
+        try {
+            sessionStorage.removeItem(APP_CONFIG.analytics.attribution.storageKey);
+        } catch (e) {
+            console.warn('Attribution reset failed:', e);
+        }
+    },
+
+    /**
+     * Source, medium and campaign of an event. Untagged visits fall back to
+     * the referrer, like most analytics tools: "(direct) / (none)" or
+     * "<domain> / referral".
+     */
+    describe(attribution) {
+        if (!attribution) {
+            return { source: '(not set)', medium: '(not set)', campaign: '(not set)' };
+        }
+
+        const referred = attribution.referrer && attribution.referrer !== 'Direct';
+        const fallback = referred
+            ? { source: attribution.referrer, medium: 'referral' }
+            : { source: '(direct)', medium: '(none)' };
+
+        return {
+            source: attribution.source || fallback.source,
+            medium: attribution.medium || (attribution.source ? '(not set)' : fallback.medium),
+            campaign: attribution.campaign || '(not set)',
+        };
+    },
+
+    /**
+     * Clicks by source, medium, campaign and landing referrer domain
+     */
+    summarize(clicks) {
+        const channels = clicks.map(click => ({
+            ...this.describe(click.data.attribution),
+            referrer: click.data.attribution?.referrer || '(not set)',
+        }));
+
+        return {
+            sources: Analytics.countBy(channels, channel => channel.source),
+            mediums: Analytics.countBy(channels, channel => channel.medium),
+            campaigns: Analytics.countBy(channels, channel => channel.campaign),
+            referrers: Analytics.countBy(channels, channel => channel.referrer),
+        };
+    },
+};
+
+// =============================================================================
+// Analytics Transport
+// =============================================================================
+
+const AnalyticsTransport = {
+    enabled: false,
+    queue: [],
+
+    /**
+     * Start delivering queued events to APP_CONFIG.analytics.transport.endpoint.
+     * Without an endpoint, events only stay in local storage.
+     */
+    init() {
+        const config = APP_CONFIG.analytics.transport;
+        if (!config.endpoint || this.enabled) return;
+
+        this.enabled = true;
+        this.queue = this.loadQueue();
+        this.beaconed = new Set();
+        this.sending = false;
+        this.retries = 0;
+        this.retryTimer = null;
+
+        this.flushTimer = setInterval(() => this.flush(), config.flushInterval);
+
+        if (!this.listening) {
+            this.listening = true;
+            // Replay what was queued offline as soon as the connection returns
+            window.addEventListener('online', () => {
+                clearTimeout(this.retryTimer);
+                this.retryTimer = null;
+                this.retries = 0;
+                this.flush();
+            });
+        }
+
+        // Deliver what earlier page views could not
+        if (this.queue.length > 0) this.flush();
+    },
+
+    /**
+     * Stop delivery and forget the in-memory queue
+     */
+    stop() {
+        this.enabled = false;
+        this.queue = [];
+        clearInterval(this.flushTimer);
+        clearTimeout(this.retryTimer);
+        this.retryTimer = null;
+    },
+
+    /**
+     * Queue an event for delivery, flushing once a full batch is waiting
+     */
+    enqueue(event) {
+        if (!this.enabled) return;
+
+        this.queue.push(event);
+        this.saveQueue();
+
+        if (this.queue.length >= APP_CONFIG.analytics.transport.batchSize) {
+            this.flush();
+        }
+    },
+
+    /**
+     * Send the oldest batch. Events leave the stored queue only after the
+     * endpoint confirms them with a 2xx response; failures back off and retry.
+     */
+    async flush() {
+        if (!this.enabled || this.sending || this.retryTimer || this.queue.length === 0) return;
+        // Offline, events stay queued until the 'online' event
+        if (navigator.onLine === false) return;
+
+        const batch = this.queue.slice(0, APP_CONFIG.analytics.transport.batchSize);
+        this.sending = true;
+
+        try {
+            const response = await this.send(batch);
+            if (!response.ok) {
+                throw new Error(`Analytics endpoint responded ${response.status}`);
+            }
+            this.acknowledge(batch);
+            this.retries = 0;
+        } catch (e) {
+            console.warn('Analytics delivery failed:', e);
+            this.scheduleRetry();
+        } finally {
+            this.sending = false;
+        }
+
+        if (this.retries === 0 && this.queue.length >= APP_CONFIG.analytics.transport.batchSize) {
+            this.flush();
+        }
+    },
+
+    /**
+     * POST a batch to the endpoint. Replace this to deliver elsewhere.
+     */
+    send(batch) {
+        return fetch(APP_CONFIG.analytics.transport.endpoint, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: this.serialize(batch),
+            keepalive: true,
+        });
+    },
+
+    /**
+     * Hand the queued events to navigator.sendBeacon while the page is going
+     * away; Analytics.handleHide calls this. A beacon only confirms that the
+     * browser accepted it, not that it arrived, so the events stay queued and
+     * are sent again on the next page view; the endpoint de-duplicates by
+     * event `id`. Events already beaconed in this page view are skipped, so
+     * switching tabs does not resend them.
+     */
+    flushWithBeacon() {
+        if (!this.enabled || !navigator.sendBeacon || navigator.onLine === false) return;
+
+        const pending = this.queue.filter(event => !this.beaconed.has(event.id));
+        const { endpoint, batchSize } = APP_CONFIG.analytics.transport;
+        for (let i = 0; i < pending.length; i += batchSize) {
+            const batch = pending.slice(i, i + batchSize);
+            // text/plain keeps the request CORS-safelisted, as beacons cannot preflight
+            const blob = new Blob([this.serialize(batch)], { type: 'text/plain;charset=UTF-8' });
+            if (!navigator.sendBeacon(endpoint, blob)) break;
+            batch.forEach(event => this.beaconed.add(event.id));
+        }
+    },
+
+    /**
+     * Request body shared by fetch and beacon delivery
+     */
+    serialize(batch) {
+        return JSON.stringify({ sentAt: Date.now(), events: batch });
+    },
+
+    /**
+     * Drop delivered events from the stored queue
+     */
+    acknowledge(batch) {
+        const delivered = new Set(batch.map(event => event.id));
+        this.queue = this.queue.filter(event => !delivered.has(event.id));
+        this.saveQueue();
+    },
+
+    /**
+     * Retry with exponential backoff and jitter. After maxRetries the
+     * regular flush interval keeps trying at its own pace.
+     */
+    scheduleRetry() {
+        const { maxRetries, retryBaseDelay, retryMaxDelay } = APP_CONFIG.analytics.transport;
+        if (this.retries >= maxRetries) return;
+
+        const delay = Math.min(retryBaseDelay * 2 ** this.retries, retryMaxDelay);
+        this.retries++;
+        this.retryTimer = setTimeout(() => {
+            this.retryTimer = null;
+            this.flush();
+        }, delay / 2 + Math.random() * delay / 2);
+    },
+
+    /**
+     * Persist the undelivered queue
+     */
+    saveQueue() {
+        try {
+            localStorage.setItem(APP_CONFIG.analytics.transport.queueKey, JSON.stringify(this.queue));
+        } catch (e) {
+            console.warn('Analytics queue storage failed:', e);
+        }
+    },
+
+    /**
+     * Load events queued by earlier page views
+     */
+    loadQueue() {
+        try {
+            const data = localStorage.getItem(APP_CONFIG.analytics.transport.queueKey);
+            return data ? JSON.parse(data) : [];
+        } catch (e) {
+            console.warn('Analytics queue load failed:', e);
+            return [];
+        }
+    }
+};
+
+// =============================================================================
+// Event Store
+// =============================================================================
+
+const EventStore = {
+    buffer: [],
+
+    /**
+     * Open the storage backend once: IndexedDB where available, otherwise
+     * localStorage. Events stored by earlier sessions are kept.
+     */
+    ready() {
+        if (!this.backendPromise) {
+            this.backendPromise = this.openIndexedDB()
+                .then(async (db) => {
+                    const backend = new IndexedDBEventBackend(db);
+                    await this.migrateLegacyEvents(backend);
+                    return backend;
+                })
+                .catch((e) => {
+                    console.warn('IndexedDB unavailable, storing analytics in localStorage:', e);
+                    return new LocalStorageEventBackend();
+                });
+        }
+        return this.backendPromise;
+    },
+
+    /**
+     * Open (and create or upgrade) the events database
+     */
+    openIndexedDB() {
+        const { dbName, storeName } = APP_CONFIG.analytics.storage;
+
+        return new Promise((resolve, reject) => {
+            if (!('indexedDB' in window)) {
+                reject(new Error('IndexedDB is not supported'));
+                return;
+            }
+
+            const request = indexedDB.open(dbName, 1);
+            request.onupgradeneeded = () => {
+                const store = request.result.createObjectStore(storeName, { keyPath: 'id' });
+                store.createIndex('timestamp', 'data.timestamp');
+                store.createIndex('name_timestamp', ['name', 'data.timestamp']);
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+            request.onblocked = () => reject(new Error('IndexedDB upgrade blocked'));
+        });
+    },
+
+    /**
+     * Move events written by the localStorage-only versions into IndexedDB
+     */
+    async migrateLegacyEvents(backend) {
+        const legacy = new LocalStorageEventBackend();
+        const events = legacy.load();
+        if (events.length === 0) return;
+
+        await backend.put(events);
+        legacy.clear();
+    },
+
+    /**
+     * Buffer an event; buffered events are written together after writeDelay
+     */
+    add(event) {
+        this.buffer.push(event);
+
+        if (!this.writeTimer) {
+            this.writeTimer = setTimeout(() => this.flush(), APP_CONFIG.analytics.storage.writeDelay);
+        }
+    },
+
+    /**
+     * Write buffered events and enforce the size and age limits
+     */
+    async flush() {
+        clearTimeout(this.writeTimer);
+        this.writeTimer = null;
+        if (this.buffer.length === 0) return;
+
+        const batch = this.buffer;
+        this.buffer = [];
+
+        try {
+            const backend = await this.ready();
+            await backend.put(batch);
+            await backend.prune(this.getLimits());
+        } catch (e) {
+            console.warn('Analytics storage failed:', e);
+        }
+    },
+
+    /**
+     * Oldest timestamp and largest count allowed by the config
+     */
+    getLimits() {
+        const { maxEvents, maxAgeDays } = APP_CONFIG.analytics.storage;
+        return {
+            maxEvents,
+            minTimestamp: Date.now() - maxAgeDays * 24 * 60 * 60 * 1000,
+        };
+    },
+
+    /**
+     * Events matching { name, from, to }, oldest first, including ones not
+     * written yet
+     */
+    async query({ name, from = -Infinity, to = Infinity } = {}) {
+        const backend = await this.ready();
+        const stored = await backend.query({ name, from, to });
+        const buffered = EventStore.filter(this.buffer, { name, from, to });
+        return stored.concat(buffered);
+    },
+
+    /**
+     * Number of events in an optional { from, to } range
+     */
+    async count({ from = -Infinity, to = Infinity } = {}) {
+        const backend = await this.ready();
+        const stored = await backend.count({ from, to });
+        return stored + EventStore.filter(this.buffer, { from, to }).length;
+    },
+
+    /**
+     * Delete every stored event
+     */
+    async clear() {
+        clearTimeout(this.writeTimer);
+        this.writeTimer = null;
+        this.buffer = [];
+
+        const backend = await this.ready();
+        await backend.clear();
+    },
+
+    /**
+     * In-memory equivalent of a backend query
+     */
+    filter(events, { name, from = -Infinity, to = Infinity }) {
+        return events.filter(e => (!name || e.name === name)
+            && e.data.timestamp >= from
+            && e.data.timestamp <= to);
+    }
+};
+
+/**
+ * IndexedDB storage: one record per event, indexed by time and by name + time
+ */
+class IndexedDBEventBackend {
+    constructor(db) {
+        this.db = db;
+        this.storeName = APP_CONFIG.analytics.storage.storeName;
+    }
+
+    /**
+     * Run a request-producing callback in a transaction, resolving when it commits
+     */
+    transaction(mode, callback) {
+        return new Promise((resolve, reject) => {
+            const tx = this.db.transaction(this.storeName, mode);
+            let result;
+            const request = callback(tx.objectStore(this.storeName));
+            if (request) {
+                request.onsuccess = () => { result = request.result; };
+            }
+            tx.oncomplete = () => resolve(result);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        });
+    }
+
+    put(events) {
+        return this.transaction('readwrite', (store) => {
+            events.forEach(event => store.put(event));
+        });
+    }
+
+    query({ name, from, to }) {
+        return this.transaction('readonly', (store) => {
+            if (name) {
+                return store.index('name_timestamp').getAll(IDBKeyRange.bound([name, from], [name, to]));
+            }
+            return store.index('timestamp').getAll(IDBKeyRange.bound(from, to));
+        });
+    }
+
+    /**
+     * Delete events older than minTimestamp, then the oldest beyond maxEvents
+     */
+    prune({ maxEvents, minTimestamp }) {
+        return this.transaction('readwrite', (store) => {
+            const index = store.index('timestamp');
+
+            const trimToCount = () => {
+                store.count().onsuccess = (e) => {
+                    let excess = e.target.result - maxEvents;
+                    if (excess <= 0) return;
+
+                    index.openCursor().onsuccess = (event) => {
+                        const cursor = event.target.result;
+                        if (!cursor || excess <= 0) return;
+                        cursor.delete();
+                        excess--;
+                        cursor.continue();
+                    };
+                };
+            };
+
+            index.openCursor(IDBKeyRange.upperBound(minTimestamp, true)).onsuccess = (e) => {
+                const cursor = e.target.result;
+                if (!cursor) {
+                    trimToCount();
+                    return;
+                }
+                cursor.delete();
+                cursor.continue();
+            };
+        });
+    }
+
+    count({ from, to }) {
+        return this.transaction('readonly', store => store.index('timestamp').count(IDBKeyRange.bound(from, to)));
+    }
+
+    clear() {
+        return this.transaction('readwrite', store => store.clear());
+    }
+}
+
+/**
+ * localStorage fallback: all events in one JSON array under trackingKey
+ */
+class LocalStorageEventBackend {
+    load() {
+        try {
+            const data = localStorage.getItem(APP_CONFIG.analytics.trackingKey);
+            return data ? JSON.parse(data) : [];
+        } catch (e) {
+            console.warn('Analytics load failed:', e);
+            return [];
+        }
+    }
+
+    save(events) {
+        try {
+            localStorage.setItem(APP_CONFIG.analytics.trackingKey, JSON.stringify(events));
+        } catch (e) {
+            // Quota exceeded: keep the newest half rather than losing everything
+            console.warn('Analytics storage full, dropping oldest events:', e);
+            if (events.length > 1) this.save(events.slice(Math.floor(events.length / 2)));
+        }
+    }
+
+    async put(events) {
+        this.save(this.load().concat(events));
+    }
+
+    async query(filter) {
+        return EventStore.filter(this.load(), filter)
+            .sort((a, b) => a.data.timestamp - b.data.timestamp);
+    }
+
+    async count(filter) {
+        return EventStore.filter(this.load(), filter).length;
+    }
+
+    async prune({ maxEvents, minTimestamp }) {
+        const events = this.load();
+        const kept = events.filter(e => e.data.timestamp >= minTimestamp).slice(-maxEvents);
+        if (kept.length !== events.length) this.save(kept);
+    }
+
+    async clear() {
+        localStorage.removeItem(APP_CONFIG.analytics.trackingKey);
+    }
+}
+
+// =============================================================================
+// Web Vitals Module
+// =============================================================================
+
+// [good, poor] boundaries from web.dev: values <= good are "good", > poor are "poor"
+const WEB_VITALS_THRESHOLDS = {
+    LCP: [2500, 4000],
+    CLS: [0.1, 0.25],
+    INP: [200, 500],
+    FCP: [1800, 3000],
+    TTFB: [800, 1800],
+};
+
+const WebVitals = {
+    /**
+     * Start collecting LCP, CLS, INP, FCP and TTFB. They are reported
+     * together as one `web_vitals` event when the page is first hidden.
+     */
+    init() {
+        if (!('PerformanceObserver' in window) || this.observers) return;
+
+        this.values = {};
+        this.observers = [];
+        this.interactions = new Map();
+        this.reported = false;
+        this.firstHiddenTime = document.visibilityState === 'hidden' ? 0 : Infinity;
+
+        this.collectTTFB();
+        this.observeFCP();
+        this.observeLCP();
+        this.observeCLS();
+        this.observeINP();
+
+        Analytics.onHide(() => {
+            this.firstHiddenTime = Math.min(this.firstHiddenTime, performance.now());
+            this.report();
+        });
+    },
+
+    /**
+     * Observe an entry type with buffering, if the browser supports it
+     */
+    observe(type, callback, options = {}) {
+        if (!PerformanceObserver.supportedEntryTypes?.includes(type)) return null;
+
+        try {
+            const observer = new PerformanceObserver(list => callback(list.getEntries()));
+            observer.observe({ type, buffered: true, ...options });
+            this.observers.push(observer);
+            return observer;
+        } catch (e) {
+            return null;
+        }
+    },
+
+    /**
+     * Time to first byte, from navigation (or prerender activation) start
+     */
+    collectTTFB() {
+        const navigation = performance.getEntriesByType?.('navigation')[0];
+        if (!navigation || navigation.responseStart <= 0) return;
+
+        this.values.TTFB = Math.max(navigation.responseStart - (navigation.activationStart || 0), 0);
+    },
+
+    /**
+     * First contentful paint, ignored if the page was hidden before it
+     */
+    observeFCP() {
+        const observer = this.observe('paint', entries => {
+            const fcp = entries.find(entry => entry.name === 'first-contentful-paint');
+            if (fcp && fcp.startTime < this.firstHiddenTime) {
+                this.values.FCP = fcp.startTime;
+                observer?.disconnect();
+            }
+        });
+    },
+
+    /**
+     * Largest contentful paint: the last candidate before the first user
+     * input or the page being hidden
+     */
+    observeLCP() {
+        const handleEntries = entries => {
+            entries.forEach(entry => {
+                if (entry.startTime < this.firstHiddenTime) {
+                    this.values.LCP = entry.startTime;
+                }
+            });
+        };
+        const observer = this.observe('largest-contentful-paint', handleEntries);
+        if (!observer) return;
+
+        const finalize = () => {
+            handleEntries(observer.takeRecords());
+            observer.disconnect();
+            ['keydown', 'pointerdown'].forEach(type => removeEventListener(type, finalize, true));
+        };
+        ['keydown', 'pointerdown'].forEach(type => addEventListener(type, finalize, { capture: true, once: true }));
+        Analytics.onHide(finalize);
+    },
+
+    /**
+     * Cumulative layout shift: the largest session window of shifts not
+     * caused by recent input (windows close after a 1s gap or 5s total)
+     */
+    observeCLS() {
+        let windowValue = 0;
+        let windowEntries = [];
+
+        const observer = this.observe('layout-shift', entries => {
+            entries.forEach(entry => {
+                if (entry.hadRecentInput) return;
+
+                const first = windowEntries[0];
+                const last = windowEntries[windowEntries.length - 1];
+                if (last && entry.startTime - last.startTime < 1000 && entry.startTime - first.startTime < 5000) {
+                    windowValue += entry.value;
+                    windowEntries.push(entry);
+                } else {
+                    windowValue = entry.value;
+                    windowEntries = [entry];
+                }
+
+                this.values.CLS = Math.max(this.values.CLS || 0, windowValue);
+            });
+        });
+
+        if (observer) {
+            this.values.CLS = this.values.CLS || 0;
+            Analytics.onHide(() => observer.takeRecords());
+        }
+    },
+
+    /**
+     * Interaction to next paint: the slowest interaction, ignoring one
+     * outlier per 50 interactions (approximates the 98th percentile)
+     */
+    observeINP() {
+        const handleEntries = entries => {
+            entries.forEach(entry => {
+                if (!entry.interactionId) return;
+                const current = this.interactions.get(entry.interactionId) || 0;
+                this.interactions.set(entry.interactionId, Math.max(current, entry.duration));
+            });
+
+            const durations = Array.from(this.interactions.values()).sort((a, b) => b - a);
+            if (durations.length > 0) {
+                const count = performance.interactionCount || durations.length;
+                this.values.INP = durations[Math.min(durations.length - 1, Math.floor(count / 50))];
+            }
+        };
+
+        this.observe('first-input', handleEntries);
+        const observer = this.observe('event', handleEntries, { durationThreshold: 40 });
+        if (observer) {
+            Analytics.onHide(() => handleEntries(observer.takeRecords()));
+        }
+    },
+
+    /**
+     * Rate a value against the standard thresholds
+     */
+    rate(metric, value) {
+        const [good, poor] = WEB_VITALS_THRESHOLDS[metric];
+        if (value <= good) return 'good';
+        if (value <= poor) return 'needs-improvement';
+        return 'poor';
+    },
+
+    /**
+     * Track the collected metrics once, as a single event
+     */
+    report() {
+        if (this.reported) return;
+
+        const metrics = {};
+        Object.entries(this.values).forEach(([metric, value]) => {
+            if (typeof value !== 'number') return;
+            const rounded = metric === 'CLS' ? Math.round(value * 10000) / 10000 : Math.round(value);
+            metrics[metric] = { value: rounded, rating: this.rate(metric, rounded) };
+        });
+        if (Object.keys(metrics).length === 0) return;
+
+        this.reported = true;
+        this.observers.forEach(observer => observer.disconnect());
+        Analytics.trackEvent('web_vitals', {
+            metrics,
+            navigationType: performance.getEntriesByType?.('navigation')[0]?.type,
+        });
+    },
+
+    /**
+     * 75th percentile and rating per metric for a list of web_vitals events
+     */
+    summarize(events) {
+        const summary = {};
+        Object.keys(WEB_VITALS_THRESHOLDS).forEach(metric => {
+            const values = events
+                .map(event => event.data.metrics?.[metric]?.value)
+                .filter(value => typeof value === 'number')
+                .sort((a, b) => a - b);
+            if (values.length === 0) return;
+
+            const p75 = values[Math.ceil(values.length * 0.75) - 1];
+            summary[metric] = { p75, rating: this.rate(metric, p75), samples: values.length };
+        });
+        return summary;
+    }
+};
+
+// =============================================================================
+// Animation Module
+// =============================================================================
+
+const Animations = {
+    /**
+     * Initialize animations
+     */
+    init() {
+        if (Utils.prefersReducedMotion()) {
+            document.body.classList.add('reduced-motion');
+            return;
+        }
+
+        this.setupIntersectionObserver();
+        this.setupNumberAnimations();
+        this.setupScrollAnimations();
+    },
+
+    /**
+     * Setup intersection observer for fade-in animations
+     */
+    setupIntersectionObserver() {
+        const options = {
+            threshold: 0.1,
+            rootMargin: '0px 0px -50px 0px',
+        };
+
+        const observer = new IntersectionObserver((entries) => {
+            entries.forEach(entry => {
+                if (entry.isIntersecting) {
+                    entry.target.classList.add('animate-in');
+                    observer.unobserve(entry.target);
+                }
+            });
+        }, options);
+
+        // Observe elements
+        [...Template.queryAll('card'), ...Template.queryAll('group')].forEach(el => {
+            el.classList.add('animate-ready');
+            observer.observe(el);
+        });
+    },
+
+    /**
+     * Setup number counter animations
+     */
+    setupNumberAnimations() {
+        const observer = new IntersectionObserver((entries) => {
+            entries.forEach(entry => {
+                if (entry.isIntersecting) {
+                    const target = parseInt(entry.target.dataset.target);
+                    if (!isNaN(target)) {
+                        Utils.animateNumber(entry.target, target);
+                        observer.unobserve(entry.target);
+                    }
+                }
+            });
+        }, { threshold: 0.5 });
+
+        Template.queryAll('statNumber').forEach(el => {
+            observer.observe(el);
+        });
+    },
+
+    /**
+     * Setup scroll-based animations
+     */
+    setupScrollAnimations() {
+        let ticking = false;
+        
+        const updateScrollAnimations = () => {
+            const scrollY = window.scrollY;
+            const header = Template.query('header');
+            
+            // Header background opacity based on scroll; the color comes from the theme
+            if (header) {
+                const opacity = Math.min(scrollY / 100, 1);
+                header.style.setProperty('--header-opacity', 0.8 + opacity * 0.2);
+            }
+            
+            ticking = false;
+        };
+
+        const onScroll = () => {
+            if (!ticking) {
+                requestAnimationFrame(updateScrollAnimations);
+                ticking = true;
+            }
+        };
+
+        window.addEventListener('scroll', Utils.debounce(onScroll, 16));
+    }
+};
+
+// =============================================================================
+// Theme Module
+// =============================================================================
+
+/**
+ * Built-in themes. `tokens` apply in both modes; `light` and `dark` hold the
+ * mode-specific colors. Keys are CSS custom property names without "--";
+ * anything a theme leaves out falls back to the stylesheet defaults.
+ */
+const THEMES = {
+    default: {
+        label: 'Link Pro',
+        tokens: {},
+        light: {},
+        dark: {},
+    },
+    ocean: {
+        label: 'Ocean',
+        tokens: {
+            'card-radius': 'var(--radius-2xl)',
+        },
+        light: {
+            'color-accent': '#0e7490',
+            'color-accent-light': '#0891b2',
+            'color-accent-dark': '#155e75',
+            'color-surface': '#f8fdff',
+            'color-surface-elevated': '#ecf8fc',
+            'color-surface-border': '#cfe8f0',
+        },
+        dark: {
+            'color-accent': '#22d3ee',
+            'color-accent-light': '#67e8f9',
+            'color-accent-dark': '#06b6d4',
+            'color-surface': '#0b1d26',
+            'color-surface-elevated': '#112a36',
+            'color-surface-border': '#1e3a48',
+            'color-text-inverse': '#0b1d26',
+        },
+    },
+    sunset: {
+        label: 'Sunset',
+        tokens: {
+            'font-family-display': "'Space Grotesk', Georgia, serif",
+            'button-font-weight': 'var(--font-weight-bold)',
+        },
+        light: {
+            'color-accent': '#c2410c',
+            'color-accent-light': '#ea580c',
+            'color-accent-dark': '#9a3412',
+            'color-surface': '#fffaf5',
+            'color-surface-elevated': '#fff1e6',
+            'color-surface-border': '#fcd9bd',
+        },
+        dark: {
+            'color-accent': '#fb923c',
+            'color-accent-light': '#fdba74',
+            'color-accent-dark': '#f97316',
+            'color-surface': '#1c1410',
+            'color-surface-elevated': '#2a1e17',
+            'color-surface-border': '#3d2b20',
+            'color-text-inverse': '#1c1410',
+        },
+    },
+    forest: {
+        label: 'Forest',
+        tokens: {
+            'card-radius': 'var(--radius-md)',
+            'button-radius': 'var(--radius-md)',
+            'button-text-transform': 'uppercase',
+        },
+        light: {
+            'color-accent': '#15803d',
+            'color-accent-light': '#16a34a',
+            'color-accent-dark': '#166534',
+            'color-surface': '#fbfdf9',
+            'color-surface-elevated': '#f0f7ec',
+            'color-surface-border': '#d5e8cc',
+        },
+        dark: {
+            'color-accent': '#4ade80',
+            'color-accent-light': '#86efac',
+            'color-accent-dark': '#22c55e',
+            'color-surface': '#0f1a12',
+            'color-surface-elevated': '#16261a',
+            'color-surface-border': '#233a28',
+            'color-text-inverse': '#0f1a12',
+        },
+    },
+};
+
+// Foreground/background token pairs checked against WCAG 2.1 minimum contrast
+const THEME_CONTRAST_PAIRS = [
+    { foreground: 'color-text-primary', background: 'color-surface', minimum: 4.5 },
+    { foreground: 'color-text-secondary', background: 'color-surface', minimum: 4.5 },
+    { foreground: 'color-accent', background: 'color-surface', minimum: 3 },
+    { foreground: 'color-text-inverse', background: 'color-accent', minimum: 4.5 },
+];
+
+// Labels are the "theme.<id>" messages
+const THEME_MODES = [
+    { id: 'light', icon: 'fas fa-sun' },
+    { id: 'dark', icon: 'fas fa-moon' },
+    { id: 'system', icon: 'fas fa-desktop' },
+];
+
+const Theme = {
+    appliedTokens: [],
+
+    /**
+     * Initialize theme system with the profile's theme config
+     */
+    init(config = {}) {
+        this.config = config;
+        this.theme = this.resolve(config);
+        this.currentTheme = this.getStoredTheme() || config.mode || 'system';
+        this.applyTheme(this.currentTheme);
+        this.setupThemeToggle();
+        this.watchSystemTheme();
+    },
+
+    /**
+     * Register a named theme
+     */
+    register(name, theme) {
+        THEMES[name] = { label: name, tokens: {}, light: {}, dark: {}, ...theme };
+    },
+
+    /**
+     * Merge a profile theme config ({ name, tokens, light, dark }) over the
+     * registered theme it names
+     */
+    resolve(config = {}) {
+        const base = THEMES[config.name] || THEMES.default;
+        if (config.name && !THEMES[config.name]) {
+            console.warn(`Unknown theme "${config.name}", using the default theme`);
+        }
+
+        return {
+            tokens: { ...base.tokens, ...config.tokens },
+            light: { ...base.light, ...config.light },
+            dark: { ...base.dark, ...config.dark },
+        };
+    },
+
+    /**
+     * Get stored theme preference
+     */
+    getStoredTheme() {
+        const stored = localStorage.getItem('linkpro_theme');
+        return THEME_MODES.some(mode => mode.id === stored) ? stored : null;
+    },
+
+    /**
+     * Store theme preference
+     */
+    storeTheme(theme) {
+        localStorage.setItem('linkpro_theme', theme);
+    },
+
+    /**
+     * Resolve "system" to the OS color scheme
+     */
+    resolveMode(theme) {
+        if (theme !== 'system') return theme;
+        return window.matchMedia('(prefers-color-scheme: dark)').matches ? 'dark' : 'light';
+    },
+
+    /**
+     * Apply theme
+     */
+    applyTheme(theme) {
+        const html = document.documentElement;
+        const mode = this.resolveMode(theme);
+
+        html.setAttribute('data-theme', mode);
+        this.applyTokens({ ...this.theme.tokens, ...this.theme[mode] });
+        this.enforceContrast(mode);
+
+        this.updateThemeIcon(theme);
+    },
+
+    /**
+     * Set theme tokens as custom properties, clearing the previous theme's
+     */
+    applyTokens(tokens) {
+        const style = document.documentElement.style;
+        this.appliedTokens.forEach(name => style.removeProperty(`--${name}`));
+        this.appliedTokens = [];
+
+        Object.entries(tokens).forEach(([name, value]) => {
+            if (!/^[a-z][a-z0-9-]*$/.test(name)) return;
+            style.setProperty(`--${name}`, value);
+            this.appliedTokens.push(name);
+        });
+
+        // The header blends the surface color with transparency
+        const surface = Utils.parseColor(tokens['color-surface'] || '');
+        if (surface) {
+            style.setProperty('--color-surface-rgb', surface.join(' '));
+            this.appliedTokens.push('color-surface-rgb');
+        }
+    },
+
+    /**
+     * Read the effective value of a color token
+     */
+    getToken(name) {
+        return getComputedStyle(document.documentElement).getPropertyValue(`--${name}`).trim();
+    },
+
+    /**
+     * Check the active colors against WCAG contrast minimums
+     */
+    checkContrast() {
+        return THEME_CONTRAST_PAIRS.map(pair => {
+            const ratio = Utils.contrastRatio(this.getToken(pair.foreground), this.getToken(pair.background));
+            return { ...pair, ratio, passes: ratio === null || ratio >= pair.minimum };
+        });
+    },
+
+    /**
+     * Brand accents that fail contrast are shifted toward black or white
+     * until every accent pair passes, with a console warning
+     */
+    enforceContrast(mode) {
+        const failures = this.checkContrast().filter(result => !result.passes);
+        this.contrast = failures;
+        if (failures.length === 0) return;
+
+        failures.forEach(({ foreground, background, ratio, minimum }) => {
+            console.warn(`Theme contrast: --${foreground} on --${background} is ${ratio.toFixed(2)}:1, WCAG requires ${minimum}:1`);
+        });
+
+        const involvesAccent = pair => [pair.foreground, pair.background].includes('color-accent');
+        if (!failures.some(involvesAccent)) return;
+
+        const accentPairs = THEME_CONTRAST_PAIRS.filter(involvesAccent);
+
+        const style = document.documentElement.style;
+        const original = this.getToken('color-accent');
+        const passes = () => accentPairs.every(pair => {
+            const ratio = Utils.contrastRatio(this.getToken(pair.foreground), this.getToken(pair.background));
+            return ratio === null || ratio >= pair.minimum;
+        });
+
+        // Prefer the direction that keeps the mode's character: darker on light, lighter on dark
+        const targets = mode === 'dark' ? [[255, 255, 255], [0, 0, 0]] : [[0, 0, 0], [255, 255, 255]];
+        for (const target of targets) {
+            for (let step = 1; step <= 20; step++) {
+                const candidate = Utils.mixColors(original, target, step / 20);
+                style.setProperty('--color-accent', candidate);
+                if (passes()) {
+                    console.warn(`Theme contrast: using ${candidate} instead of accent ${original}`);
+                    if (!this.appliedTokens.includes('color-accent')) this.appliedTokens.push('color-accent');
+                    this.contrast = this.checkContrast().filter(result => !result.passes);
+                    return;
+                }
+            }
+        }
+
+        // No accent satisfies every pair (e.g. a mid-tone surface); keep the brand color
+        if (this.appliedTokens.includes('color-accent')) {
+            style.setProperty('--color-accent', original);
+        } else {
+            style.removeProperty('--color-accent');
+        }
+    },
+
+    /**
+     * Update the picker to reflect the selected mode
+     */
+    updateThemeIcon(theme) {
+        document.querySelectorAll('.theme-picker [data-theme-mode]').forEach(button => {
+            const selected = button.dataset.themeMode === theme;
+            button.setAttribute('aria-checked', String(selected));
+            button.tabIndex = selected ? 0 : -1;
+        });
+    },
+
+    /**
+     * Replace the theme toggle with a light/dark/system picker
+     */
+    setupThemeToggle() {
+        const toggle = Template.query('themeToggle');
+        if (!toggle) return;
+
+        const picker = document.createElement('div');
+        picker.className = 'theme-picker';
+        picker.id = Template.className('themeToggle');
+        picker.setAttribute('role', 'radiogroup');
+        picker.setAttribute('aria-label', I18n.t('theme.label'));
+        picker.innerHTML = THEME_MODES.map(mode => {
+            const label = Utils.escapeHtml(I18n.t(`theme.${mode.id}`));
+            return `
+            <button type="button" role="radio" data-theme-mode="${mode.id}" aria-label="${label}" title="${label}">
+                <i class="${mode.icon}" aria-hidden="true"></i>
+            </button>`;
+        }).join('');
+        toggle.replaceWith(picker);
+
+        const select = (theme) => {
+            if (theme === this.currentTheme) return;
+            this.currentTheme = theme;
+            this.storeTheme(theme);
+            this.applyTheme(theme);
+
+            // Track theme change
+            Analytics.trackEvent('theme_change', {
+                theme,
+            });
+        };
+
+        picker.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-theme-mode]');
+            if (button) select(button.dataset.themeMode);
+        });
+
+        // Arrow keys move the selection, as in a native radio group
+        picker.addEventListener('keydown', (e) => {
+            const offset = { ArrowRight: 1, ArrowDown: 1, ArrowLeft: -1, ArrowUp: -1 }[e.key];
+            if (!offset) return;
+            e.preventDefault();
+
+            const index = THEME_MODES.findIndex(mode => mode.id === this.currentTheme);
+            const next = THEME_MODES[(index + offset + THEME_MODES.length) % THEME_MODES.length];
+            select(next.id);
+            picker.querySelector(`[data-theme-mode="${next.id}"]`).focus();
+        });
+
+        this.updateThemeIcon(this.currentTheme);
+    },
+
+    /**
+     * Watch system theme changes
+     */
+    watchSystemTheme() {
+        const mediaQuery = window.matchMedia('(prefers-color-scheme: dark)');
+        
+        mediaQuery.addEventListener('change', (e) => {
+            if (this.currentTheme === 'system') {
+                this.applyTheme('system');
+            }
+        });
+    }
+};
+
+// =============================================================================
+// Template Module
+// =============================================================================
+
+// Page chrome shared by every layout: the header brand and menu button, the
+// footer with the theme picker and consent settings, and the loading screen
+const TEMPLATE_CHROME_SELECTORS = {
+    brandTitle: '.brand-title',
+    footerActions: '.footer-actions',
+    themeToggle: '#themeToggle',
+    navToggle: '#navToggle',
+    loadingScreen: '#loadingScreen',
+};
+
+/**
+ * Page layouts. Each declares the page and stylesheets it is built from, the
+ * markup ProfileRenderer writes for it, and a selector map naming its parts,
+ * so every module works on any layout. Selectors are a single class or id:
+ * the build and the editor also use them as class names. Layouts leave out
+ * parts they don't have.
+ */
+const TEMPLATES = {
+    clean: {
+        label: 'Clean',
+        page: 'index.html',
+        styles: ['style-clean.css'],
+        selectors: {
+            ...TEMPLATE_CHROME_SELECTORS,
+            header: '.header',
+            hero: '.hero-content',
+            heroTitle: '.hero-title',
+            heroSubtitle: '.hero-subtitle',
+            heroDescription: '.hero-description',
+            avatar: '.avatar-image',
+            stat: '.stat',
+            statNumber: '.stat-number',
+            statLabel: '.stat-label',
+            links: '.links-container',
+            group: '.links-group',
+            groupTitle: '.links-title',
+            grid: '.links-grid',
+            card: '.link-card',
+            cardIcon: '.link-icon',
+            cardContent: '.link-content',
+            cardTitle: '.link-title',
+            cardDescription: '.link-description',
+        },
+        markup: {
+            hero(profile, stats) {
+                const escape = Utils.escapeHtml;
+                const avatar = profile.avatar;
+                const status = avatar?.status && avatar.status !== 'none'
+                    ? `<div class="avatar-status ${escape(avatar.status)}"></div>`
+                    : '';
+
+                return `
+            ${avatar ? `
+            <div class="hero-avatar">
+                <img src="${escape(avatar.src)}" alt="${escape(avatar.alt || profile.name)}" class="avatar-image" loading="lazy">
+                ${status}
+            </div>` : ''}
+            <div class="hero-text">
+                <h1 class="hero-title">${escape(profile.name)}</h1>
+                ${profile.subtitle ? `<p class="hero-subtitle">${escape(profile.subtitle)}</p>` : ''}
+                ${profile.description ? `<p class="hero-description">${escape(profile.description)}</p>` : ''}
+            </div>
+            ${stats.length > 0 ? `<div class="hero-stats">${stats.join('')}
+            </div>` : ''}
+        `;
+            },
+
+            stat(stat) {
+                return `
+                <div class="stat">
+                    <span class="stat-number" data-target="${Number(stat.value)}">0</span>
+                    <span class="stat-label">${Utils.escapeHtml(stat.label)}</span>
+                </div>`;
+            },
+
+            group(group, cards) {
+                const escape = Utils.escapeHtml;
+                return `
+            <div class="links-group" data-group-id="${escape(group.id)}">
+                <h2 class="links-title">${escape(group.title)}</h2>
+                <div class="links-grid" role="list">
+                    ${cards.join('')}
+                </div>
+            </div>`;
+            },
+
+            card(link, attributes) {
+                const escape = Utils.escapeHtml;
+                return `
+                    <a class="link-card"${attributes}>
+                        <div class="link-icon">
+                            <i class="${escape(link.icon || 'fas fa-link')}"></i>
+                        </div>
+                        <div class="link-content">
+                            <h3 class="link-title">${escape(link.title)}</h3>
+                            ${link.description ? `<p class="link-description">${escape(link.description)}</p>` : ''}
+                        </div>
+                        <div class="link-arrow">
+                            <i class="fas fa-arrow-right"></i>
+                        </div>
+                    </a>`;
+            },
+        },
+    },
+    professional: {
+        label: 'Professional',
+        page: 'index-professional.html',
+        styles: ['style-clean.css', 'style-professional.css'],
+        selectors: {
+            ...TEMPLATE_CHROME_SELECTORS,
+            hero: '.hero-content',
+            heroTitle: '.hero-title',
+            heroSubtitle: '.hero-subtitle',
+            heroDescription: '.hero-description',
+            avatar: '.hero-avatar',
+            stat: '.stat-card',
+            statNumber: '.stat-number',
+            statLabel: '.stat-label',
+            links: '.links-container',
+            group: '.links-section',
+            groupTitle: '.section-title',
+            grid: '.links-list',
+            card: '.link-card',
+            cardIcon: '.link-icon',
+            cardContent: '.link-content',
+            cardTitle: '.link-title',
+            cardDescription: '.link-description',
+        },
+        markup: {
+            hero(profile, stats) {
+                const escape = Utils.escapeHtml;
+                const avatar = profile.avatar;
+
+                return `
+            <div class="hero-header">
+                ${avatar ? `<img src="${escape(avatar.src)}" alt="${escape(avatar.alt || profile.name)}" class="hero-avatar">` : ''}
+                <div class="hero-info">
+                    <h1 class="hero-title">${escape(profile.name)}</h1>
+                    ${profile.subtitle ? `<p class="hero-subtitle">${escape(profile.subtitle)}</p>` : ''}
+                    ${profile.description ? `<p class="hero-description">${escape(profile.description)}</p>` : ''}
+                </div>
+            </div>
+            ${stats.length > 0 ? `<div class="stats-section">${stats.join('')}
+            </div>` : ''}
+        `;
+            },
+
+            stat(stat) {
+                return `
+                <div class="stat-card">
+                    <div class="stat-number" data-target="${Number(stat.value)}">0</div>
+                    <div class="stat-label">${Utils.escapeHtml(stat.label)}</div>
+                </div>`;
+            },
+
+            group(group, cards) {
+                const escape = Utils.escapeHtml;
+                return `
+        <div class="links-section" data-group-id="${escape(group.id)}">
+            <h3 class="section-title">${escape(group.title)}</h3>
+            <div class="links-list" role="list">
+                ${cards.join('')}
+            </div>
+        </div>`;
+            },
+
+            card(link, attributes) {
+                const escape = Utils.escapeHtml;
+                return `
+                <a class="link-card"${attributes}>
+                    <div class="link-icon">
+                        <i class="${escape(link.icon || 'fas fa-link')}"></i>
+                    </div>
+                    <div class="link-content">
+                        <div class="link-title">${escape(link.title)}</div>
+                        ${link.description ? `<div class="link-description">${escape(link.description)}</div>` : ''}
+                    </div>
+                    <div class="link-arrow">
+                        <i class="fas fa-arrow-right"></i>
+                    </div>
+                </a>`;
+            },
+        },
+    },
+    2026: {
+        label: '2026',
+        page: 'index-2026.html',
+        styles: ['style-clean.css', 'style-2026.css'],
+        selectors: {
+            ...TEMPLATE_CHROME_SELECTORS,
+            hero: '.hero-content-2026',
+            heroTitle: '.hero-title-2026',
+            heroSubtitle: '.hero-subtitle-2026',
+            heroDescription: '.hero-description-2026',
+            avatar: '.hero-avatar-2026',
+            stat: '.stat-card-2026',
+            statNumber: '.stat-number-2026',
+            statLabel: '.stat-label-2026',
+            links: '.links-container-2026',
+            group: '.links-group-2026',
+            groupTitle: '.section-title-2026',
+            grid: '.links-grid-2026',
+            card: '.link-card-2026',
+            cardIcon: '.link-icon-2026',
+            cardContent: '.link-content-2026',
+            cardTitle: '.link-title-2026',
+            cardDescription: '.link-description-2026',
+        },
+        markup: {
+            hero(profile, stats) {
+                const escape = Utils.escapeHtml;
+                const avatar = profile.avatar;
+
+                return `
+            <div class="hero-header-2026">
+                <div class="hero-brand-2026">
+                    <h1 class="hero-title-2026">${escape(profile.name)}</h1>
+                    ${profile.subtitle ? `<p class="hero-subtitle-2026">${escape(profile.subtitle)}</p>` : ''}
+                </div>
+                ${avatar ? `
+                <div class="hero-avatar-container-2026">
+                    <img src="${escape(avatar.src)}" alt="${escape(avatar.alt || profile.name)}" class="hero-avatar-2026">
+                </div>` : ''}
+            </div>
+            ${profile.description ? `<p class="hero-description-2026">${escape(profile.description)}</p>` : ''}
+            ${stats.length > 0 ? `<div class="stats-section-2026">${stats.join('')}
+            </div>` : ''}
+        `;
+            },
+
+            stat(stat) {
+                return `
+                <div class="stat-card-2026">
+                    <div class="stat-number-2026" data-target="${Number(stat.value)}">0</div>
+                    <div class="stat-label-2026">${Utils.escapeHtml(stat.label)}</div>
+                </div>`;
+            },
+
+            group(group, cards) {
+                const escape = Utils.escapeHtml;
+                return `
+        <div class="links-group-2026 animate-fadeInUp-2026" data-group-id="${escape(group.id)}">
+            <h2 class="section-title-2026">${escape(group.title)}</h2>
+            <div class="links-grid-2026" role="list">
+                ${cards.join('')}
+            </div>
+        </div>`;
+            },
+
+            card(link, attributes) {
+                const escape = Utils.escapeHtml;
+                return `
+                <a class="link-card-2026"${attributes}>
+                    <div class="link-icon-2026">
+                        <i class="${escape(link.icon || 'fas fa-link')}"></i>
+                    </div>
+                    <div class="link-content-2026">
+                        <div class="link-title-2026">${escape(link.title)}</div>
+                        ${link.description ? `<div class="link-description-2026">${escape(link.description)}</div>` : ''}
+                    </div>
+                    <div class="link-arrow-2026">
+                        <i class="fas fa-arrow-right"></i>
+                    </div>
+                </a>`;
+            },
+        },
+    },
+};
+
+const Template = {
+    name: APP_CONFIG.template.default,
+
+    /**
+     * Pick up the layout the page declares with <html data-template>
+     */
+    init() {
+        const declared = document.documentElement.dataset.template;
+        if (declared && TEMPLATES[declared]) {
+            this.name = declared;
+        } else if (declared) {
+            console.warn(`Unknown template "${declared}", using "${this.name}"`);
+        }
+    },
+
+    /**
+     * The page's markup decides the layout, so a profile asking for another
+     * one is only reported; the build renders it with the right page
+     */
+    checkProfile(profile) {
+        if (profile?.template && profile.template !== this.name) {
+            console.warn(`Profile uses the "${profile.template}" template, this page is "${this.name}". Open ${TEMPLATES[profile.template]?.page || 'its page'} or rebuild the site.`);
+        }
+    },
+
+    /**
+     * Register a layout
+     */
+    register(name, template) {
+        TEMPLATES[name] = { label: name, styles: [], ...template };
+    },
+
+    /**
+     * The active layout
+     */
+    get current() {
+        return TEMPLATES[this.name] || TEMPLATES[APP_CONFIG.template.default];
+    },
+
+    /**
+     * Selector for a named part of the layout, or undefined if it has none
+     */
+    selector(part) {
+        return this.current.selectors[part];
+    },
+
+    /**
+     * Class name for a part, for elements created at runtime
+     */
+    className(part) {
+        return this.selector(part)?.replace(/^[.#]/, '');
+    },
+
+    /**
+     * First element for a part
+     */
+    query(part, root = document) {
+        const selector = this.selector(part);
+        return selector ? root.querySelector(selector) : null;
+    },
+
+    /**
+     * All elements for a part
+     */
+    queryAll(part, root = document) {
+        const selector = this.selector(part);
+        return selector ? Array.from(root.querySelectorAll(selector)) : [];
+    },
+
+    /**
+     * Nearest ancestor (or self) for a part
+     */
+    closest(element, part) {
+        const selector = this.selector(part);
+        return selector ? element.closest?.(selector) || null : null;
+    },
+
+    /**
+     * Rendered card for a link ID
+     */
+    findCard(linkId) {
+        return document.querySelector(`${this.selector('card')}[data-link-id="${linkId}"]`);
+    },
+
+    /**
+     * Rendered group for a group ID
+     */
+    findGroup(groupId) {
+        return document.querySelector(`${this.selector('group')}[data-group-id="${groupId}"]`);
+    }
+};
+
+// =============================================================================
+// Performance Module
+// =============================================================================
+
+const Performance = {
+    /**
+     * Initialize performance optimizations
+     */
+    init() {
+        this.setupImageLazyLoading();
+        this.setupLinkPrefetching();
+        this.setupResourceHints();
+    },
+
+    /**
+     * Setup lazy loading for images
+     */
+    setupImageLazyLoading() {
+        if (!('IntersectionObserver' in window)) return;
+
+        const imageObserver = new IntersectionObserver((entries) => {
+            entries.forEach(entry => {
+                if (entry.isIntersecting) {
+                    const img = entry.target;
+                    if (img.dataset.src) {
+                        img.src = img.dataset.src;
+                        img.removeAttribute('data-src');
+                        imageObserver.unobserve(img);
+                    }
+                }
+            });
+        });
+
+        document.querySelectorAll('img[data-src]').forEach(img => {
+            imageObserver.observe(img);
+        });
+    },
+
+    /**
+     * Setup link prefetching on hover
+     */
+    setupLinkPrefetching() {
+        // Prefetching a click redirect would count a click
+        const links = Template.queryAll('card').filter(link => !link.dataset.destination);
+        const prefetched = new Set();
+
+        links.forEach(link => {
+            link.addEventListener('mouseenter', () => {
+                const href = link.href;
+                if (!prefetched.has(href)) {
+                    const prefetchLink = document.createElement('link');
+                    prefetchLink.rel = 'prefetch';
+                    prefetchLink.href = href;
+                    document.head.appendChild(prefetchLink);
+                    prefetched.add(href);
+                }
+            }, { once: true });
+        });
+    },
+
+    /**
+     * Setup resource hints
+     */
+    setupResourceHints() {
+        // DNS prefetch for external domains
+        const domains = ['fonts.googleapis.com', 'cdnjs.cloudflare.com'];
+        domains.forEach(domain => {
+            const link = document.createElement('link');
+            link.rel = 'dns-prefetch';
+            link.href = `//${domain}`;
+            document.head.appendChild(link);
+        });
+    }
+};
+
+// =============================================================================
+// Accessibility Module
+// =============================================================================
+
+const Accessibility = {
+    /**
+     * Initialize accessibility features
+     */
+    init() {
+        this.setupKeyboardNavigation();
+        this.setupFocusManagement();
+        this.setupAriaLabels();
+        this.setupSkipLinks();
+    },
+
+    /**
+     * Setup keyboard navigation
+     */
+    setupKeyboardNavigation() {
+        // Handle Tab key
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Tab') {
+                document.body.classList.add('keyboard-navigation');
+            }
+        });
+
+        // Handle mouse events
+        document.addEventListener('mousedown', () => {
+            document.body.classList.remove('keyboard-navigation');
+        });
+
+        // Handle Escape key
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') {
+                this.handleEscape(e);
+            }
+        });
+
+        // "/" jumps to the link search; arrow keys step through the cards
+        // it leaves visible
+        document.addEventListener('keydown', (e) => {
+            if (e.defaultPrevented || e.altKey || e.ctrlKey || e.metaKey) return;
+
+            if (e.key === '/' && Search.input && !this.focusTrap && !this.isTyping(e.target)) {
+                e.preventDefault();
+                Search.focus();
+            } else if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+                this.moveBetweenCards(e);
+            }
+        });
+    },
+
+    /**
+     * Whether a key press goes into a text field or editable content
+     */
+    isTyping(target) {
+        return Boolean(target.closest?.('input, textarea, select, [contenteditable]:not([contenteditable="false"])'));
+    },
+
+    /**
+     * Move focus to the next or previous visible card. Down from the
+     * search box goes to the first card, up from the first card back to it.
+     */
+    moveBetweenCards(e) {
+        const fromSearch = Search.input && e.target === Search.input;
+        if (!fromSearch && this.isTyping(e.target)) return;
+
+        const cards = Template.queryAll('card').filter(card => !card.closest('[hidden]'));
+        const index = fromSearch ? -1 : cards.indexOf(Template.closest(e.target, 'card'));
+        if (!fromSearch && index === -1) return;
+
+        const next = index + (e.key === 'ArrowDown' ? 1 : -1);
+        if (next >= cards.length || (next < 0 && (fromSearch || !Search.input))) return;
+
+        e.preventDefault();
+        document.body.classList.add('keyboard-navigation');
+        (next < 0 ? Search.input : cards[next]).focus();
+    },
+
+    /**
+     * Setup focus management
+     */
+    setupFocusManagement() {
+        // Trap focus in drawers and other non-<dialog> overlays
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Tab' && this.focusTrap) {
+                this.keepFocusInTrap(e);
+            }
+        });
+        document.addEventListener('focusin', (e) => {
+            if (this.focusTrap && !this.focusTrap.element.contains(e.target)) {
+                this.focusableIn(this.focusTrap.element)[0]?.focus();
+            }
+        });
+
+        // Ensure focus is visible
+        const style = document.createElement('style');
+        style.textContent = `
+            .keyboard-navigation *:focus {
+                outline: 2px solid var(--color-accent);
+                outline-offset: 2px;
+            }
+        `;
+        document.head.appendChild(style);
+    },
+
+    /**
+     * Keep keyboard focus inside `element` until releaseFocus(). Escape
+     * calls `onEscape`.
+     */
+    trapFocus(element, { onEscape = null, initialFocus = null } = {}) {
+        this.focusTrap = { element, onEscape, returnTo: document.activeElement };
+        (initialFocus || this.focusableIn(element)[0])?.focus();
+    },
+
+    /**
+     * End the focus trap, by default returning focus to where it was
+     */
+    releaseFocus(restoreFocus = true) {
+        const trap = this.focusTrap;
+        this.focusTrap = null;
+        if (restoreFocus) trap?.returnTo?.focus?.();
+    },
+
+    /**
+     * Elements Tab can reach inside a container
+     */
+    focusableIn(element) {
+        return Array.from(element.querySelectorAll('a[href], button:not([disabled]), input:not([disabled]), select:not([disabled]), textarea:not([disabled]), [tabindex]:not([tabindex="-1"])'))
+            .filter(candidate => !candidate.closest('[hidden]'));
+    },
+
+    /**
+     * Wrap Tab and Shift+Tab around the ends of the focus trap
+     */
+    keepFocusInTrap(e) {
+        const focusable = this.focusableIn(this.focusTrap.element);
+        if (focusable.length === 0) {
+            e.preventDefault();
+            return;
+        }
+
+        const first = focusable[0];
+        const last = focusable[focusable.length - 1];
+        if (e.shiftKey && document.activeElement === first) {
+            e.preventDefault();
+            last.focus();
+        } else if (!e.shiftKey && document.activeElement === last) {
+            e.preventDefault();
+            first.focus();
+        }
+    },
+
+    /**
+     * Name link cards by their title and describe them by their
+     * description, so the name stays short and unique
+     */
+    setupAriaLabels() {
+        Template.queryAll('card').forEach((card, index) => {
+            const key = card.dataset.linkId || index + 1;
+            const title = Template.query('cardTitle', card);
+            const description = Template.query('cardDescription', card);
+            if (!title) return;
+
+            title.id = title.id || `link-title-${key}`;
+            card.setAttribute('aria-labelledby', title.id);
+            if (description) {
+                description.id = description.id || `link-description-${key}`;
+                card.setAttribute('aria-describedby', description.id);
+            }
+        });
+    },
+
+    /**
+     * Setup skip links
+     */
+    setupSkipLinks() {
+        const skipLink = document.createElement('a');
+        skipLink.href = '#main';
+        skipLink.className = 'skip-link';
+        skipLink.textContent = I18n.t('app.skipLink');
+        document.body.insertBefore(skipLink, document.body.firstChild);
+    },
+
+    /**
+     * Handle Escape key
+     */
+    handleEscape(e) {
+        // Close the drawer or overlay holding focus; <dialog>s close themselves
+        if (this.focusTrap?.onEscape) {
+            e.preventDefault();
+            this.focusTrap.onEscape();
+        }
+    }
+};
+
+// =============================================================================
+// Navigation Module
+// =============================================================================
+
+// Sections the drawer lists besides the link groups: lead forms, embeds and
+// any markup a page adds with a data-nav-label
+const NAV_SECTION_SELECTORS = ['.lead-form-block', '.embed-block', '[data-nav-label]'];
+
+const Navigation = {
+    isOpen: false,
+    current: null,
+
+    /**
+     * Turn the header's menu button into a drawer listing the page's
+     * sections, and start following which section is on screen
+     */
+    init() {
+        this.toggle = Template.query('navToggle');
+        if (!this.toggle) return;
+
+        this.createDrawer();
+        this.toggle.setAttribute('aria-controls', this.drawer.id);
+        this.toggle.setAttribute('aria-expanded', 'false');
+        this.toggle.setAttribute('aria-label', I18n.t('nav.toggle'));
+        this.toggle.addEventListener('click', () => (this.isOpen ? this.close() : this.open()));
+
+        this.setupScrollSpy();
+        this.refresh();
+
+        // The button only shows on small screens; a drawer left open while
+        // the window grows would have no way to close it
+        window.addEventListener('resize', Utils.debounce(() => {
+            if (this.isOpen && getComputedStyle(this.toggle).display === 'none') this.close();
+        }, 200));
+    },
+
+    /**
+     * The drawer and its backdrop, closed
+     */
+    createDrawer() {
+        const text = (key) => Utils.escapeHtml(I18n.t(key));
+
+        this.backdrop = document.createElement('div');
+        this.backdrop.className = 'nav-backdrop';
+        this.backdrop.hidden = true;
+        this.backdrop.addEventListener('click', () => this.close());
+
+        this.drawer = document.createElement('div');
+        this.drawer.className = 'nav-drawer';
+        this.drawer.id = 'navDrawer';
+        this.drawer.hidden = true;
+        this.drawer.setAttribute('role', 'dialog');
+        this.drawer.setAttribute('aria-modal', 'true');
+        this.drawer.setAttribute('aria-labelledby', 'navDrawerTitle');
+        this.drawer.innerHTML = `
+            <div class="nav-drawer-header">
+                <h2 class="nav-drawer-title" id="navDrawerTitle">${text('nav.title')}</h2>
+                <button type="button" class="nav-drawer-close" aria-label="${text('nav.close')}">
+                    <i class="fas fa-xmark" aria-hidden="true"></i>
+                </button>
+            </div>
+            <nav aria-labelledby="navDrawerTitle">
+                <ul class="nav-drawer-list"></ul>
+            </nav>
+        `;
+        this.drawer.querySelector('.nav-drawer-close').addEventListener('click', () => this.close());
+        this.drawer.querySelector('.nav-drawer-list').addEventListener('click', (e) => {
+            const link = e.target.closest('a[href^="#"]');
+            if (link) this.goTo(link.hash.slice(1));
+        });
+
+        document.body.append(this.backdrop, this.drawer);
+    },
+
+    /**
+     * Link groups and custom sections in page order, each with an ID to
+     * link to and a label
+     */
+    findSections() {
+        const selector = [Template.selector('group'), ...NAV_SECTION_SELECTORS].filter(Boolean).join(', ');
+        const main = document.querySelector('main') || document.body;
+
+        return Array.from(main.querySelectorAll(selector))
+            .filter(element => !element.parentElement.closest(selector))
+            .map(element => ({ element, label: this.sectionLabel(element) }))
+            .filter(section => section.label)
+            .map(section => ({ ...section, id: this.sectionId(section.element, section.label) }));
+    },
+
+    /**
+     * Visible name of a section
+     */
+    sectionLabel(element) {
+        const heading = element.dataset.navLabel
+            || Template.query('groupTitle', element)?.textContent
+            || element.querySelector('.lead-form-title, .embed-title, h2, h3')?.textContent;
+        return heading?.trim() || '';
+    },
+
+    /**
+     * The section's ID, giving it one from its group, form or embed ID (or
+     * its label) when it has none
+     */
+    sectionId(element, label) {
+        if (!element.id) {
+            const key = element.dataset.groupId || element.dataset.formId || element.dataset.embedId || Utils.slugify(label) || 'section';
+            let id = `section-${key}`;
+            for (let n = 2; document.getElementById(id); n++) id = `section-${key}-${n}`;
+            element.id = id;
+        }
+        element.dataset.navSection = '';
+        return element.id;
+    },
+
+    /**
+     * Rebuild the list from the page, leaving out sections that are hidden
+     * (e.g. groups the link search filtered out)
+     */
+    refresh() {
+        const escape = Utils.escapeHtml;
+        this.sections = this.findSections();
+        this.drawer.querySelector('.nav-drawer-list').innerHTML = this.sections
+            .filter(({ element }) => !element.closest('[hidden]'))
+            .map(({ id, label }) => `
+                <li><a class="nav-drawer-link" href="#${escape(id)}">${escape(label)}</a></li>`).join('');
+        this.toggle.hidden = this.sections.length === 0;
+        this.markCurrent(this.current);
+
+        if (this.observer) {
+            this.observer.disconnect();
+            this.visible.clear();
+            this.sections.forEach(({ element }) => this.observer.observe(element));
+        }
+    },
+
+    /**
+     * Open the drawer and keep focus inside it until it closes
+     */
+    open() {
+        if (this.isOpen) return;
+
+        this.refresh();
+        this.isOpen = true;
+        this.drawer.hidden = false;
+        this.backdrop.hidden = false;
+        this.toggle.setAttribute('aria-expanded', 'true');
+        document.body.classList.add('nav-open');
+
+        const current = this.drawer.querySelector('[aria-current]');
+        Accessibility.trapFocus(this.drawer, { onEscape: () => this.close(), initialFocus: current });
+    },
+
+    /**
+     * Close the drawer. Focus goes back to the menu button unless the
+     * visitor is moving on to a section.
+     */
+    close({ restoreFocus = true } = {}) {
+        if (!this.isOpen) return;
+
+        this.isOpen = false;
+        this.drawer.hidden = true;
+        this.backdrop.hidden = true;
+        this.toggle.setAttribute('aria-expanded', 'false');
+        document.body.classList.remove('nav-open');
+        Accessibility.releaseFocus(restoreFocus);
+    },
+
+    /**
+     * Close the drawer for a chosen section and move focus there, so
+     * keyboard and screen reader users continue from it
+     */
+    goTo(id) {
+        const target = document.getElementById(id);
+        this.close({ restoreFocus: !target });
+        if (!target) return;
+
+        if (!target.hasAttribute('tabindex')) target.setAttribute('tabindex', '-1');
+        target.focus({ preventScroll: true });
+    },
+
+    /**
+     * Highlight the section crossing the upper part of the screen. refresh()
+     * points the observer at the current sections.
+     */
+    setupScrollSpy() {
+        if (!('IntersectionObserver' in window)) return;
+
+        this.visible = new Set();
+        this.observer = new IntersectionObserver((entries) => {
+            entries.forEach(entry => {
+                if (entry.isIntersecting) this.visible.add(entry.target); else this.visible.delete(entry.target);
+            });
+            const section = this.sections.find(({ element }) => this.visible.has(element));
+            if (section) this.markCurrent(section.id);
+        }, { rootMargin: '-20% 0px -70% 0px' });
+    },
+
+    /**
+     * Mark a section's entry in the drawer as the current one
+     */
+    markCurrent(id) {
+        this.current = id;
+        this.drawer.querySelectorAll('.nav-drawer-link').forEach(link => {
+            if (link.hash === `#${id}`) {
+                link.setAttribute('aria-current', 'location');
+            } else {
+                link.removeAttribute('aria-current');
+            }
+        });
+    },
+};
+
+// =============================================================================
+// Profile Schema
+// =============================================================================
+
+const PROFILE_ID_PATTERN = '^[a-z0-9][a-z0-9_-]*$';
+
+// BCP 47 language tag, e.g. "en", "pt-BR" or "zh-Hant"
+const PROFILE_LOCALE_PATTERN = '^[a-z]{2,3}(-[A-Za-z0-9]{2,8})*$';
+
+// Values may use {linkId}, {groupId} and {category}
+const PROFILE_UTM_SCHEMA = {
+    type: 'object',
+    properties: {
+        enabled: { type: 'boolean' },
+        ...Object.fromEntries(UTM_FIELDS.map(field => [field, { type: 'string', minLength: 1, maxLength: 100 }])),
+    },
+};
+
+const PROFILE_LINK_SCHEMA = {
+    type: 'object',
+    required: ['id', 'title', 'url'],
+    properties: {
+        id: { type: 'string', pattern: PROFILE_ID_PATTERN, maxLength: 64 },
+        title: { type: 'string', minLength: 1, maxLength: 80 },
+        description: { type: 'string', maxLength: 200 },
+        url: { type: 'string', format: 'url' },
+        icon: { type: 'string', format: 'icon' },
+        category: { type: 'string', pattern: PROFILE_ID_PATTERN },
+        newTab: { type: 'boolean' },
+        hidden: { type: 'boolean' }, // kept in the profile, not shown (e.g. a broken link)
+        utm: PROFILE_UTM_SCHEMA,
+        schedule: {
+            type: 'object',
+            properties: {
+                start: { type: 'string', format: 'datetime' },
+                end: { type: 'string', format: 'datetime' },
+                timeZone: { type: 'string', format: 'time-zone' },
+                days: {
+                    type: 'array',
+                    minItems: 1,
+                    items: { type: 'string', enum: ['mon', 'tue', 'wed', 'thu', 'fri', 'sat', 'sun'] },
+                },
+                hours: {
+                    type: 'object',
+                    required: ['from', 'to'],
+                    properties: {
+                        from: { type: 'string', format: 'time' },
+                        to: { type: 'string', format: 'time' },
+                    },
+                },
+                countdown: { type: 'boolean' },
+            },
+        },
+        visibility: {
+            type: 'object',
+            properties: {
+                devices: {
+                    type: 'array',
+                    minItems: 1,
+                    items: { type: 'string', enum: ['mobile', 'tablet', 'desktop'] },
+                },
+                referrers: {
+                    type: 'array',
+                    minItems: 1,
+                    items: { type: 'string', minLength: 1 },
+                },
+            },
+        },
+    },
+};
+
+const PROFILE_FORM_SCHEMA = {
+    type: 'object',
+    required: ['id', 'title', 'webhook', 'fields'],
+    properties: {
+        id: { type: 'string', pattern: PROFILE_ID_PATTERN, maxLength: 64 },
+        title: { type: 'string', minLength: 1, maxLength: 80 },
+        description: { type: 'string', maxLength: 200 },
+        after: { type: 'string', pattern: PROFILE_ID_PATTERN }, // group ID; last when omitted
+        webhook: { type: 'string', format: 'url' },
+        submitLabel: { type: 'string', minLength: 1, maxLength: 40 },
+        successMessage: { type: 'string', minLength: 1, maxLength: 200 },
+        fields: {
+            type: 'array',
+            minItems: 1,
+            maxItems: 10,
+            items: {
+                type: 'object',
+                required: ['name', 'label', 'type'],
+                properties: {
+                    name: { type: 'string', pattern: PROFILE_ID_PATTERN, maxLength: 40 },
+                    label: { type: 'string', minLength: 1, maxLength: 120 },
+                    type: { type: 'string', enum: ['text', 'email', 'tel', 'url', 'textarea', 'checkbox'] },
+                    required: { type: 'boolean' },
+                    placeholder: { type: 'string', maxLength: 80 },
+                    maxLength: { type: 'number', minimum: 1 },
+                },
+            },
+        },
+    },
+};
+
+const PROFILE_EMBED_SCHEMA = {
+    type: 'object',
+    required: ['id', 'title', 'url'],
+    properties: {
+        id: { type: 'string', pattern: PROFILE_ID_PATTERN, maxLength: 64 },
+        title: { type: 'string', minLength: 1, maxLength: 120 },
+        url: { type: 'string', format: 'url' }, // a video, track or post page on a supported provider
+        thumbnail: { type: 'string', format: 'url' },
+        after: { type: 'string', pattern: PROFILE_ID_PATTERN }, // group ID; last when omitted
+    },
+};
+
+const PROFILE_VARIANT_SCHEMA = {
+    type: 'object',
+    required: ['id'],
+    properties: {
+        id: { type: 'string', pattern: PROFILE_ID_PATTERN, maxLength: 64 },
+        weight: { type: 'number', minimum: 0 },
+        links: {
+            type: 'object',
+            propertyPattern: PROFILE_ID_PATTERN,
+            additionalProperties: {
+                type: 'object',
+                properties: {
+                    title: PROFILE_LINK_SCHEMA.properties.title,
+                    description: PROFILE_LINK_SCHEMA.properties.description,
+                    icon: PROFILE_LINK_SCHEMA.properties.icon,
+                },
+            },
+        },
+        groupOrder: {
+            type: 'object',
+            propertyPattern: PROFILE_ID_PATTERN,
+            additionalProperties: { type: 'array', items: { type: 'string', pattern: PROFILE_ID_PATTERN } },
+        },
+        featured: { type: 'array', items: { type: 'string', pattern: PROFILE_ID_PATTERN } },
+    },
+};
+
+const PROFILE_THEME_TOKENS_SCHEMA = {
+    type: 'object',
+    propertyPattern: '^[a-z][a-z0-9-]*$',
+    additionalProperties: { type: 'string', format: 'css-value' },
+};
+
+// Translated text keyed by ID, laid over the profile by I18n.localize
+const PROFILE_TRANSLATED_LINKS_SCHEMA = {
+    type: 'object',
+    propertyPattern: PROFILE_ID_PATTERN,
+    additionalProperties: {
+        type: 'object',
+        properties: {
+            title: PROFILE_LINK_SCHEMA.properties.title,
+            description: PROFILE_LINK_SCHEMA.properties.description,
+        },
+    },
+};
+
+const PROFILE_TRANSLATION_SCHEMA = {
+    type: 'object',
+    properties: {
+        brand: { type: 'string', maxLength: 60 },
+        title: { type: 'string', maxLength: 120 },
+        name: { type: 'string', minLength: 1, maxLength: 80 },
+        subtitle: { type: 'string', maxLength: 120 },
+        description: { type: 'string', maxLength: 500 },
+        avatar: {
+            type: 'object',
+            properties: {
+                alt: { type: 'string', maxLength: 120 },
+            },
+        },
+        stats: { type: 'array', maxItems: 6, items: { type: 'string', minLength: 1, maxLength: 30 } }, // labels, in order
+        groups: {
+            type: 'object',
+            propertyPattern: PROFILE_ID_PATTERN,
+            additionalProperties: {
+                type: 'object',
+                properties: {
+                    title: { type: 'string', minLength: 1, maxLength: 80 },
+                },
+            },
+        },
+        links: PROFILE_TRANSLATED_LINKS_SCHEMA,
+        categories: {
+            type: 'object',
+            additionalProperties: {
+                type: 'object',
+                properties: {
+                    label: { type: 'string', minLength: 1, maxLength: 40 },
+                },
+            },
+        },
+        forms: {
+            type: 'object',
+            propertyPattern: PROFILE_ID_PATTERN,
+            additionalProperties: {
+                type: 'object',
+                properties: {
+                    title: PROFILE_FORM_SCHEMA.properties.title,
+                    description: PROFILE_FORM_SCHEMA.properties.description,
+                    submitLabel: PROFILE_FORM_SCHEMA.properties.submitLabel,
+                    successMessage: PROFILE_FORM_SCHEMA.properties.successMessage,
+                    fields: {
+                        type: 'object',
+                        propertyPattern: PROFILE_ID_PATTERN,
+                        additionalProperties: {
+                            type: 'object',
+                            properties: {
+                                label: PROFILE_FORM_SCHEMA.properties.fields.items.properties.label,
+                                placeholder: PROFILE_FORM_SCHEMA.properties.fields.items.properties.placeholder,
+                            },
+                        },
+                    },
+                },
+            },
+        },
+        embeds: {
+            type: 'object',
+            propertyPattern: PROFILE_ID_PATTERN,
+            additionalProperties: {
+                type: 'object',
+                properties: {
+                    title: PROFILE_EMBED_SCHEMA.properties.title,
+                },
+            },
+        },
+        // Experiment ID → variant ID → the variant's link overrides
+        experiments: {
+            type: 'object',
+            propertyPattern: PROFILE_ID_PATTERN,
+            additionalProperties: {
+                type: 'object',
+                propertyPattern: PROFILE_ID_PATTERN,
+                additionalProperties: {
+                    type: 'object',
+                    properties: {
+                        links: PROFILE_TRANSLATED_LINKS_SCHEMA,
+                    },
+                },
+            },
+        },
+        share: {
+            type: 'object',
+            properties: {
+                text: { type: 'string', maxLength: 200 },
+            },
+        },
+        // Interface text by I18N_MESSAGES key
+        messages: {
+            type: 'object',
+            additionalProperties: { type: 'string', minLength: 1, maxLength: 300 },
+        },
+    },
+};
+
+const PROFILE_SCHEMA = {
+    type: 'object',
+    required: ['name', 'groups'],
+    properties: {
+        version: { type: 'number', minimum: 1 },
+        brand: { type: 'string', maxLength: 60 },
+        title: { type: 'string', maxLength: 120 },
+        name: { type: 'string', minLength: 1, maxLength: 80 },
+        subtitle: { type: 'string', maxLength: 120 },
+        description: { type: 'string', maxLength: 500 },
+        avatar: {
+            type: 'object',
+            required: ['src'],
+            properties: {
+                src: { type: 'string', format: 'url' },
+                alt: { type: 'string', maxLength: 120 },
+                status: { type: 'string', enum: ['online', 'offline', 'none'] },
+            },
+        },
+        stats: {
+            type: 'array',
+            maxItems: 6,
+            items: {
+                type: 'object',
+                required: ['label', 'value'],
+                properties: {
+                    label: { type: 'string', minLength: 1, maxLength: 30 },
+                    value: { type: 'number', minimum: 0 },
+                },
+            },
+        },
+        site: {
+            type: 'object',
+            properties: {
+                url: { type: 'string', format: 'url' },
+                image: { type: 'string', format: 'url' },
+                themeColor: { type: 'string', format: 'color' },
+                backgroundColor: { type: 'string', format: 'color' },
+            },
+        },
+        template: { type: 'string', minLength: 1 },
+        locale: { type: 'string', format: 'locale' }, // language of the profile's own text
+        utm: PROFILE_UTM_SCHEMA,
+        redirect: {
+            type: 'object',
+            properties: {
+                enabled: { type: 'boolean' },
+                allowedHosts: {
+                    type: 'array',
+                    items: { type: 'string', format: 'hostname' },
+                },
+            },
+        },
+        theme: {
+            type: 'object',
+            properties: {
+                name: { type: 'string', minLength: 1 },
+                mode: { type: 'string', enum: ['light', 'dark', 'system'] },
+                tokens: PROFILE_THEME_TOKENS_SCHEMA,
+                light: PROFILE_THEME_TOKENS_SCHEMA,
+                dark: PROFILE_THEME_TOKENS_SCHEMA,
+            },
+        },
+        experiments: {
+            type: 'array',
+            items: {
+                type: 'object',
+                required: ['id', 'variants'],
+                properties: {
+                    id: { type: 'string', pattern: PROFILE_ID_PATTERN, maxLength: 64 },
+                    name: { type: 'string', maxLength: 120 },
+                    active: { type: 'boolean' },
+                    variants: { type: 'array', minItems: 2, items: PROFILE_VARIANT_SCHEMA },
+                },
+            },
+        },
+        categories: {
+            type: 'object',
+            additionalProperties: {
+                type: 'object',
+                required: ['label'],
+                properties: {
+                    label: { type: 'string', minLength: 1, maxLength: 40 },
+                },
+            },
+        },
+        groups: {
+            type: 'array',
+            minItems: 1,
+            items: {
+                type: 'object',
+                required: ['id', 'title', 'links'],
+                properties: {
+                    id: { type: 'string', pattern: PROFILE_ID_PATTERN, maxLength: 64 },
+                    title: { type: 'string', minLength: 1, maxLength: 80 },
+                    links: { type: 'array', items: PROFILE_LINK_SCHEMA },
+                },
+            },
+        },
+        forms: { type: 'array', items: PROFILE_FORM_SCHEMA },
+        embeds: { type: 'array', items: PROFILE_EMBED_SCHEMA },
+        search: {
+            type: 'object',
+            properties: {
+                enabled: { type: 'boolean' }, // omitted: shown once the page has APP_CONFIG.search.minLinks links
+            },
+        },
+        share: {
+            type: 'object',
+            properties: {
+                enabled: { type: 'boolean' },
+                links: { type: 'boolean' }, // share buttons on link cards
+                text: { type: 'string', maxLength: 200 }, // shared with the profile URL
+                targets: { type: 'array', items: { type: 'string', minLength: 1 } }, // SHARE_TARGETS keys
+                qr: {
+                    type: 'object',
+                    properties: {
+                        foreground: { type: 'string', format: 'color' },
+                        background: { type: 'string', format: 'color' },
+                        logo: { type: 'string', format: 'url' },
+                    },
+                },
+            },
+        },
+        translations: {
+            type: 'object',
+            propertyPattern: PROFILE_LOCALE_PATTERN,
+            additionalProperties: PROFILE_TRANSLATION_SCHEMA,
+        },
+    },
+};
+
+/**
+ * Raised when a profile document cannot be loaded or fails validation
+ */
+class ProfileError extends Error {
+    constructor(message, details = []) {
+        super(message);
+        this.name = 'ProfileError';
+        this.details = details;
+    }
+}
+
+const ProfileSchema = {
+    /**
+     * Validate a profile document, returning a list of readable problems
+     */
+    validate(profile) {
+        const errors = [];
+        this.check(profile, PROFILE_SCHEMA, 'profile', errors);
+        if (errors.length === 0) {
+            this.checkReferences(profile, errors);
+        }
+        return errors;
+    },
+
+    /**
+     * Check a value against a schema node
+     */
+    check(value, schema, path, errors) {
+        if (!this.matchesType(value, schema.type)) {
+            errors.push(`${path} must be ${schema.type === 'array' ? 'an' : 'a'} ${schema.type}`);
+            return;
+        }
+
+        if (schema.enum && !schema.enum.includes(value)) {
+            errors.push(`${path} must be one of: ${schema.enum.join(', ')}`);
+        }
+
+        if (schema.type === 'string') {
+            if (schema.minLength !== undefined && value.trim().length < schema.minLength) {
+                errors.push(`${path} must not be empty`);
+            }
+            if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+                errors.push(`${path} must be at most ${schema.maxLength} characters`);
+            }
+            if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+                errors.push(`${path} must be lowercase letters, digits, "-" or "_"`);
+            }
+            if (schema.format && !this.formats[schema.format](value)) {
+                errors.push(`${path} is not a valid ${schema.format}: "${value}"`);
+            }
+        }
+
+        if (schema.type === 'number' && schema.minimum !== undefined && value < schema.minimum) {
+            errors.push(`${path} must be at least ${schema.minimum}`);
+        }
+
+        if (schema.type === 'array') {
+            if (schema.minItems !== undefined && value.length < schema.minItems) {
+                errors.push(`${path} must contain at least ${schema.minItems} item(s)`);
+            }
+            if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+                errors.push(`${path} must contain at most ${schema.maxItems} items`);
+            }
+            if (schema.items) {
+                value.forEach((item, index) => this.check(item, schema.items, `${path}[${index}]`, errors));
+            }
+        }
+
+        if (schema.type === 'object') {
+            (schema.required || []).forEach(key => {
+                if (value[key] === undefined) {
+                    errors.push(`${path}.${key} is required`);
+                }
+            });
+            Object.entries(value).forEach(([key, child]) => {
+                if (schema.propertyPattern && !new RegExp(schema.propertyPattern).test(key)) {
+                    errors.push(`${path}.${key} is not a valid name`);
+                    return;
+                }
+                const childSchema = schema.properties?.[key] || schema.additionalProperties;
+                if (childSchema && child !== undefined) {
+                    this.check(child, childSchema, `${path}.${key}`, errors);
+                }
+            });
+        }
+    },
+
+    /**
+     * Check a value against a schema type name
+     */
+    matchesType(value, type) {
+        switch (type) {
+            case 'array': return Array.isArray(value);
+            case 'object': return value !== null && typeof value === 'object' && !Array.isArray(value);
+            case 'number': return typeof value === 'number' && Number.isFinite(value);
+            default: return typeof value === type;
+        }
+    },
+
+    /**
+     * Checks that cannot be expressed per-field: unique IDs and category references
+     */
+    checkReferences(profile, errors) {
+        const groupIds = new Set();
+        const linkIds = new Set();
+        const categories = profile.categories;
+
+        profile.groups.forEach((group, groupIndex) => {
+            if (groupIds.has(group.id)) {
+                errors.push(`profile.groups[${groupIndex}].id "${group.id}" is used more than once`);
+            }
+            groupIds.add(group.id);
+
+            group.links.forEach((link, linkIndex) => {
+                const path = `profile.groups[${groupIndex}].links[${linkIndex}]`;
+                if (linkIds.has(link.id)) {
+                    errors.push(`${path}.id "${link.id}" is used more than once`);
+                }
+                linkIds.add(link.id);
+
+                if (categories && link.category && !categories[link.category]) {
+                    errors.push(`${path}.category "${link.category}" is not declared in profile.categories`);
+                }
+
+                if (profile.redirect?.allowedHosts && /^https?:/i.test(link.url)
+                    && !ProfileRenderer.isAllowedHost(link.url, profile.redirect.allowedHosts)) {
+                    errors.push(`${path}.url host is not in profile.redirect.allowedHosts`);
+                }
+
+                const schedule = link.schedule;
+                if (schedule?.start && schedule?.end
+                    && LinkRules.toTimestamp(schedule.start, schedule.timeZone) >= LinkRules.toTimestamp(schedule.end, schedule.timeZone)) {
+                    errors.push(`${path}.schedule.end must be after schedule.start`);
+                }
+            });
+        });
+
+        if (profile.template && !TEMPLATES[profile.template]) {
+            errors.push(`profile.template "${profile.template}" is not one of: ${Object.keys(TEMPLATES).join(', ')}`);
+        }
+
+        (profile.share?.targets || []).forEach((target, index) => {
+            if (!SHARE_TARGETS[target]) {
+                errors.push(`profile.share.targets[${index}] "${target}" is not one of: ${Object.keys(SHARE_TARGETS).join(', ')}`);
+            }
+        });
+
+        this.checkExperiments(profile, groupIds, linkIds, errors);
+        this.checkForms(profile, groupIds, errors);
+        this.checkEmbeds(profile, groupIds, errors);
+        this.checkTranslations(profile, groupIds, linkIds, errors);
+    },
+
+    /**
+     * Translations only name existing groups, links, categories, forms,
+     * embeds and variants, and only override known interface messages. The default
+     * locale's text is the profile itself, so it only takes messages.
+     */
+    checkTranslations(profile, groupIds, linkIds, errors) {
+        const defaultLocale = profile.locale || APP_CONFIG.i18n.defaultLocale;
+        const unknown = (path, kind, ids, known) => Object.keys(ids || {}).filter(id => !known.has(id)).forEach(id => {
+            errors.push(`${path} refers to unknown ${kind} "${id}"`);
+        });
+        const pluralCategories = ['zero', 'one', 'two', 'few', 'many', 'other'];
+        const isMessage = (key) => key in I18N_MESSAGES.en || (
+            pluralCategories.includes(key.split('.').pop())
+            && `${key.replace(/\.[a-z]+$/, '')}.other` in I18N_MESSAGES.en
+        );
+
+        Object.entries(profile.translations || {}).forEach(([locale, translation]) => {
+            const path = `profile.translations.${locale}`;
+
+            if (locale === defaultLocale && Object.keys(translation).some(key => key !== 'messages')) {
+                errors.push(`${path} is the profile's own language; only messages can be set for it`);
+            }
+            if (translation.stats && translation.stats.length > (profile.stats || []).length) {
+                errors.push(`${path}.stats has more labels than profile.stats`);
+            }
+
+            unknown(`${path}.groups`, 'group', translation.groups, groupIds);
+            unknown(`${path}.links`, 'link', translation.links, linkIds);
+            unknown(`${path}.categories`, 'category', translation.categories, new Set(Object.keys(profile.categories || {})));
+            unknown(`${path}.embeds`, 'embed', translation.embeds, new Set((profile.embeds || []).map(embed => embed.id)));
+
+            const forms = new Map((profile.forms || []).map(form => [form.id, form]));
+            unknown(`${path}.forms`, 'form', translation.forms, new Set(forms.keys()));
+            Object.entries(translation.forms || {}).filter(([id]) => forms.has(id)).forEach(([id, form]) => {
+                unknown(`${path}.forms.${id}.fields`, 'field', form.fields, new Set(forms.get(id).fields.map(field => field.name)));
+            });
+
+            const experiments = new Map((profile.experiments || []).map(experiment => [experiment.id, experiment]));
+            unknown(`${path}.experiments`, 'experiment', translation.experiments, new Set(experiments.keys()));
+            Object.entries(translation.experiments || {}).filter(([id]) => experiments.has(id)).forEach(([id, variants]) => {
+                const declared = new Map(experiments.get(id).variants.map(variant => [variant.id, variant]));
+                unknown(`${path}.experiments.${id}`, 'variant', variants, new Set(declared.keys()));
+                Object.entries(variants).filter(([variantId]) => declared.has(variantId)).forEach(([variantId, variant]) => {
+                    unknown(`${path}.experiments.${id}.${variantId}.links`, 'variant link', variant.links,
+                        new Set(Object.keys(declared.get(variantId).links || {})));
+                });
+            });
+
+            Object.keys(translation.messages || {}).filter(key => !isMessage(key)).forEach(key => {
+                errors.push(`${path}.messages "${key}" is not an interface message`);
+            });
+        });
+    },
+
+    /**
+     * Embed IDs are unique, embeds follow existing groups and point at
+     * content a provider can play
+     */
+    checkEmbeds(profile, groupIds, errors) {
+        const embedIds = new Set();
+
+        (profile.embeds || []).forEach((embed, embedIndex) => {
+            const path = `profile.embeds[${embedIndex}]`;
+            if (embedIds.has(embed.id)) {
+                errors.push(`${path}.id "${embed.id}" is used more than once`);
+            }
+            embedIds.add(embed.id);
+
+            if (embed.after && !groupIds.has(embed.after)) {
+                errors.push(`${path}.after refers to unknown group "${embed.after}"`);
+            }
+            if (!ProfileRenderer.resolveEmbed(embed)) {
+                const providers = Object.values(EMBED_PROVIDERS).map(provider => provider.label).join(', ');
+                errors.push(`${path}.url is not a ${providers} link that can be embedded`);
+            }
+        });
+    },
+
+    /**
+     * Form IDs and field names are unique, forms follow existing groups and
+     * post to a web address
+     */
+    checkForms(profile, groupIds, errors) {
+        const formIds = new Set();
+
+        (profile.forms || []).forEach((form, formIndex) => {
+            const path = `profile.forms[${formIndex}]`;
+            if (formIds.has(form.id)) {
+                errors.push(`${path}.id "${form.id}" is used more than once`);
+            }
+            formIds.add(form.id);
+
+            if (form.after && !groupIds.has(form.after)) {
+                errors.push(`${path}.after refers to unknown group "${form.after}"`);
+            }
+            if (!/^https?:\/\//i.test(form.webhook)) {
+                errors.push(`${path}.webhook must be an absolute http(s) URL`);
+            }
+
+            const names = new Set();
+            form.fields.forEach((field, fieldIndex) => {
+                const fieldPath = `${path}.fields[${fieldIndex}].name`;
+                if (field.name === APP_CONFIG.forms.honeypot) {
+                    errors.push(`${fieldPath} "${field.name}" is reserved for spam protection`);
+                } else if (names.has(field.name)) {
+                    errors.push(`${fieldPath} "${field.name}" is used more than once`);
+                }
+                names.add(field.name);
+            });
+        });
+    },
+
+    /**
+     * Experiment and variant IDs are unique, and variants only name existing
+     * groups and links
+     */
+    checkExperiments(profile, groupIds, linkIds, errors) {
+        const experimentIds = new Set();
+
+        (profile.experiments || []).forEach((experiment, experimentIndex) => {
+            const path = `profile.experiments[${experimentIndex}]`;
+            if (experimentIds.has(experiment.id)) {
+                errors.push(`${path}.id "${experiment.id}" is used more than once`);
+            }
+            experimentIds.add(experiment.id);
+
+            const variantIds = new Set();
+            experiment.variants.forEach((variant, variantIndex) => {
+                const variantPath = `${path}.variants[${variantIndex}]`;
+                if (variantIds.has(variant.id)) {
+                    errors.push(`${variantPath}.id "${variant.id}" is used more than once`);
+                }
+                variantIds.add(variant.id);
+
+                const linkRefs = [
+                    ...Object.keys(variant.links || {}),
+                    ...Object.values(variant.groupOrder || {}).flat(),
+                    ...(variant.featured || []),
+                ];
+                linkRefs.filter(id => !linkIds.has(id)).forEach(id => {
+                    errors.push(`${variantPath} refers to unknown link "${id}"`);
+                });
+                Object.keys(variant.groupOrder || {}).filter(id => !groupIds.has(id)).forEach(id => {
+                    errors.push(`${variantPath}.groupOrder refers to unknown group "${id}"`);
+                });
+            });
+        });
+    },
+
+    formats: {
+        /**
+         * Absolute http(s), mailto and tel URLs, or paths relative to the page
+         */
+        url(value) {
+            if (/\s/.test(value) || value.length === 0) return false;
+            try {
+                const url = new URL(value, 'https://profile.invalid/');
+                return ['http:', 'https:', 'mailto:', 'tel:'].includes(url.protocol);
+            } catch (e) {
+                return false;
+            }
+        },
+
+        /**
+         * ISO 8601 date and time, with or without a UTC offset
+         */
+        datetime(value) {
+            return /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:\d{2})?$/.test(value)
+                && !Number.isNaN(Date.parse(value));
+        },
+
+        /**
+         * Hex color, e.g. "#0066ff"
+         */
+        color(value) {
+            return /^#([0-9a-f]{3}|[0-9a-f]{6})$/i.test(value);
+        },
+
+        /**
+         * 24-hour wall clock time, e.g. "09:30"
+         */
+        time(value) {
+            return /^([01]\d|2[0-3]):[0-5]\d$/.test(value);
+        },
+
+        /**
+         * IANA time zone name, e.g. "Europe/Berlin"
+         */
+        'time-zone'(value) {
+            try {
+                new Intl.DateTimeFormat('en-US', { timeZone: value });
+                return true;
+            } catch (e) {
+                return false;
+            }
+        },
+
+        /**
+         * A single CSS value that cannot break out of its declaration
+         */
+        'css-value'(value) {
+            return value.trim().length > 0 && !/[;{}<>]|url\(/i.test(value);
+        },
+
+        /**
+         * Lower-case DNS name, e.g. "github.com"
+         */
+        hostname(value) {
+            return /^(?=.{1,253}$)[a-z0-9]([a-z0-9-]*[a-z0-9])?(\.[a-z0-9]([a-z0-9-]*[a-z0-9])?)*$/.test(value);
+        },
+
+        /**
+         * BCP 47 language tag, e.g. "en" or "pt-BR"
+         */
+        locale(value) {
+            if (!new RegExp(PROFILE_LOCALE_PATTERN).test(value)) return false;
+            try {
+                return Intl.getCanonicalLocales(value).length === 1;
+            } catch (e) {
+                return false;
+            }
+        },
+
+        /**
+         * Font Awesome class pair, e.g. "fab fa-linkedin"
+         */
+        icon(value) {
+            return /^(fa[bsr]|fa-(brands|solid|regular)) fa-[a-z0-9-]+$/.test(value);
+        },
+    },
+};
+
+// =============================================================================
+// Profile Renderer
+// =============================================================================
+
+// Embeddable content by provider. `match(url)` returns the player address
+// (with autoplay, as it only loads after a click), an optional thumbnail and
+// the frame shape, or null when the URL is not something the player shows.
+const EMBED_PROVIDERS = {
+    youtube: {
+        label: 'YouTube',
+        icon: 'fab fa-youtube',
+        hosts: ['youtube.com', 'youtu.be'],
+        match(url) {
+            const id = url.hostname.endsWith('youtu.be')
+                ? url.pathname.slice(1)
+                : url.searchParams.get('v') || url.pathname.match(/^\/(?:embed|shorts|live)\/([^/]+)/)?.[1];
+            if (!/^[\w-]{11}$/.test(id || '')) return null;
+            return {
+                src: `https://www.youtube-nocookie.com/embed/${id}?autoplay=1`,
+                thumbnail: `https://i.ytimg.com/vi/${id}/hqdefault.jpg`,
+                format: 'video',
+            };
+        },
+    },
+    vimeo: {
+        label: 'Vimeo',
+        icon: 'fab fa-vimeo-v',
+        hosts: ['vimeo.com'],
+        match(url) {
+            const id = url.pathname.match(/^\/(?:video\/)?(\d+)/)?.[1];
+            return id ? { src: `https://player.vimeo.com/video/${id}?autoplay=1&dnt=1`, format: 'video' } : null;
+        },
+    },
+    spotify: {
+        label: 'Spotify',
+        icon: 'fab fa-spotify',
+        hosts: ['open.spotify.com'],
+        match(url) {
+            const found = url.pathname.match(/^(?:\/intl-[a-z-]+)?\/(track|episode|album|playlist|show|artist)\/(\w+)/i);
+            if (!found) return null;
+            return {
+                src: `https://open.spotify.com/embed/${found[1]}/${found[2]}?autoplay=1`,
+                format: ['track', 'episode'].includes(found[1]) ? 'audio' : 'playlist',
+            };
+        },
+    },
+    soundcloud: {
+        label: 'SoundCloud',
+        icon: 'fab fa-soundcloud',
+        hosts: ['soundcloud.com'],
+        match(url) {
+            if (!/^\/[^/]+\/[^/]+/.test(url.pathname)) return null;
+            return {
+                src: `https://w.soundcloud.com/player/?url=${encodeURIComponent(`https://soundcloud.com${url.pathname}`)}&auto_play=true`,
+                format: 'audio',
+            };
+        },
+    },
+    instagram: {
+        label: 'Instagram',
+        icon: 'fab fa-instagram',
+        hosts: ['instagram.com'],
+        match(url) {
+            const found = url.pathname.match(/^\/(p|reel)\/([\w-]+)/);
+            return found ? { src: `https://www.instagram.com/${found[1]}/${found[2]}/embed`, format: 'post' } : null;
+        },
+    },
+    x: {
+        label: 'X',
+        icon: 'fab fa-x-twitter',
+        hosts: ['x.com', 'twitter.com'],
+        match(url) {
+            const id = url.pathname.match(/^\/[^/]+\/status\/(\d+)/)?.[1];
+            return id ? { src: `https://platform.twitter.com/embed/Tweet.html?id=${id}&dnt=true`, format: 'post' } : null;
+        },
+    },
+};
+
+const ProfileRenderer = {
+    /**
+     * Render the hero block (avatar, text, stats)
+     */
+    renderHero(profile, template = Template.current) {
+        return template.markup.hero(profile, this.renderStats(profile.stats, template));
+    },
+
+    /**
+     * Render the stat counters animated by Animations.setupNumberAnimations
+     */
+    renderStats(stats = [], template = Template.current) {
+        return stats.map(stat => template.markup.stat(stat));
+    },
+
+    /**
+     * Render every link group, with each form and embed after the group it
+     * names and the rest at the end. Hidden links are left out, and so are
+     * groups without any other link.
+     */
+    renderBlocks(profile, template = Template.current) {
+        const settings = { redirect: profile.redirect, utm: profile.utm };
+        const blocks = (after) => [
+            ...(profile.forms || []).filter(form => form.after === after).map(form => this.renderForm(form)),
+            ...(profile.embeds || []).filter(embed => embed.after === after).map(embed => this.renderEmbed(embed)),
+        ].join('');
+
+        return profile.groups.map(group => {
+            const links = group.links.filter(link => !link.hidden);
+            return (links.length > 0 ? this.renderGroup({ ...group, links }, template, settings) : '') + blocks(group.id);
+        }).join('') + blocks(undefined);
+    },
+
+    /**
+     * Render a single link group section
+     */
+    renderGroup(group, template = Template.current, settings = {}) {
+        const cards = group.links.map(link => this.renderLinkCard(link, template, { ...settings, groupId: group.id }));
+        return template.markup.group(group, cards);
+    },
+
+    /**
+     * Render a single link card anchor
+     */
+    renderLinkCard(link, template = Template.current, settings = {}) {
+        return template.markup.card(link, this.linkAttributes(link, settings));
+    },
+
+    /**
+     * Attributes every layout's link card carries; modules find cards by
+     * `data-link-id`. `settings` holds the profile's `redirect` and `utm`
+     * blocks and the card's group ID. Redirected cards point at `go/<id>`
+     * and keep the real URL in `data-destination`.
+     */
+    linkAttributes(link, { redirect = null, utm = null, groupId = null } = {}) {
+        const escape = Utils.escapeHtml;
+        const target = this.opensInNewTab(link)
+            ? ' target="_blank" rel="noopener noreferrer"'
+            : '';
+        const category = link.category ? ` data-category="${escape(link.category)}"` : '';
+        const url = this.linkUrl(link, utm, groupId);
+        const href = this.redirects(link, redirect)
+            ? `go/${encodeURIComponent(link.id)}" data-destination="${escape(url)}`
+            : escape(url);
+
+        return ` href="${href}"${target} role="listitem" data-link-id="${escape(link.id)}"${category}`;
+    },
+
+    /**
+     * A web link's URL tagged with the profile's UTM template, overridden
+     * field by field by the link's own. Parameters already in the URL win.
+     */
+    linkUrl(link, utm = null, groupId = null) {
+        const template = { ...utm, ...link.utm };
+        const fields = UTM_FIELDS.filter(field => template[field]);
+        if (template.enabled === false || fields.length === 0 || !/^https?:/i.test(link.url)) {
+            return link.url;
+        }
+
+        let url;
+        try {
+            url = new URL(link.url);
+        } catch (e) {
+            return link.url;
+        }
+
+        const values = { linkId: link.id, groupId, category: link.category };
+        fields.forEach(field => {
+            const name = `utm_${field}`;
+            const value = template[field].replace(/\{(linkId|groupId|category)\}/g, (match, key) => values[key] || '');
+            if (value && !url.searchParams.has(name)) url.searchParams.set(name, value);
+        });
+
+        return url.href;
+    },
+
+    /**
+     * Whether a link goes through the click redirect: shown web links only,
+     * and only to allowed hosts
+     */
+    redirects(link, redirect) {
+        if (!redirect?.enabled || link.hidden || !/^https?:/i.test(link.url)) return false;
+        return !redirect.allowedHosts || this.isAllowedHost(link.url, redirect.allowedHosts);
+    },
+
+    /**
+     * Whether a URL's host is one of the hosts, or a subdomain of one
+     */
+    isAllowedHost(url, hosts) {
+        let hostname;
+        try {
+            hostname = new URL(url).hostname;
+        } catch (e) {
+            return false;
+        }
+        return hosts.some(host => hostname === host || hostname.endsWith(`.${host}`));
+    },
+
+    /**
+     * Render a lead form block. Every layout uses the same markup; LeadForms
+     * validates and submits it.
+     */
+    renderForm(form) {
+        const escape = Utils.escapeHtml;
+        const id = `lead-${form.id}`;
+        const trap = APP_CONFIG.forms.honeypot;
+
+        return `
+            <section class="lead-form-block" data-form-id="${escape(form.id)}" aria-labelledby="${escape(id)}-title">
+                <h2 class="lead-form-title" id="${escape(id)}-title">${escape(form.title)}</h2>
+                ${form.description ? `<p class="lead-form-description">${escape(form.description)}</p>` : ''}
+                <form class="lead-form" novalidate>
+                    <fieldset class="lead-form-fields">
+                        ${form.fields.map(field => this.renderFormField(field, id)).join('')}
+                        <div class="lead-form-trap" aria-hidden="true">
+                            <label for="${escape(id)}-${trap}">${escape(I18n.t('form.trap'))}</label>
+                            <input type="text" id="${escape(id)}-${trap}" name="${trap}" tabindex="-1" autocomplete="off">
+                        </div>
+                        <button type="submit" class="ui-button ui-button-primary lead-form-submit">${escape(form.submitLabel || I18n.t('form.submit'))}</button>
+                    </fieldset>
+                    <p class="lead-form-status" role="status" aria-live="polite"></p>
+                </form>
+            </section>
+        `;
+    },
+
+    /**
+     * A labelled form control with a slot for its validation message
+     */
+    renderFormField(field, formId) {
+        const escape = Utils.escapeHtml;
+        const id = escape(`${formId}-${field.name}`);
+        const autocomplete = { email: 'email', tel: 'tel', url: 'url' }[field.type]
+            || (field.name === 'name' ? 'name' : null);
+        const attributes = [
+            `id="${id}"`,
+            `name="${escape(field.name)}"`,
+            `aria-describedby="${id}-error"`,
+            field.required ? 'required aria-required="true"' : '',
+            field.maxLength ? `maxlength="${field.maxLength}"` : '',
+            field.placeholder ? `placeholder="${escape(field.placeholder)}"` : '',
+        ].filter(Boolean).join(' ');
+        const label = `${escape(field.label)}${field.required ? '<span class="lead-form-required" aria-hidden="true"> *</span>' : ''}`;
+        const error = `<p class="lead-form-error" id="${id}-error"></p>`;
+
+        if (field.type === 'checkbox') {
+            return `
+                        <div class="lead-form-field lead-form-checkbox">
+                            <input type="checkbox" ${attributes} value="yes">
+                            <label for="${id}">${label}</label>
+                            ${error}
+                        </div>`;
+        }
+
+        const control = field.type === 'textarea'
+            ? `<textarea ${attributes} rows="4"></textarea>`
+            : `<input type="${field.type}" ${attributes}${autocomplete ? ` autocomplete="${autocomplete}"` : ''}>`;
+        return `
+                        <div class="lead-form-field">
+                            <label for="${id}">${label}</label>
+                            ${control}
+                            ${error}
+                        </div>`;
+    },
+
+    /**
+     * Render an embed as a click-to-load facade. The player's iframe is only
+     * created by Embeds when the visitor presses play; provider thumbnails
+     * wait for media consent in `data-embed-thumbnail`.
+     */
+    renderEmbed(embed) {
+        const resolved = this.resolveEmbed(embed);
+        if (!resolved) return '';
+
+        const escape = Utils.escapeHtml;
+        const thumbnail = embed.thumbnail
+            ? `<img class="embed-thumbnail" data-src="${escape(embed.thumbnail)}" alt="">`
+            : resolved.thumbnail
+                ? `<img class="embed-thumbnail" data-embed-thumbnail="${escape(resolved.thumbnail)}" alt="">`
+                : '';
+
+        return `
+            <section class="embed-block" data-embed-id="${escape(embed.id)}" data-provider="${resolved.provider}" data-embed-src="${escape(resolved.src)}">
+                <div class="embed-frame embed-frame-${resolved.format}">
+                    <button type="button" class="embed-facade" data-embed-action="play" aria-label="${escape(I18n.t('embed.play', { title: embed.title, provider: resolved.label }))}">
+                        ${thumbnail}
+                        <span class="embed-play" aria-hidden="true"><i class="fas fa-play"></i></span>
+                        <span class="embed-provider" aria-hidden="true"><i class="${resolved.icon}"></i> ${escape(resolved.label)}</span>
+                    </button>
+                </div>
+                <p class="embed-caption">
+                    <span class="embed-title">${escape(embed.title)}</span>
+                    <a class="embed-source" href="${escape(embed.url)}" target="_blank" rel="noopener noreferrer">${escape(I18n.t('embed.open', { provider: resolved.label }))}</a>
+                </p>
+            </section>
+        `;
+    },
+
+    /**
+     * Provider, player address, thumbnail and frame shape for an embed, or
+     * null when no provider can play its URL
+     */
+    resolveEmbed(embed) {
+        let url;
+        try {
+            url = new URL(embed.url);
+        } catch (e) {
+            return null;
+        }
+        const hostname = url.hostname.replace(/^(www|m)\./, '');
+
+        for (const [id, provider] of Object.entries(EMBED_PROVIDERS)) {
+            if (!provider.hosts.includes(hostname)) continue;
+            const match = provider.match(url);
+            return match ? { provider: id, label: provider.label, icon: provider.icon, ...match } : null;
+        }
+        return null;
+    },
+
+    /**
+     * Web links open in a new tab unless the profile says otherwise
+     */
+    opensInNewTab(link) {
+        if (typeof link.newTab === 'boolean') return link.newTab;
+        return /^https?:/i.test(link.url);
+    }
+};
+
+// =============================================================================
+// Profile Loader
+// =============================================================================
+
+const ProfileLoader = {
+    profile: null,
+
+    /**
+     * Fetch, validate and render the profile in the visitor's language.
+     * Resolves to null when no profile is available, leaving the static
+     * markup in place. A profile passed in (e.g. the editor's local draft)
+     * is used instead of fetching.
+     */
+    async init(override = null) {
+        const profile = override || this.readEmbedded() || await this.fetchProfile(APP_CONFIG.profile.url);
+        if (!profile) return null;
+
+        this.validate(profile);
+        I18n.init(profile);
+        const localized = I18n.localize(profile);
+        this.render(localized);
+        this.profile = localized;
+
+        return localized;
+    },
+
+    /**
+     * Read a profile embedded in the page by the build, saving a request
+     */
+    readEmbedded() {
+        const element = document.getElementById(APP_CONFIG.profile.embeddedId);
+        if (!element) return null;
+
+        try {
+            return JSON.parse(element.textContent);
+        } catch (e) {
+            throw new ProfileError('The embedded profile is not valid JSON', [e.message]);
+        }
+    },
+
+    /**
+     * Fetch the profile document
+     */
+    async fetchProfile(url) {
+        let response;
+        try {
+            response = await fetch(url, { cache: 'no-cache' });
+        } catch (e) {
+            console.warn('Profile fetch failed, keeping static markup:', e);
+            return null;
+        }
+
+        if (!response.ok) {
+            console.warn(`Profile not available (${response.status}), keeping static markup`);
+            return null;
+        }
+
+        try {
+            return await response.json();
+        } catch (e) {
+            throw new ProfileError(`${url} is not valid JSON`, [e.message]);
+        }
+    },
+
+    /**
+     * Validate the profile against the schema
+     */
+    validate(profile) {
+        const errors = ProfileSchema.validate(profile);
+        if (errors.length > 0) {
+            throw new ProfileError('Profile configuration is invalid', errors);
+        }
+    },
+
+    /**
+     * Render the profile into the page
+     */
+    render(profile) {
+        const heroContent = Template.query('hero');
+        if (heroContent) {
+            heroContent.innerHTML = ProfileRenderer.renderHero(profile);
+        }
+
+        const linksContainer = Template.query('links');
+        if (linksContainer) {
+            linksContainer.innerHTML = ProfileRenderer.renderBlocks(profile);
+        }
+
+        const brandTitle = Template.query('brandTitle');
+        if (brandTitle && profile.brand) {
+            brandTitle.textContent = profile.brand;
+        }
+
+        if (profile.title) {
+            document.title = profile.title;
+        }
+    },
+
+    /**
+     * Build a profile document from the static markup, so pages without a
+     * profile.json can still be edited and exported
+     */
+    fromMarkup() {
+        const text = (root, part) => Template.query(part, root)?.textContent.trim() || undefined;
+        const usedIds = new Set();
+        const uniqueId = (value, fallback) => {
+            const base = Utils.slugify(value) || fallback;
+            let id = base;
+            for (let n = 2; usedIds.has(id); n++) id = `${base}-${n}`;
+            usedIds.add(id);
+            return id;
+        };
+
+        const avatar = Template.query('avatar');
+        const categories = {};
+        const groups = Template.queryAll('group').map((group, groupIndex) => ({
+            id: uniqueId(text(group, 'groupTitle'), `group-${groupIndex + 1}`),
+            title: text(group, 'groupTitle') || `Group ${groupIndex + 1}`,
+            links: Template.queryAll('card', group).map((card, linkIndex) => {
+                const category = card.dataset.category;
+                if (category) categories[category] = { label: category.charAt(0).toUpperCase() + category.slice(1) };
+                const url = card.dataset.destination || card.getAttribute('href');
+
+                return {
+                    id: uniqueId(text(card, 'cardTitle'), `link-${linkIndex + 1}`),
+                    title: text(card, 'cardTitle') || url,
+                    description: text(card, 'cardDescription'),
+                    url,
+                    icon: Template.query('cardIcon', card)?.querySelector('i')?.className || undefined,
+                    category,
+                };
+            }),
+        }));
+
+        return {
+            version: 1,
+            brand: text(document, 'brandTitle'),
+            name: text(document, 'heroTitle') || document.title,
+            subtitle: text(document, 'heroSubtitle'),
+            description: text(document, 'heroDescription')?.replace(/\s+/g, ' '),
+            avatar: avatar ? { src: avatar.getAttribute('src'), alt: avatar.getAttribute('alt') || '' } : undefined,
+            stats: Template.queryAll('stat').map(stat => {
+                const number = Template.query('statNumber', stat);
+                return {
+                    label: text(stat, 'statLabel') || '',
+                    // Hand-written stats ("500+") have no data-target
+                    value: parseFloat(number?.dataset.target ?? number?.textContent.replace(/[^\d.]/g, '')) || 0,
+                };
+            }),
+            categories,
+            groups,
+        };
+    }
+};
+
+// =============================================================================
+// Link Rules Module
+// =============================================================================
+
+const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+const LinkRules = {
+    countdowns: [],
+    timer: null,
+
+    /**
+     * Hide links whose schedule or visibility rules do not match this visit.
+     * Runs before Animations and Accessibility so they only see shown cards.
+     */
+    init(profile) {
+        if (!profile) return;
+
+        const context = this.getContext();
+        const now = Date.now();
+
+        profile.groups.forEach(group => {
+            group.links.forEach(link => {
+                if (!link.schedule && !link.visibility) return;
+
+                const card = Template.findCard(link.id);
+                if (!card) return;
+
+                if (!this.isVisible(link, now, context)) {
+                    this.removeCard(card);
+                    return;
+                }
+
+                card.dataset.scheduled = '';
+
+                if (link.schedule?.countdown && link.schedule.end) {
+                    this.addCountdown(card, this.toTimestamp(link.schedule.end, link.schedule.timeZone));
+                }
+            });
+        });
+
+        if (this.countdowns.length > 0) {
+            this.updateCountdowns();
+            this.timer = setInterval(() => this.updateCountdowns(), APP_CONFIG.linkRules.countdownInterval);
+        }
+    },
+
+    /**
+     * The visitor attributes visibility rules are matched against
+     */
+    getContext() {
+        return {
+            device: Analytics.getDeviceType(Utils.getDeviceInfo()),
+            referrer: Analytics.getReferrerDomain(document.referrer),
+        };
+    },
+
+    /**
+     * Evaluate a link's schedule and visibility rules
+     */
+    isVisible(link, now = Date.now(), context = this.getContext()) {
+        return this.matchesSchedule(link.schedule, now) && this.matchesVisibility(link.visibility, context);
+    },
+
+    /**
+     * Start/end timestamps, then day-of-week and hour windows in the
+     * schedule's time zone (the visitor's own when none is given)
+     */
+    matchesSchedule(schedule, now) {
+        if (!schedule) return true;
+
+        const { start, end, timeZone, days, hours } = schedule;
+        if (start && now < this.toTimestamp(start, timeZone)) return false;
+        if (end && now >= this.toTimestamp(end, timeZone)) return false;
+
+        if (days || hours) {
+            const local = this.getZonedParts(now, timeZone);
+            if (days && !days.includes(WEEKDAYS[local.weekday])) return false;
+            if (hours) {
+                const minutes = local.hour * 60 + local.minute;
+                const from = this.toMinutes(hours.from);
+                const to = this.toMinutes(hours.to);
+                // A window like 22:00-02:00 runs past midnight
+                const inWindow = from <= to
+                    ? minutes >= from && minutes < to
+                    : minutes >= from || minutes < to;
+                if (!inWindow) return false;
+            }
+        }
+
+        return true;
+    },
+
+    /**
+     * Device and referrer rules; referrer domains also match their subdomains
+     */
+    matchesVisibility(visibility, context) {
+        if (!visibility) return true;
+
+        if (visibility.devices && !visibility.devices.includes(context.device)) return false;
+        if (visibility.referrers) {
+            const referrer = context.referrer.toLowerCase();
+            const matches = visibility.referrers.some(domain => {
+                const wanted = domain.toLowerCase().replace(/^www\./, '');
+                return referrer === wanted || referrer.endsWith(`.${wanted}`);
+            });
+            if (!matches) return false;
+        }
+
+        return true;
+    },
+
+    /**
+     * Convert an ISO date-time to epoch milliseconds. Values without a UTC
+     * offset are wall-clock times in `timeZone`.
+     */
+    toTimestamp(value, timeZone) {
+        if (/(Z|[+-]\d{2}:\d{2})$/.test(value) || !timeZone) {
+            return Date.parse(value);
+        }
+
+        const [date, time] = value.split('T');
+        const [year, month, day] = date.split('-').map(Number);
+        const [hour, minute, second = 0] = time.split(':').map(Number);
+        const wallClock = Date.UTC(year, month - 1, day, hour, minute, Math.floor(second));
+
+        // Correct by the zone's offset, then again in case that crossed a DST change
+        let timestamp = wallClock - this.getZoneOffset(wallClock, timeZone);
+        timestamp = wallClock - this.getZoneOffset(timestamp, timeZone);
+        return timestamp;
+    },
+
+    /**
+     * Offset of `timeZone` from UTC at the given instant, in milliseconds
+     */
+    getZoneOffset(timestamp, timeZone) {
+        const local = this.getZonedParts(timestamp, timeZone);
+        const asUtc = Date.UTC(local.year, local.month - 1, local.day, local.hour, local.minute, local.second);
+        return asUtc - Math.floor(timestamp / 1000) * 1000;
+    },
+
+    /**
+     * Calendar fields of an instant as seen in `timeZone`
+     */
+    getZonedParts(timestamp, timeZone) {
+        const formatter = new Intl.DateTimeFormat('en-US', {
+            timeZone,
+            hourCycle: 'h23',
+            weekday: 'short',
+            year: 'numeric',
+            month: 'numeric',
+            day: 'numeric',
+            hour: 'numeric',
+            minute: 'numeric',
+            second: 'numeric',
+        });
+        const parts = Object.fromEntries(formatter.formatToParts(new Date(timestamp)).map(part => [part.type, part.value]));
+
+        return {
+            year: Number(parts.year),
+            month: Number(parts.month),
+            day: Number(parts.day),
+            hour: Number(parts.hour),
+            minute: Number(parts.minute),
+            second: Number(parts.second),
+            weekday: WEEKDAYS.indexOf(parts.weekday.slice(0, 3).toLowerCase()),
+        };
+    },
+
+    /**
+     * Convert "HH:MM" to minutes past midnight
+     */
+    toMinutes(time) {
+        const [hour, minute] = time.split(':').map(Number);
+        return hour * 60 + minute;
+    },
+
+    /**
+     * Remove a card, and its group once the group has no cards left
+     */
+    removeCard(card) {
+        const group = Template.closest(card, 'group');
+        // Cards with a share button sit in a .link-item wrapper
+        (card.parentElement?.classList.contains('link-item') ? card.parentElement : card).remove();
+        if (group && !Template.query('card', group)) {
+            group.remove();
+        }
+    },
+
+    /**
+     * Add an "Ends in …" badge to a card
+     */
+    addCountdown(card, end) {
+        const badge = document.createElement('time');
+        badge.className = 'link-countdown';
+        badge.dateTime = new Date(end).toISOString();
+        badge.title = I18n.formatDate(end);
+        Template.query('cardContent', card)?.appendChild(badge);
+        this.countdowns.push({ card, badge, end });
+    },
+
+    /**
+     * Refresh countdown badges, removing cards whose time is up
+     */
+    updateCountdowns() {
+        const now = Date.now();
+
+        this.countdowns = this.countdowns.filter(({ card, badge, end }) => {
+            if (now >= end) {
+                this.removeCard(card);
+                return false;
+            }
+            badge.textContent = I18n.t('link.endsIn', { time: this.formatRemaining(end - now) });
+            return true;
+        });
+
+        if (this.countdowns.length === 0) {
+            clearInterval(this.timer);
+        }
+    },
+
+    /**
+     * Format a duration as its two largest units in the visitor's language,
+     * e.g. "2d 4h" or "35m"
+     */
+    formatRemaining(milliseconds) {
+        const minutes = Math.max(1, Math.ceil(milliseconds / 60000));
+        const days = Math.floor(minutes / 1440);
+        const hours = Math.floor((minutes % 1440) / 60);
+        const unit = (value, name) => I18n.formatNumber(value, { style: 'unit', unit: name, unitDisplay: 'narrow' });
+
+        if (days > 0) return `${unit(days, 'day')} ${unit(hours, 'hour')}`;
+        if (hours > 0) return `${unit(hours, 'hour')} ${unit(minutes % 60, 'minute')}`;
+        return unit(minutes, 'minute');
+    }
+};
+
+// =============================================================================
+// Experiments Module
+// =============================================================================
+
+const Experiments = {
+    assignments: {},
+    linkExperiments: {},
+    visitorId: null,
+
+    /**
+     * Bucket the visitor into one variant of every active experiment and
+     * apply it to the rendered links
+     */
+    init(profile) {
+        const experiments = (profile?.experiments || []).filter(experiment => experiment.active !== false);
+        if (experiments.length === 0) return;
+
+        const visitorId = this.getVisitorId();
+        Consent.onChange(() => this.saveVisitorId());
+        experiments.forEach(experiment => {
+            const variant = this.assign(experiment, visitorId);
+            this.assignments[experiment.id] = variant.id;
+
+            // Every variant's links count toward the experiment, so the
+            // control's impressions and clicks are attributed too
+            this.getLinkIds(experiment).forEach(linkId => {
+                this.linkExperiments[linkId] = { ...this.linkExperiments[linkId], [experiment.id]: variant.id };
+            });
+
+            this.apply(variant);
+        });
+    },
+
+    /**
+     * Random ID that buckets the visitor. It stays in memory for this page
+     * until analytics consent is granted, and is then stored so the visitor
+     * sees the same variants on every visit.
+     */
+    getVisitorId() {
+        if (this.visitorId) return this.visitorId;
+
+        if (Consent.get('analytics') === true) {
+            try {
+                this.visitorId = localStorage.getItem(APP_CONFIG.experiments.visitorKey);
+            } catch (e) {
+                this.visitorId = null;
+            }
+        }
+        this.visitorId = this.visitorId || Utils.generateId();
+        this.saveVisitorId();
+        return this.visitorId;
+    },
+
+    /**
+     * Store the visitor ID, once analytics consent allows it
+     */
+    saveVisitorId() {
+        if (!this.visitorId || Consent.get('analytics') !== true) return;
+        try {
+            localStorage.setItem(APP_CONFIG.experiments.visitorKey, this.visitorId);
+        } catch (e) {
+            console.warn('Visitor ID could not be saved:', e);
+        }
+    },
+
+    /**
+     * Pick a variant by weight from a stable hash of the visitor and experiment
+     */
+    assign(experiment, visitorId) {
+        const weights = experiment.variants.map(variant => variant.weight ?? 1);
+        const total = weights.reduce((sum, weight) => sum + weight, 0);
+        if (total === 0) return experiment.variants[0];
+
+        let point = (this.hash(`${experiment.id}:${visitorId}`) / 0x100000000) * total;
+        for (let i = 0; i < weights.length; i++) {
+            point -= weights[i];
+            if (point < 0) return experiment.variants[i];
+        }
+        return experiment.variants[experiment.variants.length - 1];
+    },
+
+    /**
+     * 32-bit FNV-1a hash with a MurmurHash3 finalizer, so IDs that differ in
+     * one character still land in evenly spread buckets
+     */
+    hash(text) {
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        hash ^= hash >>> 16;
+        hash = Math.imul(hash, 0x85ebca6b);
+        hash ^= hash >>> 13;
+        hash = Math.imul(hash, 0xc2b2ae35);
+        hash ^= hash >>> 16;
+        return hash >>> 0;
+    },
+
+    /**
+     * IDs of every link any variant of an experiment changes
+     */
+    getLinkIds(experiment) {
+        const ids = new Set();
+        experiment.variants.forEach(variant => {
+            Object.keys(variant.links || {}).forEach(id => ids.add(id));
+            Object.values(variant.groupOrder || {}).flat().forEach(id => ids.add(id));
+            (variant.featured || []).forEach(id => ids.add(id));
+        });
+        return ids;
+    },
+
+    /**
+     * Apply a variant's copy, order and featured links to the page
+     */
+    apply(variant) {
+        Object.entries(variant.links || {}).forEach(([linkId, changes]) => {
+            const card = Template.findCard(linkId);
+            if (!card) return;
+
+            if (changes.title) {
+                Template.query('cardTitle', card).textContent = changes.title;
+            }
+            if (changes.description) {
+                let description = Template.query('cardDescription', card);
+                if (!description) {
+                    description = document.createElement('p');
+                    description.className = Template.className('cardDescription');
+                    Template.query('cardContent', card).appendChild(description);
+                }
+                description.textContent = changes.description;
+            }
+            if (changes.icon) {
+                const icon = Template.query('cardIcon', card)?.querySelector('i');
+                if (icon) icon.className = changes.icon;
+            }
+        });
+
+        // Listed links move to the front of their group in the given order
+        Object.entries(variant.groupOrder || {}).forEach(([groupId, linkIds]) => {
+            const group = Template.findGroup(groupId);
+            const grid = group && Template.query('grid', group);
+            if (!grid) return;
+
+            linkIds.slice().reverse().forEach(linkId => {
+                const card = Template.findCard(linkId);
+                if (card && grid.contains(card)) grid.prepend(card);
+            });
+        });
+
+        (variant.featured || []).forEach(linkId => {
+            const card = Template.findCard(linkId);
+            if (!card) return;
+            card.classList.add('link-featured');
+            Template.closest(card, 'grid')?.prepend(card);
+        });
+    },
+
+    /**
+     * Experiment → variant assignments affecting a link, if any
+     */
+    getAssignments(linkId) {
+        return this.linkExperiments[linkId] ? { ...this.linkExperiments[linkId] } : null;
+    },
+
+    /**
+     * Forget the stored visitor ID, e.g. when analytics consent is withdrawn.
+     * The page keeps its variants until the visitor leaves.
+     */
+    reset() {
+        try {
+            localStorage.removeItem(APP_CONFIG.experiments.visitorKey);
+        } catch (e) {
+            console.warn('Experiments reset failed:', e);
+        }
+    },
+
+    /**
+     * Per-variant impressions, clicks and click-through rate, each compared
+     * with the experiment's first (control) variant
+     */
+    summarize(impressions, clicks) {
+        const declared = ProfileLoader.profile?.experiments || [];
+        const experiments = {};
+        declared.forEach(experiment => {
+            experiments[experiment.id] = Object.fromEntries(experiment.variants.map(variant => [variant.id, { impressions: 0, clicks: 0 }]));
+        });
+
+        const count = (events, key) => events.forEach(event => {
+            Object.entries(event.data.experiments || {}).forEach(([experimentId, variantId]) => {
+                const variants = experiments[experimentId] = experiments[experimentId] || {};
+                variants[variantId] = variants[variantId] || { impressions: 0, clicks: 0 };
+                variants[variantId][key]++;
+            });
+        });
+        count(impressions, 'impressions');
+        count(clicks, 'clicks');
+
+        return Object.fromEntries(Object.entries(experiments).map(([experimentId, counts]) => {
+            const order = declared.find(experiment => experiment.id === experimentId)?.variants.map(variant => variant.id) || [];
+            const variantIds = Object.keys(counts).sort((a, b) => {
+                const rank = (id) => (order.includes(id) ? order.indexOf(id) : order.length);
+                return rank(a) - rank(b);
+            });
+            const control = counts[variantIds[0]];
+
+            const variants = variantIds.map((variantId, index) => {
+                const { impressions: shown, clicks: clicked } = counts[variantId];
+                const result = {
+                    id: variantId,
+                    impressions: shown,
+                    clicks: clicked,
+                    ctr: shown > 0 ? clicked / shown : 0,
+                };
+                if (index > 0) {
+                    Object.assign(result, this.compare(control, counts[variantId]));
+                }
+                return result;
+            });
+
+            return [experimentId, { control: variantIds[0], variants }];
+        }));
+    },
+
+    /**
+     * Two-proportion z-test of a variant's CTR against the control's
+     */
+    compare(control, variant) {
+        const controlRate = control.impressions > 0 ? control.clicks / control.impressions : 0;
+        const variantRate = variant.impressions > 0 ? variant.clicks / variant.impressions : 0;
+        const lift = controlRate > 0 ? (variantRate - controlRate) / controlRate : null;
+
+        const pooled = (control.clicks + variant.clicks) / ((control.impressions + variant.impressions) || 1);
+        const standardError = Math.sqrt(pooled * (1 - pooled) * (1 / (control.impressions || 1) + 1 / (variant.impressions || 1)));
+        if (!standardError || control.impressions === 0 || variant.impressions === 0) {
+            return { lift, pValue: null, significant: false };
+        }
+
+        const z = (variantRate - controlRate) / standardError;
+        const pValue = 2 * (1 - this.normalCdf(Math.abs(z)));
+        return { lift, pValue, significant: pValue < APP_CONFIG.experiments.significanceLevel };
+    },
+
+    /**
+     * Standard normal CDF (Abramowitz & Stegun 7.1.26, error < 1.5e-7)
+     */
+    normalCdf(x) {
+        const t = 1 / (1 + 0.3275911 * Math.abs(x) / Math.SQRT2);
+        const poly = t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429))));
+        const erf = 1 - poly * Math.exp(-(x * x) / 2);
+        return x >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+    }
+};
+
+// =============================================================================
+// Lead Forms Module
+// =============================================================================
+
+const LeadForms = {
+    forms: {},
+    queue: [],
+
+    /**
+     * Attach validation and submission to the rendered forms, and send
+     * submissions earlier page views could not deliver
+     */
+    init(profile) {
+        this.forms = Object.fromEntries((profile?.forms || []).map(form => [form.id, form]));
+        this.queue = this.loadQueue();
+        this.flushing = null;
+        this.retries = 0;
+        this.retryTimer = null;
+        this.viewed = new Set();
+        this.started = new Set();
+
+        document.querySelectorAll('[data-form-id]').forEach(block => {
+            const form = this.forms[block.dataset.formId];
+            if (!form) return;
+
+            const element = block.querySelector('form');
+            element.addEventListener('submit', (e) => {
+                e.preventDefault();
+                this.submit(form, element);
+            });
+            element.addEventListener('input', (e) => {
+                this.trackStart(form);
+                if (e.target.getAttribute('aria-invalid') === 'true') this.validateField(e.target);
+            });
+        });
+        this.observeViews();
+
+        window.addEventListener('online', () => {
+            clearTimeout(this.retryTimer);
+            this.retryTimer = null;
+            this.retries = 0;
+            this.flush();
+        });
+
+        if (this.queue.length > 0) this.flush();
+    },
+
+    /**
+     * Record a `form_view` once per form and page view, when the form is as
+     * visible as a link card must be for an impression
+     */
+    observeViews() {
+        const blocks = [...document.querySelectorAll('[data-form-id]')];
+        if (blocks.length === 0 || !('IntersectionObserver' in window)) return;
+
+        const observer = new IntersectionObserver((entries) => {
+            entries.filter(entry => entry.isIntersecting).forEach(entry => {
+                const formId = entry.target.dataset.formId;
+                observer.unobserve(entry.target);
+                if (this.viewed.has(formId)) return;
+
+                this.viewed.add(formId);
+                Analytics.trackEvent('form_view', { formId });
+            });
+        }, { threshold: APP_CONFIG.analytics.impressionThreshold });
+
+        blocks.forEach(block => observer.observe(block));
+    },
+
+    /**
+     * Record a `form_start` the first time a visitor types into a form
+     */
+    trackStart(form) {
+        if (this.started.has(form.id)) return;
+        this.started.add(form.id);
+        Analytics.trackEvent('form_start', { formId: form.id });
+    },
+
+    /**
+     * Validate, queue and send a submission. Bots that fill in the honeypot
+     * see the usual confirmation, but nothing is sent.
+     */
+    async submit(form, element) {
+        const fields = [...element.elements].filter(control => control.name && control.name !== APP_CONFIG.forms.honeypot);
+        const invalid = fields.filter(control => !this.validateField(control));
+        if (invalid.length > 0) {
+            this.setStatus(element, I18n.plural('form.fix', invalid.length), true);
+            invalid[0].focus();
+            return;
+        }
+
+        if (element.elements[APP_CONFIG.forms.honeypot]?.value) {
+            this.complete(form, element);
+            return;
+        }
+
+        const submission = {
+            id: Utils.generateId(),
+            formId: form.id,
+            webhook: form.webhook,
+            submittedAt: new Date().toISOString(),
+            page: Utils.stripQuery(window.location.href),
+            fields: Object.fromEntries(fields.map(control => [
+                control.name,
+                control.type === 'checkbox' ? control.checked : control.value.trim(),
+            ])),
+        };
+        this.enqueue(submission);
+        Analytics.trackEvent('form_submit', { formId: form.id });
+
+        const fieldset = element.querySelector('fieldset');
+        fieldset.disabled = true;
+        this.setStatus(element, I18n.t('form.sending'));
+        await this.flush();
+        fieldset.disabled = false;
+
+        if (this.queue.some(queued => queued.id === submission.id)) {
+            this.setStatus(element, I18n.t(navigator.onLine === false ? 'form.offline' : 'form.queued'));
+            element.reset();
+        } else {
+            this.complete(form, element);
+        }
+    },
+
+    /**
+     * Confirm a submission and clear the form
+     */
+    complete(form, element) {
+        element.reset();
+        this.setStatus(element, form.successMessage || I18n.t('form.success'));
+    },
+
+    /**
+     * Show a control's validation message next to it; true when valid
+     */
+    validateField(control) {
+        const error = document.getElementById(control.getAttribute('aria-describedby'));
+        const label = document.querySelector(`label[for="${control.id}"]`)?.firstChild?.textContent.trim() || control.name;
+        const value = control.type === 'checkbox' ? control.checked : control.value.trim();
+        let message = '';
+
+        if (control.required && !value) {
+            message = I18n.t(control.type === 'checkbox' ? 'form.checkRequired' : 'form.required', { label });
+        } else if (value && !control.checkValidity()) {
+            const key = ['email', 'url', 'tel'].includes(control.type) ? control.type
+                : control.validity.tooLong ? 'tooLong' : 'invalid';
+            message = I18n.t(`form.${key}`, { label });
+        }
+
+        control.setAttribute('aria-invalid', message ? 'true' : 'false');
+        if (error) error.textContent = message;
+        return !message;
+    },
+
+    /**
+     * Announce the form's state through its live region
+     */
+    setStatus(element, message, isError = false) {
+        const status = element.querySelector('.lead-form-status');
+        status.textContent = message;
+        status.classList.toggle('lead-form-status-error', isError);
+    },
+
+    /**
+     * Store a submission until its webhook accepts it
+     */
+    enqueue(submission) {
+        this.queue = [...this.queue, submission].slice(-APP_CONFIG.forms.maxQueued);
+        this.saveQueue();
+    },
+
+    /**
+     * Send queued submissions; resolves once the queue is empty or delivery
+     * has to wait. Calls during a flush share it.
+     */
+    flush() {
+        if (!this.flushing) {
+            this.flushing = this.deliver().finally(() => {
+                this.flushing = null;
+            });
+        }
+        return this.flushing;
+    },
+
+    /**
+     * Send queued submissions oldest first. A 2xx response removes one from
+     * the queue; other 4xx responses drop it as undeliverable; network
+     * errors and 5xx back off and retry.
+     */
+    async deliver() {
+        if (this.retryTimer || this.queue.length === 0) return;
+        if (navigator.onLine === false) return;
+
+        try {
+            while (this.queue.length > 0) {
+                const submission = this.queue[0];
+                const response = await this.send(submission);
+                if (!response.ok && (response.status >= 500 || response.status === 408 || response.status === 429)) {
+                    throw new Error(`Form webhook responded ${response.status}`);
+                }
+                if (!response.ok) {
+                    console.warn(`Form submission rejected by ${submission.webhook} (${response.status}); dropping it`);
+                }
+                this.queue = this.queue.filter(queued => queued.id !== submission.id);
+                this.saveQueue();
+                this.retries = 0;
+            }
+        } catch (e) {
+            console.warn('Form submission failed:', e);
+            this.scheduleRetry();
+        }
+    },
+
+    /**
+     * POST a submission to its form's webhook. The webhook should
+     * de-duplicate by `id`: a retry may repeat a submission whose response
+     * was lost.
+     */
+    send(submission) {
+        const { webhook, ...body } = submission;
+        return fetch(webhook, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(body),
+        });
+    },
+
+    /**
+     * Retry with exponential backoff and jitter. After maxRetries the
+     * queue waits for the next 'online' event or page view.
+     */
+    scheduleRetry() {
+        const { maxRetries, retryBaseDelay, retryMaxDelay } = APP_CONFIG.forms;
+        if (this.retries >= maxRetries) return;
+
+        const delay = Math.min(retryBaseDelay * 2 ** this.retries, retryMaxDelay);
+        this.retries++;
+        this.retryTimer = setTimeout(() => {
+            this.retryTimer = null;
+            this.flush();
+        }, delay / 2 + Math.random() * delay / 2);
+    },
+
+    /**
+     * Persist the undelivered submissions
+     */
+    saveQueue() {
+        try {
+            localStorage.setItem(APP_CONFIG.forms.queueKey, JSON.stringify(this.queue));
+        } catch (e) {
+            console.warn('Form queue storage failed:', e);
+        }
+    },
+
+    /**
+     * Load submissions queued by earlier page views
+     */
+    loadQueue() {
+        try {
+            const data = localStorage.getItem(APP_CONFIG.forms.queueKey);
+            return data ? JSON.parse(data) : [];
+        } catch (e) {
+            console.warn('Form queue load failed:', e);
+            return [];
+        }
+    },
+
+    /**
+     * Views, starts, submissions and conversion rate (submissions per view)
+     * for each form
+     */
+    summarize(views, starts, submissions) {
+        const forms = {};
+        const entry = (formId) => {
+            forms[formId] = forms[formId] || { views: 0, starts: 0, submissions: 0, conversionRate: 0 };
+            return forms[formId];
+        };
+
+        views.forEach(event => entry(event.data.formId).views++);
+        starts.forEach(event => entry(event.data.formId).starts++);
+        submissions.forEach(event => entry(event.data.formId).submissions++);
+        Object.values(forms).forEach(form => {
+            form.conversionRate = form.views > 0 ? form.submissions / form.views : 0;
+        });
+
+        return forms;
+    },
+};
+
+// =============================================================================
+// Embeds Module
+// =============================================================================
+
+const Embeds = {
+    /**
+     * Wire up the rendered embed facades
+     */
+    init() {
+        const blocks = document.querySelectorAll('[data-embed-id]');
+        if (blocks.length === 0) return;
+
+        blocks.forEach(block => {
+            block.addEventListener('click', (e) => {
+                const action = e.target.closest('[data-embed-action]')?.dataset.embedAction;
+                if (action) this.handleAction(block, action);
+            });
+        });
+
+        this.applyConsent();
+        Consent.onChange(() => this.applyConsent());
+    },
+
+    /**
+     * Provider thumbnails are third-party requests too: they lazy-load only
+     * with media consent
+     */
+    applyConsent() {
+        if (Consent.get('media') !== true) return;
+
+        const waiting = document.querySelectorAll('img[data-embed-thumbnail]');
+        if (waiting.length === 0) return;
+
+        waiting.forEach(img => {
+            img.dataset.src = img.dataset.embedThumbnail;
+            img.removeAttribute('data-embed-thumbnail');
+        });
+        Performance.setupImageLazyLoading();
+    },
+
+    /**
+     * Play right away with media consent; otherwise ask first
+     */
+    handleAction(block, action) {
+        switch (action) {
+            case 'play':
+                if (Consent.get('media') === true) {
+                    this.load(block);
+                } else {
+                    this.askConsent(block);
+                }
+                break;
+            case 'play-once':
+                this.load(block);
+                break;
+            case 'allow':
+                Consent.grant('media');
+                this.load(block);
+                break;
+        }
+    },
+
+    /**
+     * Explain what playing loads, with a one-off and a permanent choice
+     */
+    askConsent(block) {
+        const frame = block.querySelector('.embed-frame');
+        if (frame.querySelector('.embed-consent')) return;
+
+        const provider = EMBED_PROVIDERS[block.dataset.provider]?.label || I18n.t('embed.otherSite');
+        const text = (key) => Utils.escapeHtml(I18n.t(key, { provider }));
+        const notice = document.createElement('div');
+        notice.className = 'embed-consent';
+        notice.setAttribute('role', 'group');
+        notice.setAttribute('aria-label', I18n.t('embed.consentLabel', { provider }));
+        notice.innerHTML = `
+            <p class="embed-consent-text">${text('embed.consentText')}</p>
+            <div class="embed-consent-actions">
+                <button type="button" class="ui-button ui-button-primary" data-embed-action="play-once">${text('embed.playOnce')}</button>
+                <button type="button" class="ui-button" data-embed-action="allow">${text('embed.allow')}</button>
+            </div>
+        `;
+        frame.appendChild(notice);
+        notice.querySelector('button').focus();
+    },
+
+    /**
+     * Replace the facade with the provider's player and move focus into it
+     */
+    load(block) {
+        const frame = block.querySelector('.embed-frame');
+        if (frame.querySelector('iframe')) return;
+
+        const title = block.querySelector('.embed-title')?.textContent || I18n.t('embed.fallbackTitle');
+        const iframe = document.createElement('iframe');
+        iframe.className = 'embed-player';
+        iframe.src = block.dataset.embedSrc;
+        iframe.title = title;
+        iframe.allow = 'autoplay; encrypted-media; fullscreen; picture-in-picture; clipboard-write';
+        iframe.allowFullscreen = true;
+        iframe.referrerPolicy = 'strict-origin-when-cross-origin';
+
+        frame.replaceChildren(iframe);
+        iframe.focus();
+
+        Analytics.trackEvent('embed_play', {
+            embedId: block.dataset.embedId,
+            provider: block.dataset.provider,
+        });
+    },
+};
+
+// =============================================================================
+// QR Codes (no external dependencies)
+// =============================================================================
+
+// Error correction per level: format bits, and for versions 1-40 the
+// codewords per block and the number of blocks (ISO/IEC 18004, table 9)
+const QR_ERROR_CORRECTION = {
+    L: {
+        format: 1,
+        codewords: [0, 7, 10, 15, 20, 26, 18, 20, 24, 30, 18, 20, 24, 26, 30, 22, 24, 28, 30, 28, 28, 28, 28, 30, 30, 26, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+        blocks: [0, 1, 1, 1, 1, 1, 2, 2, 2, 2, 4, 4, 4, 4, 4, 6, 6, 6, 6, 7, 8, 8, 9, 9, 10, 12, 12, 12, 13, 14, 15, 16, 17, 18, 19, 19, 20, 21, 22, 24, 25],
+    },
+    M: {
+        format: 0,
+        codewords: [0, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26, 30, 22, 22, 24, 24, 28, 28, 26, 26, 26, 26, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28],
+        blocks: [0, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5, 5, 8, 9, 9, 10, 10, 11, 13, 14, 16, 17, 17, 18, 20, 21, 23, 25, 26, 28, 29, 31, 33, 35, 37, 38, 40, 43, 45, 47, 49],
+    },
+    Q: {
+        format: 3,
+        codewords: [0, 13, 22, 18, 26, 18, 24, 18, 22, 20, 24, 28, 26, 24, 20, 30, 24, 28, 28, 26, 30, 28, 30, 30, 30, 30, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+        blocks: [0, 1, 1, 2, 2, 4, 4, 6, 6, 8, 8, 8, 10, 12, 16, 12, 17, 16, 18, 21, 20, 23, 23, 25, 27, 29, 34, 34, 35, 38, 40, 43, 45, 48, 51, 53, 56, 59, 62, 65, 68],
+    },
+    H: {
+        format: 2,
+        codewords: [0, 17, 28, 22, 16, 22, 28, 26, 26, 24, 28, 24, 28, 22, 24, 24, 30, 28, 28, 26, 28, 30, 24, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+        blocks: [0, 1, 1, 2, 4, 4, 4, 5, 6, 8, 8, 11, 11, 16, 16, 18, 16, 19, 21, 25, 25, 25, 34, 30, 32, 35, 37, 40, 42, 45, 48, 51, 54, 57, 60, 63, 66, 70, 74, 77, 81],
+    },
+};
+
+// Data masks; a module is flipped where its mask returns true
+const QR_MASKS = [
+    (x, y) => (x + y) % 2 === 0,
+    (x, y) => y % 2 === 0,
+    (x, y) => x % 3 === 0,
+    (x, y) => (x + y) % 3 === 0,
+    (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+    (x, y) => (x * y) % 2 + (x * y) % 3 === 0,
+    (x, y) => ((x * y) % 2 + (x * y) % 3) % 2 === 0,
+    (x, y) => ((x + y) % 2 + (x * y) % 3) % 2 === 0,
+];
+
+const QRCode = {
+    /**
+     * Encode text in byte mode (UTF-8) with the smallest version that fits.
+     * Returns `{ version, size, modules }`, where `modules[y][x]` is true for
+     * dark modules. The mask with the lowest penalty is used unless `mask`
+     * is given.
+     */
+    encode(text, { level = 'M', mask = null } = {}) {
+        const bytes = new TextEncoder().encode(text);
+        const lengthBits = (version) => (version < 10 ? 8 : 16);
+
+        let version = 1;
+        while (version <= 40 && this.dataCapacity(version, level) * 8 < 4 + lengthBits(version) + bytes.length * 8) {
+            version++;
+        }
+        if (version > 40) {
+            throw new RangeError(`Text is too long for a QR code (${bytes.length} bytes)`);
+        }
+
+        const data = this.dataCodewords(bytes, version, level, lengthBits(version));
+        const { modules, reserved } = this.functionPatterns(version);
+        this.placeCodewords(modules, reserved, this.addErrorCorrection(data, version, level));
+
+        const candidates = (mask === null ? [0, 1, 2, 3, 4, 5, 6, 7] : [mask]).map(id => {
+            const masked = modules.map((row, y) => row.map((dark, x) => (reserved[y][x] ? dark : dark !== QR_MASKS[id](x, y))));
+            this.drawFormat(masked, level, id);
+            return { modules: masked, penalty: this.penalty(masked) };
+        });
+        const best = candidates.reduce((a, b) => (b.penalty < a.penalty ? b : a));
+
+        return { version, size: modules.length, modules: best.modules };
+    },
+
+    /**
+     * Modules available for data and error correction in a version
+     */
+    rawCodewords(version) {
+        let modules = (16 * version + 128) * version + 64;
+        if (version >= 2) {
+            const alignments = Math.floor(version / 7) + 2;
+            modules -= (25 * alignments - 10) * alignments - 55;
+            if (version >= 7) modules -= 36;
+        }
+        return Math.floor(modules / 8);
+    },
+
+    /**
+     * Data codewords a version holds at an error correction level
+     */
+    dataCapacity(version, level) {
+        const { codewords, blocks } = QR_ERROR_CORRECTION[level];
+        return this.rawCodewords(version) - codewords[version] * blocks[version];
+    },
+
+    /**
+     * Mode, length, data, terminator and padding, as codewords
+     */
+    dataCodewords(bytes, version, level, lengthBits) {
+        const capacity = this.dataCapacity(version, level);
+        const bits = [];
+        const push = (value, length) => {
+            for (let i = length - 1; i >= 0; i--) bits.push((value >>> i) & 1);
+        };
+
+        push(0b0100, 4);
+        push(bytes.length, lengthBits);
+        bytes.forEach(byte => push(byte, 8));
+        push(0, Math.min(4, capacity * 8 - bits.length));
+        push(0, (8 - (bits.length % 8)) % 8);
+
+        const codewords = [];
+        for (let i = 0; i < bits.length; i += 8) {
+            codewords.push(bits.slice(i, i + 8).reduce((byte, bit) => (byte << 1) | bit, 0));
+        }
+        for (let pad = 0xEC; codewords.length < capacity; pad ^= 0xEC ^ 0x11) {
+            codewords.push(pad);
+        }
+        return codewords;
+    },
+
+    /**
+     * Split data into blocks, add Reed-Solomon codewords to each and
+     * interleave them
+     */
+    addErrorCorrection(data, version, level) {
+        const { codewords, blocks: blockCounts } = QR_ERROR_CORRECTION[level];
+        const blockCount = blockCounts[version];
+        const ecLength = codewords[version];
+        const raw = this.rawCodewords(version);
+        const shortBlocks = blockCount - (raw % blockCount);
+        const shortLength = Math.floor(raw / blockCount) - ecLength;
+        const generator = this.generator(ecLength);
+
+        const blocks = [];
+        for (let i = 0, offset = 0; i < blockCount; i++) {
+            const length = shortLength + (i < shortBlocks ? 0 : 1);
+            const block = data.slice(offset, offset + length);
+            offset += length;
+            blocks.push({ data: block, ec: this.remainder(block, generator) });
+        }
+
+        const result = [];
+        for (let i = 0; i <= shortLength; i++) {
+            blocks.forEach(block => {
+                if (i < block.data.length) result.push(block.data[i]);
+            });
+        }
+        for (let i = 0; i < ecLength; i++) {
+            blocks.forEach(block => result.push(block.ec[i]));
+        }
+        return result;
+    },
+
+    /**
+     * Product of two elements of GF(2^8) with the QR polynomial 0x11D
+     */
+    multiply(x, y) {
+        let product = 0;
+        for (let i = 7; i >= 0; i--) {
+            product = (product << 1) ^ ((product >>> 7) * 0x11D);
+            product ^= ((y >>> i) & 1) * x;
+        }
+        return product;
+    },
+
+    /**
+     * Reed-Solomon generator polynomial of a degree, highest term first and
+     * the leading 1 left out
+     */
+    generator(degree) {
+        const coefficients = new Array(degree).fill(0);
+        coefficients[degree - 1] = 1;
+
+        let root = 1;
+        for (let i = 0; i < degree; i++) {
+            for (let j = 0; j < degree; j++) {
+                coefficients[j] = this.multiply(coefficients[j], root);
+                if (j + 1 < degree) coefficients[j] ^= coefficients[j + 1];
+            }
+            root = this.multiply(root, 0x02);
+        }
+        return coefficients;
+    },
+
+    /**
+     * Error correction codewords for a block
+     */
+    remainder(data, generator) {
+        const result = generator.map(() => 0);
+        data.forEach(byte => {
+            const factor = byte ^ result.shift();
+            result.push(0);
+            generator.forEach((coefficient, i) => {
+                result[i] ^= this.multiply(coefficient, factor);
+            });
+        });
+        return result;
+    },
+
+    /**
+     * Finder, timing and alignment patterns and version information, with
+     * the format areas reserved. `reserved[y][x]` marks modules data skips.
+     */
+    functionPatterns(version) {
+        const size = version * 4 + 17;
+        const grid = () => Array.from({ length: size }, () => new Array(size).fill(false));
+        const modules = grid();
+        const reserved = grid();
+        const set = (x, y, dark) => {
+            modules[y][x] = dark;
+            reserved[y][x] = true;
+        };
+
+        for (let i = 0; i < size; i++) {
+            set(6, i, i % 2 === 0);
+            set(i, 6, i % 2 === 0);
+        }
+
+        // Finders with their light separators
+        [[3, 3], [size - 4, 3], [3, size - 4]].forEach(([cx, cy]) => {
+            for (let dy = -4; dy <= 4; dy++) {
+                for (let dx = -4; dx <= 4; dx++) {
+                    const x = cx + dx;
+                    const y = cy + dy;
+                    if (x < 0 || y < 0 || x >= size || y >= size) continue;
+                    const distance = Math.max(Math.abs(dx), Math.abs(dy));
+                    set(x, y, distance !== 2 && distance !== 4);
+                }
+            }
+        });
+
+        const positions = this.alignmentPositions(version);
+        const last = positions.length - 1;
+        positions.forEach((cy, i) => positions.forEach((cx, j) => {
+            // Corners taken by the finders
+            if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return;
+            for (let dy = -2; dy <= 2; dy++) {
+                for (let dx = -2; dx <= 2; dx++) {
+                    set(cx + dx, cy + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+                }
+            }
+        }));
+
+        this.drawFormat(modules, 'L', 0, set);
+
+        if (version >= 7) {
+            let remainder = version;
+            for (let i = 0; i < 12; i++) remainder = (remainder << 1) ^ ((remainder >>> 11) * 0x1F25);
+            const bits = (version << 12) | remainder;
+            for (let i = 0; i < 18; i++) {
+                const dark = ((bits >>> i) & 1) === 1;
+                set(size - 11 + (i % 3), Math.floor(i / 3), dark);
+                set(Math.floor(i / 3), size - 11 + (i % 3), dark);
+            }
+        }
+
+        return { modules, reserved };
+    },
+
+    /**
+     * Centre coordinates of the alignment patterns, on both axes
+     */
+    alignmentPositions(version) {
+        if (version === 1) return [];
+
+        const count = Math.floor(version / 7) + 2;
+        const step = Math.floor((version * 8 + count * 3 + 5) / (count * 4 - 4)) * 2;
+        const positions = [6];
+        for (let position = version * 4 + 10; positions.length < count; position -= step) {
+            positions.splice(1, 0, position);
+        }
+        return positions;
+    },
+
+    /**
+     * Write both copies of the format information and the dark module
+     */
+    drawFormat(modules, level, mask, set = (x, y, dark) => { modules[y][x] = dark; }) {
+        const data = (QR_ERROR_CORRECTION[level].format << 3) | mask;
+        let remainder = data;
+        for (let i = 0; i < 10; i++) remainder = (remainder << 1) ^ ((remainder >>> 9) * 0x537);
+        const bits = ((data << 10) | remainder) ^ 0x5412;
+        const bit = (i) => ((bits >>> i) & 1) === 1;
+        const size = modules.length;
+
+        for (let i = 0; i <= 5; i++) set(8, i, bit(i));
+        set(8, 7, bit(6));
+        set(8, 8, bit(7));
+        set(7, 8, bit(8));
+        for (let i = 9; i < 15; i++) set(14 - i, 8, bit(i));
+
+        for (let i = 0; i < 8; i++) set(size - 1 - i, 8, bit(i));
+        for (let i = 8; i < 15; i++) set(8, size - 15 + i, bit(i));
+        set(8, size - 8, true);
+    },
+
+    /**
+     * Fill the data area in the two-column zigzag, bottom right first
+     */
+    placeCodewords(modules, reserved, codewords) {
+        const size = modules.length;
+        const total = codewords.length * 8;
+        let index = 0;
+
+        for (let right = size - 1; right >= 1; right -= 2) {
+            if (right === 6) right = 5; // skip the vertical timing pattern
+            const upward = ((right + 1) & 2) === 0;
+            for (let step = 0; step < size; step++) {
+                const y = upward ? size - 1 - step : step;
+                for (let column = 0; column < 2; column++) {
+                    const x = right - column;
+                    if (reserved[y][x] || index >= total) continue;
+                    modules[y][x] = ((codewords[index >>> 3] >>> (7 - (index & 7))) & 1) === 1;
+                    index++;
+                }
+            }
+        }
+    },
+
+    /**
+     * Mask penalty: long runs, 2×2 blocks, finder look-alikes and imbalance
+     * between dark and light
+     */
+    penalty(modules) {
+        const size = modules.length;
+        const columns = modules[0].map((_, x) => modules.map(row => row[x]));
+        let penalty = 0;
+
+        [...modules, ...columns].forEach(line => {
+            let run = 1;
+            for (let i = 1; i <= size; i++) {
+                if (i < size && line[i] === line[i - 1]) {
+                    run++;
+                    continue;
+                }
+                if (run >= 5) penalty += run - 2;
+                run = 1;
+            }
+
+            // The quiet zone counts as light
+            const text = `0000${line.map(dark => (dark ? '1' : '0')).join('')}0000`;
+            penalty += 40 * (text.match(/(?=00001011101|10111010000)/g) || []).length;
+        });
+
+        for (let y = 0; y < size - 1; y++) {
+            for (let x = 0; x < size - 1; x++) {
+                const dark = modules[y][x];
+                if (dark === modules[y][x + 1] && dark === modules[y + 1][x] && dark === modules[y + 1][x + 1]) {
+                    penalty += 3;
+                }
+            }
+        }
+
+        const darkCount = modules.reduce((count, row) => count + row.filter(Boolean).length, 0);
+        const total = size * size;
+        penalty += 10 * (Math.ceil(Math.abs(darkCount * 20 - total * 10) / total) - 1);
+
+        return penalty;
+    },
+
+    /**
+     * SVG document for a code. `logo` is a data URL drawn over the centre on
+     * a background-colored plate.
+     */
+    toSvg(qr, { foreground = '#000000', background = '#ffffff', margin = 4, logo = null, logoSize = 0.2 } = {}) {
+        const escape = Utils.escapeHtml;
+        const total = qr.size + margin * 2;
+        const path = [];
+        qr.modules.forEach((row, y) => row.forEach((dark, x) => {
+            if (dark) path.push(`M${x + margin} ${y + margin}h1v1h-1z`);
+        }));
+
+        let overlay = '';
+        if (logo) {
+            const box = this.logoBox(qr, margin, logoSize);
+            overlay = `<rect x="${box.plate}" y="${box.plate}" width="${box.plateSize}" height="${box.plateSize}" rx="1" fill="${escape(background)}"/>`
+                + `<image href="${escape(logo)}" x="${box.offset}" y="${box.offset}" width="${box.size}" height="${box.size}" preserveAspectRatio="xMidYMid meet"/>`;
+        }
+
+        return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${total} ${total}" shape-rendering="crispEdges">`
+            + `<rect width="${total}" height="${total}" fill="${escape(background)}"/>`
+            + `<path fill="${escape(foreground)}" d="${path.join('')}"/>${overlay}</svg>`;
+    },
+
+    /**
+     * Draw a code on a canvas, `scale` pixels per module. `logo` is a loaded
+     * image. Returns null where canvas is unavailable.
+     */
+    toCanvas(qr, { foreground = '#000000', background = '#ffffff', margin = 4, logo = null, logoSize = 0.2 } = {}, scale = 8) {
+        const total = qr.size + margin * 2;
+        const canvas = document.createElement('canvas');
+        canvas.width = canvas.height = total * scale;
+        const context = canvas.getContext?.('2d');
+        if (!context) return null;
+
+        context.fillStyle = background;
+        context.fillRect(0, 0, canvas.width, canvas.height);
+        context.fillStyle = foreground;
+        qr.modules.forEach((row, y) => row.forEach((dark, x) => {
+            if (dark) context.fillRect((x + margin) * scale, (y + margin) * scale, scale, scale);
+        }));
+
+        if (logo) {
+            const box = this.logoBox(qr, margin, logoSize);
+            context.fillStyle = background;
+            context.fillRect(box.plate * scale, box.plate * scale, box.plateSize * scale, box.plateSize * scale);
+            context.drawImage(logo, box.offset * scale, box.offset * scale, box.size * scale, box.size * scale);
+        }
+        return canvas;
+    },
+
+    /**
+     * Logo position and size in modules, centred on the code
+     */
+    logoBox(qr, margin, logoSize) {
+        const total = qr.size + margin * 2;
+        const size = Math.round(qr.size * logoSize);
+        const plateSize = size + 2;
+        return {
+            size,
+            offset: (total - size) / 2,
+            plateSize,
+            plate: (total - plateSize) / 2,
+        };
+    },
+};
+
+// =============================================================================
+// Share Module
+// =============================================================================
+
+// Share menu targets: `url({ url, text })` opens the network's share page
+const SHARE_TARGETS = {
+    x: {
+        label: 'X',
+        icon: 'fab fa-x-twitter',
+        url: ({ url, text }) => `https://twitter.com/intent/tweet?url=${encodeURIComponent(url)}&text=${encodeURIComponent(text)}`,
+    },
+    facebook: {
+        label: 'Facebook',
+        icon: 'fab fa-facebook',
+        url: ({ url }) => `https://www.facebook.com/sharer/sharer.php?u=${encodeURIComponent(url)}`,
+    },
+    linkedin: {
+        label: 'LinkedIn',
+        icon: 'fab fa-linkedin',
+        url: ({ url }) => `https://www.linkedin.com/sharing/share-offsite/?url=${encodeURIComponent(url)}`,
+    },
+    whatsapp: {
+        label: 'WhatsApp',
+        icon: 'fab fa-whatsapp',
+        url: ({ url, text }) => `https://wa.me/?text=${encodeURIComponent(`${text} ${url}`)}`,
+    },
+    telegram: {
+        label: 'Telegram',
+        icon: 'fab fa-telegram',
+        url: ({ url, text }) => `https://t.me/share/url?url=${encodeURIComponent(url)}&text=${encodeURIComponent(text)}`,
+    },
+    email: {
+        label: 'Email',
+        icon: 'fas fa-envelope',
+        url: ({ url, text }) => `mailto:?subject=${encodeURIComponent(text)}&body=${encodeURIComponent(url)}`,
+    },
+};
+
+// Dashboard labels for the share targets that are not menu entries
+const SHARE_ACTION_LABELS = {
+    native: 'Device share sheet',
+    copy: 'Copied link',
+    qr_png: 'QR code (PNG)',
+    qr_svg: 'QR code (SVG)',
+};
+
+const Share = {
+    /**
+     * Add share and QR code buttons under the hero and, unless the profile
+     * turns them off, a share button on every link card
+     */
+    init(profile) {
+        this.settings = profile?.share || {};
+        if (this.settings.enabled === false) return;
+
+        this.profile = profile;
+        this.addProfileActions();
+        if (this.settings.links !== false) {
+            Template.queryAll('card').forEach(card => this.addCardButton(card));
+        }
+
+        document.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-share]');
+            if (!button) return;
+
+            const item = button.closest('.link-item');
+            const card = item && Template.query('card', item);
+            const subject = card ? this.describeCard(card) : this.describeProfile();
+            if (button.dataset.share === 'qr') {
+                this.openMenu(subject);
+            } else {
+                this.share(subject);
+            }
+        });
+    },
+
+    /**
+     * "Share" and "QR code" buttons for the whole profile
+     */
+    addProfileActions() {
+        const hero = Template.query('hero');
+        if (!hero) return;
+
+        const text = (key) => Utils.escapeHtml(I18n.t(key));
+        const actions = document.createElement('div');
+        actions.className = 'share-actions';
+        actions.innerHTML = `
+            <button type="button" class="ui-button" data-share="share">
+                <i class="fas fa-share-nodes" aria-hidden="true"></i> ${text('share.button')}
+            </button>
+            <button type="button" class="ui-button" data-share="qr">
+                <i class="fas fa-qrcode" aria-hidden="true"></i> ${text('share.qr')}
+            </button>
+        `;
+        hero.appendChild(actions);
+    },
+
+    /**
+     * Buttons cannot sit inside the card's anchor, so the card moves into a
+     * list item that holds both
+     */
+    addCardButton(card) {
+        const title = Template.query('cardTitle', card)?.textContent.trim() || 'link';
+        const item = document.createElement('div');
+        item.className = 'link-item';
+        item.setAttribute('role', card.getAttribute('role') || 'listitem');
+        card.removeAttribute('role');
+        card.replaceWith(item);
+
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'link-share';
+        button.dataset.share = 'share';
+        button.setAttribute('aria-label', I18n.t('share.link', { title }));
+        button.innerHTML = '<i class="fas fa-share-nodes" aria-hidden="true"></i>';
+        item.append(card, button);
+    },
+
+    /**
+     * What sharing the profile sends
+     */
+    describeProfile() {
+        const profile = this.profile;
+        const canonical = document.querySelector('link[rel="canonical"]')?.href;
+        const name = profile?.name || Template.query('heroTitle')?.textContent.trim() || document.title;
+
+        return {
+            scope: 'profile',
+            url: canonical || profile?.site?.url || Utils.stripQuery(window.location.href),
+            title: name,
+            text: this.settings.text || [name, profile?.subtitle].filter(Boolean).join(' – '),
+            filename: Utils.slugify(name) || 'profile',
+        };
+    },
+
+    /**
+     * What sharing a link card sends: the link's own destination
+     */
+    describeCard(card) {
+        const title = Template.query('cardTitle', card)?.textContent.trim() || card.href;
+        return {
+            scope: 'link',
+            linkId: card.dataset.linkId,
+            url: card.dataset.destination || card.href,
+            title,
+            text: title,
+            filename: card.dataset.linkId || Utils.slugify(title) || 'link',
+        };
+    },
+
+    /**
+     * Use the system share sheet where there is one, the share menu elsewhere
+     * or when it fails
+     */
+    async share(subject) {
+        if (navigator.share) {
+            try {
+                await navigator.share({ title: subject.title, text: subject.text, url: subject.url });
+                this.track(subject, 'native');
+                return;
+            } catch (error) {
+                if (error.name === 'AbortError') return;
+                console.warn('Web Share failed, showing the share menu:', error);
+            }
+        }
+        this.openMenu(subject);
+    },
+
+    /**
+     * Record a share with its target
+     */
+    track(subject, target) {
+        Analytics.trackEvent('share', {
+            scope: subject.scope,
+            ...(subject.linkId ? { linkId: subject.linkId } : {}),
+            target,
+        });
+    },
+
+    /**
+     * Share menu: copy, network targets and the QR code
+     */
+    openMenu(subject) {
+        if (!this.dialog) this.createDialog();
+        this.subject = subject;
+
+        const dialog = this.dialog;
+        dialog.querySelector('.share-dialog-title').textContent = subject.scope === 'profile'
+            ? I18n.t('share.titleProfile')
+            : I18n.t('share.titleLink', { title: subject.title });
+        dialog.querySelector('.share-url-input').value = subject.url;
+        dialog.querySelector('.share-status').textContent = '';
+        dialog.querySelector('[data-share-action="native"]').hidden = !navigator.share;
+
+        const targets = this.settings.targets || APP_CONFIG.share.targets;
+        dialog.querySelector('.share-targets').innerHTML = targets
+            .filter(id => SHARE_TARGETS[id])
+            .map(id => {
+                const target = SHARE_TARGETS[id];
+                const newTab = id === 'email' ? '' : ' target="_blank" rel="noopener noreferrer"';
+                return `
+                <li>
+                    <a class="ui-button share-target" href="${Utils.escapeHtml(target.url(subject))}"${newTab} data-share-target="${id}">
+                        <i class="${target.icon}" aria-hidden="true"></i> ${Utils.escapeHtml(I18n.t(`share.target.${id}`, {}, target.label))}
+                    </a>
+                </li>`;
+            }).join('');
+
+        this.renderQr(subject);
+        if (!dialog.open) dialog.showModal();
+    },
+
+    /**
+     * Build the share dialog
+     */
+    createDialog() {
+        const text = (key) => Utils.escapeHtml(I18n.t(key));
+        const dialog = document.createElement('dialog');
+        dialog.className = 'share-dialog';
+        dialog.setAttribute('aria-labelledby', 'shareDialogTitle');
+        dialog.innerHTML = `
+            <div class="share-header">
+                <h2 class="share-dialog-title" id="shareDialogTitle">${text('share.button')}</h2>
+                <button type="button" class="ui-button" data-share-action="close" aria-label="${text('share.close')}">
+                    <i class="fas fa-times" aria-hidden="true"></i>
+                </button>
+            </div>
+            <div class="share-url">
+                <input type="text" class="share-url-input" readonly aria-label="${text('share.address')}">
+                <button type="button" class="ui-button ui-button-primary" data-share-action="copy">
+                    <i class="fas fa-copy" aria-hidden="true"></i> ${text('share.copy')}
+                </button>
+            </div>
+            <ul class="share-targets" aria-label="${text('share.targets')}"></ul>
+            <button type="button" class="ui-button share-native" data-share-action="native">
+                <i class="fas fa-share-nodes" aria-hidden="true"></i> ${text('share.more')}
+            </button>
+            <figure class="share-qr">
+                <div class="share-qr-code"></div>
+                <figcaption class="share-qr-caption">${text('share.scan')}</figcaption>
+                <div class="share-qr-actions">
+                    <button type="button" class="ui-button" data-share-action="png">
+                        <i class="fas fa-download" aria-hidden="true"></i> PNG
+                    </button>
+                    <button type="button" class="ui-button" data-share-action="svg">
+                        <i class="fas fa-download" aria-hidden="true"></i> SVG
+                    </button>
+                </div>
+            </figure>
+            <p class="share-status" role="status" aria-live="polite"></p>
+        `;
+        document.body.appendChild(dialog);
+        this.dialog = dialog;
+
+        dialog.addEventListener('click', (e) => {
+            const target = e.target.closest('[data-share-target]');
+            if (target) {
+                this.track(this.subject, target.dataset.shareTarget);
+                return;
+            }
+
+            switch (e.target.closest('[data-share-action]')?.dataset.shareAction) {
+                case 'close':
+                    dialog.close();
+                    break;
+                case 'copy':
+                    this.copy();
+                    break;
+                case 'native':
+                    dialog.close();
+                    this.share(this.subject);
+                    break;
+                case 'png':
+                    this.downloadPng();
+                    break;
+                case 'svg':
+                    this.downloadSvg();
+                    break;
+            }
+        });
+    },
+
+    /**
+     * Copy the address, selecting it for a manual copy when the clipboard is
+     * out of reach
+     */
+    async copy() {
+        const input = this.dialog.querySelector('.share-url-input');
+        try {
+            await navigator.clipboard.writeText(input.value);
+            this.setStatus(I18n.t('share.copied'));
+            this.track(this.subject, 'copy');
+        } catch (error) {
+            input.select();
+            this.setStatus(I18n.t('share.copyManually'));
+        }
+    },
+
+    /**
+     * Announce the result of an action
+     */
+    setStatus(message) {
+        this.dialog.querySelector('.share-status').textContent = message;
+    },
+
+    /**
+     * Show the subject's QR code in the menu
+     */
+    async renderQr(subject) {
+        const container = this.dialog.querySelector('.share-qr-code');
+        const downloads = this.dialog.querySelectorAll('.share-qr-actions button');
+        const options = await this.qrOptions();
+        if (this.subject !== subject) return;
+
+        try {
+            const level = options.logo ? 'H' : APP_CONFIG.share.qr.errorCorrection;
+            this.qr = { code: QRCode.encode(subject.url, { level }), options, subject };
+        } catch (error) {
+            console.warn('QR code:', error.message);
+            this.qr = null;
+            container.innerHTML = `<p class="share-qr-error">${Utils.escapeHtml(I18n.t('share.tooLong'))}</p>`;
+            downloads.forEach(button => { button.disabled = true; });
+            return;
+        }
+
+        container.innerHTML = QRCode.toSvg(this.qr.code, { ...options, logo: options.logo?.dataUrl });
+        const svg = container.querySelector('svg');
+        svg.setAttribute('role', 'img');
+        svg.setAttribute('aria-label', I18n.t('share.qrLabel', { url: subject.url }));
+        downloads.forEach(button => { button.disabled = false; });
+    },
+
+    /**
+     * Colors and logo for QR codes. Dark modules on a light background scan
+     * most reliably, so brand colors that are too light or too close to the
+     * background give way to the next candidate.
+     */
+    async qrOptions() {
+        const settings = this.settings.qr || {};
+        const { margin, logoSize, minContrast } = APP_CONFIG.share.qr;
+        const background = settings.background || '#ffffff';
+        const brightness = (color) => Utils.parseColor(color).reduce((sum, channel) => sum + channel, 0);
+        const readable = (color) => Utils.parseColor(color)
+            && brightness(color) < brightness(background)
+            && Utils.contrastRatio(color, background) >= minContrast;
+
+        const candidates = [settings.foreground, Theme.getToken('color-accent-dark'), Theme.getToken('color-text-primary'), '#000000'];
+        const foreground = candidates.find(color => color && readable(color)) || '#000000';
+        if (settings.foreground && foreground !== settings.foreground && !this.warnedForeground) {
+            this.warnedForeground = true;
+            console.warn(`QR code: ${settings.foreground} is too light on ${background}, using ${foreground}`);
+        }
+
+        if (settings.logo && this.logo === undefined) {
+            this.logo = this.loadLogo(settings.logo);
+        }
+
+        return { foreground, background, margin, logoSize, logo: settings.logo ? await this.logo : null };
+    },
+
+    /**
+     * Load the logo as an image for PNGs and a data URL for SVGs. Resolves
+     * to null if it cannot be loaded or read, e.g. a cross-origin image
+     * without CORS; the code is then drawn without it.
+     */
+    loadLogo(src) {
+        return new Promise(resolve => {
+            const image = new Image();
+            image.crossOrigin = 'anonymous';
+            image.onload = () => {
+                try {
+                    const canvas = document.createElement('canvas');
+                    canvas.width = image.naturalWidth;
+                    canvas.height = image.naturalHeight;
+                    canvas.getContext('2d').drawImage(image, 0, 0);
+                    resolve({ image, dataUrl: canvas.toDataURL('image/png') });
+                } catch (error) {
+                    console.warn('QR code logo cannot be embedded:', error);
+                    resolve(null);
+                }
+            };
+            image.onerror = () => {
+                console.warn(`QR code logo "${src}" could not be loaded`);
+                resolve(null);
+            };
+            image.src = src;
+        });
+    },
+
+    /**
+     * Download the QR code as SVG
+     */
+    downloadSvg() {
+        if (!this.qr) return;
+        const { code, options, subject } = this.qr;
+        const svg = QRCode.toSvg(code, { ...options, logo: options.logo?.dataUrl });
+        Utils.downloadBlob(new Blob([svg], { type: 'image/svg+xml' }), `${subject.filename}-qr.svg`);
+        this.track(subject, 'qr_svg');
+    },
+
+    /**
+     * Download the QR code as PNG
+     */
+    downloadPng() {
+        if (!this.qr) return;
+        const { code, options, subject } = this.qr;
+        const canvas = QRCode.toCanvas(code, { ...options, logo: options.logo?.image }, APP_CONFIG.share.qr.pngScale);
+        if (!canvas) {
+            this.setStatus(I18n.t('share.noPng'));
+            return;
+        }
+
+        canvas.toBlob(blob => {
+            Utils.downloadBlob(blob, `${subject.filename}-qr.png`);
+            this.track(subject, 'qr_png');
+        }, 'image/png');
+    },
+
+    /**
+     * Readable name of a share target, for the dashboard
+     */
+    targetLabel(target) {
+        return SHARE_TARGETS[target]?.label || SHARE_ACTION_LABELS[target] || target;
+    },
+};
+
+// =============================================================================
+// Search Module
+// =============================================================================
+
+const Search = {
+    input: null,
+    category: '',
+    reported: new Set(),
+
+    /**
+     * Search box and category filters above the links. Profiles turn them
+     * on or off with `search.enabled`; otherwise pages get them once they
+     * have APP_CONFIG.search.minLinks cards.
+     */
+    init(profile) {
+        const links = Template.query('links');
+        const cards = Template.queryAll('card');
+        const enabled = profile?.search?.enabled ?? cards.length >= APP_CONFIG.search.minLinks;
+        if (!links || !enabled || cards.length === 0) return;
+
+        this.categories = profile?.categories || {};
+        this.createBar(links, cards);
+        this.announce = Utils.debounce(() => this.updateStatus(), APP_CONFIG.search.statusDelay);
+        this.report = Utils.debounce(() => this.trackNoResults(), APP_CONFIG.search.trackDelay);
+    },
+
+    /**
+     * Build the search box, one filter chip per category used by the cards
+     * and the live region announcing the results
+     */
+    createBar(links, cards) {
+        const escape = Utils.escapeHtml;
+        const text = (key) => escape(I18n.t(key));
+        const categories = [...new Set(cards.map(card => card.dataset.category).filter(Boolean))];
+
+        const bar = document.createElement('div');
+        bar.className = 'link-search';
+        bar.setAttribute('role', 'search');
+        bar.innerHTML = `
+            <div class="link-search-field">
+                <i class="fas fa-magnifying-glass" aria-hidden="true"></i>
+                <input type="search" class="link-search-input" aria-label="${text('search.label')}" placeholder="${text('search.placeholder')}"
+                    maxlength="${APP_CONFIG.search.maxQueryLength}" autocomplete="off" spellcheck="false" aria-keyshortcuts="/">
+                <kbd class="link-search-key" aria-hidden="true">/</kbd>
+            </div>
+            ${categories.length > 1 ? `
+            <div class="link-filters" role="group" aria-label="${text('search.filters')}">
+                <button type="button" class="link-filter" data-filter="" aria-pressed="true">${text('search.all')}</button>
+                ${categories.map(id => `
+                <button type="button" class="link-filter" data-filter="${escape(id)}" aria-pressed="false">${escape(this.categoryLabel(id))}</button>`).join('')}
+            </div>` : ''}
+            <p class="link-search-status" role="status" aria-live="polite"></p>
+        `;
+        links.insertBefore(bar, links.firstChild);
+
+        this.bar = bar;
+        this.input = bar.querySelector('.link-search-input');
+        this.input.addEventListener('input', () => this.apply());
+        this.input.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && this.input.value) {
+                e.preventDefault();
+                this.input.value = '';
+                this.apply();
+            }
+        });
+        bar.addEventListener('click', (e) => {
+            const chip = e.target.closest('[data-filter]');
+            if (chip) this.setCategory(chip.dataset.filter);
+        });
+    },
+
+    /**
+     * Category name from the profile, else the ID written as a word
+     */
+    categoryLabel(id) {
+        return this.categories[id]?.label || id.charAt(0).toUpperCase() + id.slice(1);
+    },
+
+    /**
+     * Put the cursor in the search box
+     */
+    focus() {
+        this.input?.focus();
+        this.input?.select();
+    },
+
+    /**
+     * Show only one category's cards; '' shows all
+     */
+    setCategory(category) {
+        this.category = category;
+        this.bar.querySelectorAll('[data-filter]').forEach(chip => {
+            chip.setAttribute('aria-pressed', String(chip.dataset.filter === category));
+        });
+        this.apply();
+    },
+
+    /**
+     * The query as it is matched and reported
+     */
+    get query() {
+        return this.input ? this.input.value.trim().replace(/\s+/g, ' ') : '';
+    },
+
+    /**
+     * Hide the cards that do not match, then the groups left without any
+     */
+    apply() {
+        const terms = this.normalize(this.query).split(' ').filter(Boolean);
+        const active = terms.length > 0 || this.category !== '';
+
+        const shown = Template.queryAll('card').filter(card => {
+            const matches = (!this.category || card.dataset.category === this.category)
+                && (terms.length === 0 || this.matches(terms, this.describe(card)));
+            // Cards with a share button sit in a .link-item wrapper
+            (card.closest('.link-item') || card).hidden = !matches;
+            return matches;
+        });
+        Template.queryAll('group').forEach(group => {
+            group.hidden = active && !shown.some(card => group.contains(card));
+        });
+
+        this.shown = shown.length;
+
+        this.active = active;
+        this.announce();
+        if (terms.length > 0 && this.shown === 0) this.report();
+    },
+
+    /**
+     * Normalized text a card is searched by: title, description, category
+     * and the link's host name
+     */
+    describe(card) {
+        let host = '';
+        try {
+            host = new URL(card.href).hostname.replace(/^www\./, '');
+        } catch (e) {
+            // Not a web address; title and description still count
+        }
+        const category = card.dataset.category ? this.categoryLabel(card.dataset.category) : '';
+
+        return this.normalize([
+            Template.query('cardTitle', card)?.textContent,
+            Template.query('cardDescription', card)?.textContent,
+            category,
+            host,
+        ].filter(Boolean).join(' '));
+    },
+
+    /**
+     * Lowercase without accents, so "cafe" finds "Café"
+     */
+    normalize(text) {
+        return text.normalize('NFKD').replace(/[\u0300-\u036f]/g, '').toLowerCase().replace(/\s+/g, ' ').trim();
+    },
+
+    /**
+     * Every term must match: as part of the text, as the letters of a word
+     * in order ("gthb" → "github"), or as the start of a word with one
+     * typo ("linkdin" → "linkedin")
+     */
+    matches(terms, text) {
+        const words = text.split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+
+        return terms.every(term => text.includes(term) || words.some(word => word[0] === term[0] && (
+            (term.length >= 3 && this.isSubsequence(term, word))
+            || (term.length >= 5 && [-1, 0, 1].some(offset => this.editDistance(term, word.slice(0, term.length + offset)) <= 1))
+        )));
+    },
+
+    /**
+     * Whether the letters of `term` appear in `word` in order
+     */
+    isSubsequence(term, word) {
+        let position = 0;
+        for (const letter of word) {
+            if (letter === term[position]) position++;
+            if (position === term.length) return true;
+        }
+        return false;
+    },
+
+    /**
+     * Levenshtein distance between two short strings
+     */
+    editDistance(a, b) {
+        let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+        for (let i = 1; i <= a.length; i++) {
+            const current = [i];
+            for (let j = 1; j <= b.length; j++) {
+                current[j] = Math.min(
+                    previous[j] + 1,
+                    current[j - 1] + 1,
+                    previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+                );
+            }
+            previous = current;
+        }
+        return previous[b.length];
+    },
+
+    /**
+     * Announce how many links are left once typing pauses
+     */
+    updateStatus() {
+        const status = this.bar.querySelector('.link-search-status');
+        if (!this.active) {
+            status.textContent = '';
+        } else if (this.shown === 0) {
+            status.textContent = I18n.t('search.none', { query: this.query });
+        } else {
+            status.textContent = I18n.plural('search.results', this.shown);
+        }
+    },
+
+    /**
+     * Record a search that found nothing, once per query and page view, so
+     * the owner sees what visitors look for and cannot find
+     */
+    trackNoResults() {
+        const query = this.query.toLowerCase();
+        if (!query || this.shown > 0 || this.reported.has(query)) return;
+
+        this.reported.add(query);
+        Analytics.trackEvent('search_no_results', {
+            query,
+            category: this.category || null,
+        });
+    },
+};
+
+// =============================================================================
+// Editor Module
+// =============================================================================
+
+const EDITOR_ICONS = [
+    'fas fa-link', 'fas fa-globe', 'fas fa-envelope', 'fas fa-phone', 'fas fa-calendar',
+    'fas fa-briefcase', 'fas fa-shopping-bag', 'fas fa-music', 'fas fa-video', 'fas fa-newspaper',
+    'fab fa-linkedin', 'fab fa-twitter', 'fab fa-x-twitter', 'fab fa-instagram', 'fab fa-tiktok',
+    'fab fa-facebook', 'fab fa-youtube', 'fab fa-spotify', 'fab fa-soundcloud', 'fab fa-medium',
+    'fab fa-github', 'fab fa-discord',
+];
+
+const Editor = {
+    /**
+     * Whether the page was opened through the "Edit Profile" shortcut
+     */
+    isRequested() {
+        return new URLSearchParams(window.location.search).get(APP_CONFIG.editor.queryParam) === 'true';
+    },
+
+    /**
+     * Initialize edit mode on top of the rendered profile
+     */
+    init(profile) {
+        this.profile = JSON.parse(JSON.stringify(profile));
+        this.editing = null;
+
+        document.body.classList.add('editing');
+        this.createToolbar();
+        this.createLinkDialog();
+        this.setupDragAndDrop();
+        this.setupLinksSection();
+        this.decorate();
+
+        this.setStatus(this.loadDraft() ? 'Editing your saved draft' : 'Editing – changes are saved in this browser');
+    },
+
+    /**
+     * Load the draft profile document saved by a previous edit session
+     */
+    loadDraft() {
+        try {
+            const data = localStorage.getItem(APP_CONFIG.editor.storageKey);
+            return data ? JSON.parse(data) : null;
+        } catch (e) {
+            console.warn('Profile draft load failed:', e);
+            return null;
+        }
+    },
+
+    /**
+     * Validate and persist the draft. Invalid drafts are not saved.
+     */
+    save() {
+        const errors = ProfileSchema.validate(this.profile);
+        if (errors.length > 0) {
+            this.setStatus(`Not saved: ${errors[0]}`, true);
+            return false;
+        }
+
+        try {
+            localStorage.setItem(APP_CONFIG.editor.storageKey, JSON.stringify(this.profile));
+            this.setStatus(`Saved ${new Date().toLocaleTimeString()}`);
+            return true;
+        } catch (e) {
+            console.warn('Profile draft save failed:', e);
+            this.setStatus('Not saved: browser storage is unavailable', true);
+            return false;
+        }
+    },
+
+    /**
+     * Re-render the page from the draft and re-apply edit affordances
+     */
+    refresh() {
+        ProfileLoader.render(this.profile);
+        Accessibility.setupAriaLabels();
+        this.decorate();
+    },
+
+    /**
+     * Make the rendered hero, stats and link groups editable
+     */
+    decorate() {
+        this.decorateHero();
+
+        Template.queryAll('group').forEach(groupEl => {
+            const title = Template.query('groupTitle', groupEl);
+            if (title) {
+                title.contentEditable = 'true';
+                title.dataset.editGroup = groupEl.dataset.groupId;
+            }
+
+            Template.queryAll('card', groupEl).forEach(card => {
+                card.draggable = true;
+                card.setAttribute('aria-roledescription', 'editable link');
+                card.setAttribute('aria-haspopup', 'dialog');
+            });
+
+            const group = this.findGroup(groupEl.dataset.groupId);
+            const actions = document.createElement('div');
+            actions.className = 'editor-group-actions';
+            actions.innerHTML = `
+                <button type="button" class="ui-button" data-editor-action="add-link">
+                    <i class="fas fa-plus" aria-hidden="true"></i> Add link
+                </button>
+                ${group && group.links.length === 0 ? `
+                <button type="button" class="ui-button ui-button-danger" data-editor-action="remove-group">
+                    Remove group
+                </button>` : ''}
+            `;
+            groupEl.appendChild(actions);
+        });
+
+        // Forms are shown as they will look, but cannot be submitted
+        document.querySelectorAll('[data-form-id] fieldset').forEach(fieldset => {
+            fieldset.disabled = true;
+        });
+
+        const container = Template.query('links');
+        if (container) {
+            const addGroup = document.createElement('button');
+            addGroup.type = 'button';
+            addGroup.className = 'ui-button editor-add-group';
+            addGroup.dataset.editorAction = 'add-group';
+            addGroup.innerHTML = '<i class="fas fa-layer-group" aria-hidden="true"></i> Add group';
+            container.appendChild(addGroup);
+        }
+    },
+
+    /**
+     * Make hero text and stats editable, adding empty fields as placeholders
+     */
+    decorateHero() {
+        const hero = Template.query('hero');
+        if (hero) {
+            [
+                ['heroTitle', 'name', 'h1', 'Your name'],
+                ['heroSubtitle', 'subtitle', 'p', 'Add a subtitle'],
+                ['heroDescription', 'description', 'p', 'Add a short description'],
+            ].forEach(([part, field, tag, placeholder]) => {
+                let el = Template.query(part, hero);
+                if (!el) {
+                    // Missing fields join the title's text block
+                    el = document.createElement(tag);
+                    el.className = Template.className(part);
+                    (Template.query('heroTitle', hero)?.parentElement || hero).appendChild(el);
+                }
+                el.contentEditable = 'true';
+                el.dataset.editField = field;
+                el.dataset.placeholder = placeholder;
+            });
+        }
+
+        Template.queryAll('stat').forEach((stat, index) => {
+            const number = Template.query('statNumber', stat);
+            const label = Template.query('statLabel', stat);
+            if (number) {
+                number.textContent = this.profile.stats?.[index]?.value ?? number.dataset.target;
+                number.contentEditable = 'true';
+                number.inputMode = 'numeric';
+                number.dataset.editStat = `${index}.value`;
+            }
+            if (label) {
+                label.contentEditable = 'true';
+                label.dataset.editStat = `${index}.label`;
+            }
+        });
+    },
+
+    /**
+     * Editor toolbar with save status, export, discard and exit
+     */
+    createToolbar() {
+        const toolbar = document.createElement('div');
+        toolbar.className = 'editor-toolbar';
+        toolbar.setAttribute('role', 'toolbar');
+        toolbar.setAttribute('aria-label', 'Profile editor');
+        toolbar.innerHTML = `
+            <span class="editor-status" role="status" aria-live="polite"></span>
+            <div class="editor-toolbar-actions">
+                <button type="button" class="ui-button" data-editor-action="export">
+                    <i class="fas fa-download" aria-hidden="true"></i> Export profile
+                </button>
+                <button type="button" class="ui-button ui-button-danger" data-editor-action="discard">
+                    Discard draft
+                </button>
+                <a class="ui-button" href="${window.location.pathname}">Exit editor</a>
+            </div>
+        `;
+        document.body.appendChild(toolbar);
+        this.statusEl = toolbar.querySelector('.editor-status');
+
+        toolbar.addEventListener('click', (e) => {
+            const action = e.target.closest('[data-editor-action]')?.dataset.editorAction;
+            if (action === 'export') this.exportProfile();
+            if (action === 'discard') this.discardDraft();
+        });
+    },
+
+    /**
+     * Show a save/validation status message in the toolbar
+     */
+    setStatus(message, isError = false) {
+        if (!this.statusEl) return;
+        this.statusEl.textContent = message;
+        this.statusEl.classList.toggle('editor-status-error', isError);
+    },
+
+    /**
+     * Handle inline text edits, card clicks and group actions
+     */
+    setupLinksSection() {
+        const saveSoon = Utils.debounce(() => this.save(), 400);
+
+        document.addEventListener('input', (e) => {
+            const el = e.target;
+            const value = el.textContent.trim();
+
+            if (el.dataset.editField) {
+                if (value) {
+                    this.profile[el.dataset.editField] = value;
+                } else if (el.dataset.editField !== 'name') {
+                    delete this.profile[el.dataset.editField];
+                }
+            } else if (el.dataset.editStat) {
+                const [index, field] = el.dataset.editStat.split('.');
+                const stat = this.profile.stats[Number(index)];
+                stat[field] = field === 'value' ? parseInt(value.replace(/[^\d]/g, ''), 10) || 0 : value;
+            } else if (el.dataset.editGroup) {
+                const group = this.findGroup(el.dataset.editGroup);
+                if (group) group.title = value;
+            } else {
+                return;
+            }
+            saveSoon();
+        });
+
+        // Keep single-line fields single-line
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter' && e.target.isContentEditable && e.target.dataset.editField !== 'description') {
+                e.preventDefault();
+                e.target.blur();
             }
-            
-            ticking = false;
-        };
+        });
 
-        const onScroll = () => {
-            if (!ticking) {
-                requestAnimationFrame(updateScrollAnimations);
-                ticking = true;
+        document.addEventListener('click', (e) => {
+            const card = Template.closest(e.target, 'card');
+            if (card) {
+                e.preventDefault();
+                this.openLinkDialog(card.dataset.linkId);
+                return;
+            }
+
+            const button = e.target.closest(`${Template.selector('group')} [data-editor-action], [data-editor-action="add-group"]`);
+            if (!button) return;
+
+            const groupId = Template.closest(button, 'group')?.dataset.groupId;
+            switch (button.dataset.editorAction) {
+                case 'add-link':
+                    this.addLink(groupId);
+                    break;
+                case 'remove-group':
+                    this.profile.groups = this.profile.groups.filter(group => group.id !== groupId);
+                    // Forms and embeds that followed the group move to the end
+                    [...(this.profile.forms || []), ...(this.profile.embeds || [])]
+                        .filter(block => block.after === groupId)
+                        .forEach(block => {
+                            delete block.after;
+                        });
+                    this.commit();
+                    break;
+                case 'add-group':
+                    this.addGroup();
+                    break;
             }
+        });
+    },
+
+    /**
+     * Persist and re-render after a structural change
+     */
+    commit() {
+        if (this.save()) {
+            this.refresh();
+        }
+    },
+
+    /**
+     * Find a group by ID
+     */
+    findGroup(groupId) {
+        return this.profile.groups.find(group => group.id === groupId);
+    },
+
+    /**
+     * Find a link and its position by ID
+     */
+    findLink(linkId) {
+        for (const group of this.profile.groups) {
+            const index = group.links.findIndex(link => link.id === linkId);
+            if (index !== -1) return { group, index, link: group.links[index] };
+        }
+        return null;
+    },
+
+    /**
+     * Generate an ID that is not yet used by any group or link
+     */
+    uniqueId(text, fallback) {
+        const used = new Set();
+        this.profile.groups.forEach(group => {
+            used.add(group.id);
+            group.links.forEach(link => used.add(link.id));
+        });
+
+        const base = Utils.slugify(text) || fallback;
+        let id = base;
+        for (let n = 2; used.has(id); n++) id = `${base}-${n}`;
+        return id;
+    },
+
+    /**
+     * Append a new link to a group and open it for editing
+     */
+    addLink(groupId) {
+        const group = this.findGroup(groupId);
+        if (!group) return;
+
+        const link = {
+            id: this.uniqueId('new-link', 'link'),
+            title: 'New link',
+            url: 'https://example.com',
+            icon: 'fas fa-link',
         };
+        group.links.push(link);
+        this.commit();
+        this.openLinkDialog(link.id);
+    },
 
-        window.addEventListener('scroll', Utils.debounce(onScroll, 16));
+    /**
+     * Append a new, empty group
+     */
+    addGroup() {
+        this.profile.groups.push({
+            id: this.uniqueId('new-group', 'group'),
+            title: 'New group',
+            links: [],
+        });
+        this.commit();
+    },
+
+    /**
+     * Move a link to another position, possibly in another group
+     */
+    moveLink(linkId, targetGroupId, targetIndex) {
+        const found = this.findLink(linkId);
+        const target = this.findGroup(targetGroupId);
+        if (!found || !target) return;
+
+        found.group.links.splice(found.index, 1);
+        const index = found.group === target && targetIndex > found.index ? targetIndex - 1 : targetIndex;
+        target.links.splice(Math.max(0, Math.min(index, target.links.length)), 0, found.link);
+        this.commit();
+    },
+
+    /**
+     * Drag-and-drop reordering of cards within and between groups
+     */
+    setupDragAndDrop() {
+        let draggedId = null;
+        const indicator = document.createElement('div');
+        indicator.className = 'editor-drop-indicator';
+
+        const dropPosition = (grid, y) => {
+            const cards = Template.queryAll('card', grid)
+                .filter(card => card.dataset.linkId !== draggedId);
+            const next = cards.find(card => {
+                const rect = card.getBoundingClientRect();
+                return y < rect.top + rect.height / 2;
+            });
+            return { next, cards };
+        };
+
+        document.addEventListener('dragstart', (e) => {
+            const card = Template.closest(e.target, 'card');
+            if (!card) return;
+            draggedId = card.dataset.linkId;
+            card.classList.add('editor-dragging');
+            e.dataTransfer.effectAllowed = 'move';
+            e.dataTransfer.setData('text/plain', draggedId);
+        });
+
+        document.addEventListener('dragover', (e) => {
+            const grid = Template.closest(e.target, 'grid');
+            if (!grid || !draggedId) return;
+            e.preventDefault();
+
+            const { next } = dropPosition(grid, e.clientY);
+            grid.insertBefore(indicator, next || null);
+        });
+
+        document.addEventListener('drop', (e) => {
+            const grid = Template.closest(e.target, 'grid');
+            if (!grid || !draggedId) return;
+            e.preventDefault();
+
+            const { next, cards } = dropPosition(grid, e.clientY);
+            const groupId = Template.closest(grid, 'group').dataset.groupId;
+            const group = this.findGroup(groupId);
+            const index = next
+                ? group.links.findIndex(link => link.id === next.dataset.linkId)
+                : group.links.length;
+
+            indicator.remove();
+            this.moveLink(draggedId, groupId, index === -1 ? cards.length : index);
+        });
+
+        document.addEventListener('dragend', () => {
+            indicator.remove();
+            document.querySelector('.editor-dragging')?.classList.remove('editor-dragging');
+            draggedId = null;
+        });
+    },
+
+    /**
+     * Dialog for a link's URL, icon, category and position
+     */
+    createLinkDialog() {
+        const dialog = document.createElement('dialog');
+        dialog.className = 'editor-dialog';
+        dialog.setAttribute('aria-labelledby', 'editorDialogTitle');
+        dialog.innerHTML = `
+            <form method="dialog" class="editor-form">
+                <h2 class="editor-dialog-title" id="editorDialogTitle">Edit link</h2>
+                <label>Title <input name="title" required maxlength="80"></label>
+                <label>Description <input name="description" maxlength="200"></label>
+                <label>URL <input name="url" required placeholder="https://, mailto: or tel:"></label>
+                <label>Icon
+                    <span class="editor-icon-field">
+                        <i class="editor-icon-preview" aria-hidden="true"></i>
+                        <input name="icon" list="editorIcons" placeholder="fas fa-link">
+                    </span>
+                </label>
+                <datalist id="editorIcons">
+                    ${EDITOR_ICONS.map(icon => `<option value="${icon}"></option>`).join('')}
+                </datalist>
+                <label>Category <input name="category" list="editorCategories" placeholder="e.g. social"></label>
+                <datalist id="editorCategories"></datalist>
+                <label class="editor-checkbox"><input type="checkbox" name="newTab"> Open in a new tab</label>
+                <p class="editor-form-error" role="alert"></p>
+                <div class="editor-form-actions">
+                    <button type="button" class="ui-button" data-move="-1" aria-label="Move link up">
+                        <i class="fas fa-arrow-up" aria-hidden="true"></i>
+                    </button>
+                    <button type="button" class="ui-button" data-move="1" aria-label="Move link down">
+                        <i class="fas fa-arrow-down" aria-hidden="true"></i>
+                    </button>
+                    <button type="button" class="ui-button ui-button-danger" value="delete">Delete</button>
+                    <button type="button" class="ui-button" value="cancel">Cancel</button>
+                    <button type="submit" class="ui-button ui-button-primary" value="save">Save</button>
+                </div>
+            </form>
+        `;
+        document.body.appendChild(dialog);
+        this.dialog = dialog;
+
+        const form = dialog.querySelector('form');
+        form.elements.icon.addEventListener('input', () => {
+            dialog.querySelector('.editor-icon-preview').className = `editor-icon-preview ${form.elements.icon.value}`;
+        });
+
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            if (this.applyLinkForm(form)) dialog.close();
+        });
+
+        dialog.addEventListener('click', (e) => {
+            const button = e.target.closest('button');
+            if (!button) return;
+
+            if (button.value === 'cancel') dialog.close();
+            if (button.value === 'delete') this.deleteLink(this.editing);
+            if (button.dataset.move) this.nudgeLink(this.editing, Number(button.dataset.move));
+        });
+    },
+
+    /**
+     * Open the link dialog for a link
+     */
+    openLinkDialog(linkId) {
+        const found = this.findLink(linkId);
+        if (!found) return;
+
+        const { link } = found;
+        const form = this.dialog.querySelector('form');
+        this.editing = linkId;
+
+        form.elements.title.value = link.title;
+        form.elements.description.value = link.description || '';
+        form.elements.url.value = link.url;
+        form.elements.icon.value = link.icon || '';
+        form.elements.category.value = link.category || '';
+        form.elements.newTab.checked = ProfileRenderer.opensInNewTab(link);
+        form.elements.icon.dispatchEvent(new Event('input'));
+        this.dialog.querySelector('.editor-form-error').textContent = '';
+        this.dialog.querySelector('#editorCategories').innerHTML = Object.keys(this.profile.categories || {})
+            .map(id => `<option value="${Utils.escapeHtml(id)}"></option>`).join('');
+
+        if (!this.dialog.open) this.dialog.showModal();
+        form.elements.title.focus();
+    },
+
+    /**
+     * Apply the dialog fields to the draft, rejecting invalid values
+     */
+    applyLinkForm(form) {
+        const found = this.findLink(this.editing);
+        if (!found) return true;
+
+        const fields = form.elements;
+        const updated = {
+            id: found.link.id,
+            title: fields.title.value.trim(),
+            description: fields.description.value.trim() || undefined,
+            url: fields.url.value.trim(),
+            icon: fields.icon.value.trim() || undefined,
+            category: Utils.slugify(fields.category.value) || undefined,
+            schedule: found.link.schedule,
+            visibility: found.link.visibility,
+            utm: found.link.utm,
+        };
+        if (fields.newTab.checked !== ProfileRenderer.opensInNewTab({ url: updated.url })) {
+            updated.newTab = fields.newTab.checked;
+        }
+
+        const errors = [];
+        ProfileSchema.check(updated, PROFILE_LINK_SCHEMA, 'link', errors);
+        if (errors.length > 0) {
+            form.querySelector('.editor-form-error').textContent = errors[0];
+            return false;
+        }
+
+        if (updated.category && !this.profile.categories?.[updated.category]) {
+            this.profile.categories = {
+                ...this.profile.categories,
+                [updated.category]: { label: fields.category.value.trim() },
+            };
+        }
+
+        found.group.links[found.index] = JSON.parse(JSON.stringify(updated));
+        this.commit();
+        return true;
+    },
+
+    /**
+     * Move the link being edited one position up or down within its group
+     */
+    nudgeLink(linkId, offset) {
+        const found = this.findLink(linkId);
+        if (!found) return;
+
+        const target = found.index + offset;
+        if (target < 0 || target >= found.group.links.length) return;
+
+        found.group.links.splice(found.index, 1);
+        found.group.links.splice(target, 0, found.link);
+        this.commit();
+    },
+
+    /**
+     * Delete a link from the draft
+     */
+    deleteLink(linkId) {
+        const found = this.findLink(linkId);
+        if (!found) return;
+
+        if (!window.confirm(`Delete "${found.link.title}"?`)) return;
+
+        found.group.links.splice(found.index, 1);
+        // Translations of a link that is gone would fail validation
+        Object.values(this.profile.translations || {}).forEach(translation => {
+            delete translation.links?.[linkId];
+        });
+        this.dialog.close();
+        this.commit();
+    },
+
+    /**
+     * Download the draft as a profile.json ready to publish
+     */
+    exportProfile() {
+        const errors = ProfileSchema.validate(this.profile);
+        if (errors.length > 0) {
+            this.setStatus(`Cannot export: ${errors[0]}`, true);
+            return;
+        }
+        Utils.downloadJson(this.profile, 'profile.json');
+    },
+
+    /**
+     * Throw away the local draft and reload the published profile
+     */
+    discardDraft() {
+        if (!window.confirm('Discard all unsaved changes and reload the published profile?')) return;
+
+        localStorage.removeItem(APP_CONFIG.editor.storageKey);
+        window.location.reload();
     }
 };
 
 // =============================================================================
-// Theme Module
+// Charts (inline SVG, no external dependencies)
 // =============================================================================
 
-const Theme = {
+const Charts = {
+    /**
+     * Horizontal bar chart for a list of [label, value] pairs
+     */
+    bar(entries, { label = 'Chart', limit = 10, format = value => value.toLocaleString() } = {}) {
+        const escape = Utils.escapeHtml;
+        const rows = entries.slice(0, limit);
+        if (rows.length === 0) return this.empty();
+
+        const max = Math.max(...rows.map(([, value]) => value), 1);
+        const rowHeight = 28;
+        const height = rows.length * rowHeight;
+        const description = rows.map(([name, value]) => `${name}: ${format(value)}`).join(', ');
+
+        const bars = rows.map(([name, value], index) => {
+            const y = index * rowHeight;
+            const width = Math.max((value / max) * 60, value > 0 ? 0.5 : 0);
+            return `
+                <g>
+                    <text x="0" y="${y + 18}" class="chart-label">${escape(this.truncate(String(name), 28))}</text>
+                    <rect x="38%" y="${y + 6}" width="${width}%" height="16" rx="4" class="chart-bar"></rect>
+                    <text x="${38 + width + 1}%" y="${y + 18}" class="chart-value">${format(value)}</text>
+                </g>`;
+        }).join('');
+
+        return `<svg class="chart chart-bar-chart" width="100%" height="${height}" role="img" aria-label="${escape(`${label}: ${description}`)}">${bars}</svg>`;
+    },
+
+    /**
+     * Line chart for a list of [label, value] pairs in chronological order
+     */
+    line(entries, { label = 'Chart' } = {}) {
+        const escape = Utils.escapeHtml;
+        if (entries.length === 0) return this.empty();
+
+        const width = 600;
+        const height = 160;
+        const padding = 24;
+        const max = Math.max(...entries.map(([, value]) => value), 1);
+        const step = entries.length > 1 ? (width - padding * 2) / (entries.length - 1) : 0;
+        const points = entries.map(([, value], index) => [
+            padding + index * step,
+            height - padding - (value / max) * (height - padding * 2),
+        ]);
+        const description = entries.map(([name, value]) => `${name}: ${value}`).join(', ');
+
+        return `
+            <svg class="chart chart-line-chart" viewBox="0 0 ${width} ${height}" preserveAspectRatio="none" role="img" aria-label="${escape(`${label}: ${description}`)}">
+                <line x1="${padding}" y1="${height - padding}" x2="${width - padding}" y2="${height - padding}" class="chart-axis"></line>
+                <polyline points="${points.map(point => point.join(',')).join(' ')}" class="chart-line"></polyline>
+                ${points.map(([x, y], index) => `<circle cx="${x}" cy="${y}" r="3" class="chart-point"><title>${escape(entries[index][0])}: ${entries[index][1]}</title></circle>`).join('')}
+                <text x="${padding}" y="${height - 6}" class="chart-label">${escape(entries[0][0])}</text>
+                <text x="${width - padding}" y="${height - 6}" text-anchor="end" class="chart-label">${escape(entries[entries.length - 1][0])}</text>
+                <text x="${padding}" y="14" class="chart-label">${max.toLocaleString()}</text>
+            </svg>`;
+    },
+
+    /**
+     * Placeholder shown when a chart has no data
+     */
+    empty() {
+        return '<p class="chart-empty">No data for this period</p>';
+    },
+
+    /**
+     * Shorten long labels with an ellipsis
+     */
+    truncate(text, length) {
+        return text.length > length ? `${text.slice(0, length - 1)}…` : text;
+    }
+};
+
+// =============================================================================
+// Analytics Dashboard
+// =============================================================================
+
+const Dashboard = {
+    /**
+     * Whether the page was opened through the "View Analytics" shortcut
+     */
+    isRequested() {
+        return new URLSearchParams(window.location.search).get(APP_CONFIG.dashboard.queryParam) === 'true';
+    },
+
     /**
-     * Initialize theme system
+     * Create the dashboard overlay and show it
      */
     init() {
-        this.currentTheme = this.getStoredTheme() || 'system';
-        this.applyTheme(this.currentTheme);
-        this.setupThemeToggle();
-        this.watchSystemTheme();
+        this.createDialog();
+        this.open();
+    },
+
+    /**
+     * Build the dialog shell with the date-range controls
+     */
+    createDialog() {
+        const dialog = document.createElement('dialog');
+        dialog.className = 'dashboard';
+        dialog.setAttribute('aria-labelledby', 'dashboardTitle');
+        dialog.innerHTML = `
+            <div class="dashboard-header">
+                <h2 class="dashboard-title" id="dashboardTitle">Analytics</h2>
+                <form class="dashboard-range" aria-label="Date range">
+                    <select name="preset" aria-label="Date range preset">
+                        <option value="1">Today</option>
+                        <option value="7">Last 7 days</option>
+                        <option value="30">Last 30 days</option>
+                        <option value="90">Last 90 days</option>
+                        <option value="all">All time</option>
+                        <option value="custom">Custom…</option>
+                    </select>
+                    <label class="dashboard-date">From <input type="date" name="from"></label>
+                    <label class="dashboard-date">To <input type="date" name="to"></label>
+                </form>
+                <div class="dashboard-actions">
+                    <button type="button" class="ui-button" data-dashboard-action="export">
+                        <i class="fas fa-download" aria-hidden="true"></i> Export
+                    </button>
+                    <button type="button" class="ui-button" data-dashboard-action="close" aria-label="Close analytics">
+                        <i class="fas fa-times" aria-hidden="true"></i>
+                    </button>
+                </div>
+            </div>
+            <div class="dashboard-body" aria-live="polite"></div>
+        `;
+        document.body.appendChild(dialog);
+        this.dialog = dialog;
+        this.form = dialog.querySelector('.dashboard-range');
+        this.form.elements.preset.value = String(APP_CONFIG.dashboard.defaultRangeDays);
+
+        this.form.addEventListener('change', (e) => {
+            if (e.target.name !== 'preset') {
+                this.form.elements.preset.value = 'custom';
+            }
+            this.render();
+        });
+
+        dialog.addEventListener('click', (e) => {
+            const action = e.target.closest('[data-dashboard-action]')?.dataset.dashboardAction;
+            if (action === 'close') dialog.close();
+            if (action === 'export') window.LinkPro?.exportAnalytics();
+        });
+
+        dialog.addEventListener('close', () => {
+            const url = new URL(window.location.href);
+            url.searchParams.delete(APP_CONFIG.dashboard.queryParam);
+            window.history.replaceState(null, '', url);
+        });
+    },
+
+    /**
+     * Show the dashboard
+     */
+    open() {
+        this.render();
+        if (!this.dialog.open) this.dialog.showModal();
+    },
+
+    /**
+     * Resolve the selected date range to { from, to } timestamps
+     */
+    getRange() {
+        const { preset, from, to } = this.form.elements;
+        const dayStart = (date) => new Date(date.getFullYear(), date.getMonth(), date.getDate()).getTime();
+        const isCustom = preset.value === 'custom';
+
+        this.dialog.classList.toggle('dashboard-custom-range', isCustom);
+
+        if (preset.value === 'all') return {};
+        if (isCustom) {
+            return {
+                from: from.value ? dayStart(new Date(`${from.value}T00:00`)) : -Infinity,
+                to: to.value ? dayStart(new Date(`${to.value}T00:00`)) + 24 * 60 * 60 * 1000 - 1 : Infinity,
+            };
+        }
+
+        const days = Number(preset.value);
+        const start = new Date();
+        start.setDate(start.getDate() - (days - 1));
+        return { from: dayStart(start), to: Infinity };
+    },
+
+    /**
+     * Render KPIs and charts for the selected range
+     */
+    async render() {
+        const summary = await Analytics.getSummary(this.getRange());
+        const sorted = (counts) => Object.entries(counts).sort((a, b) => b[1] - a[1]);
+        const linkEntries = Object.values(summary.links)
+            .sort((a, b) => b.clicks - a.clicks)
+            .map(link => [link.title, link.clicks]);
+        const positionEntries = Object.entries(summary.positions)
+            .sort((a, b) => Number(a[0]) - Number(b[0]))
+            .map(([position, count]) => [position === 'unknown' ? position : `#${position}`, count]);
+        const positionRateEntries = Object.entries(summary.positionRates)
+            .filter(([position]) => position !== 'unknown')
+            .sort((a, b) => Number(a[0]) - Number(b[0]))
+            .map(([position, rates]) => [`#${position}`, rates.ctr]);
+        const percent = (value) => `${(value * 100).toFixed(1)}%`;
+        const embedEntries = sorted(summary.embedPlays).map(([id, plays]) => [
+            ProfileLoader.profile?.embeds?.find(embed => embed.id === id)?.title || id,
+            plays,
+        ]);
+        const shareEntries = sorted(summary.shares).map(([target, count]) => [Share.targetLabel(target), count]);
+        const localeEntries = sorted(summary.locales).map(([locale, count]) => [
+            locale === 'unknown' ? locale : I18n.displayName(locale, 'en'),
+            count,
+        ]);
+        const groupRates = Object.fromEntries(Object.entries(summary.groups).map(([id, rates]) => [
+            id,
+            { ...rates, title: ProfileLoader.profile?.groups.find(group => group.id === id)?.title },
+        ]));
+
+        const kpis = [
+            ['Page views', summary.totalPageViews.toLocaleString()],
+            ['Sessions', summary.totalSessions.toLocaleString()],
+            ['Link clicks', summary.totalClicks.toLocaleString()],
+            ['Click-through rate', summary.totalImpressions > 0 ? percent(summary.totalClicks / summary.totalImpressions) : '–'],
+            ['Avg. session', this.formatDuration(summary.averageSessionTime)],
+        ];
+
+        const panel = (title, chart, wide = false) => `
+            <section class="dashboard-panel${wide ? ' dashboard-panel-wide' : ''}">
+                <h3 class="dashboard-panel-title">${title}</h3>
+                ${chart}
+            </section>`;
+
+        this.dialog.querySelector('.dashboard-body').innerHTML = `
+            <div class="dashboard-kpis">
+                ${kpis.map(([label, value]) => `
+                <div class="dashboard-kpi">
+                    <span class="dashboard-kpi-value">${value}</span>
+                    <span class="dashboard-kpi-label">${label}</span>
+                </div>`).join('')}
+            </div>
+            <div class="dashboard-grid">
+                ${panel('Sessions over time', Charts.line(Object.entries(summary.sessionsByDay), { label: 'Sessions per day' }), true)}
+                ${panel('Clicks per link', Charts.bar(linkEntries, { label: 'Clicks per link' }))}
+                ${panel('Clicks per category', Charts.bar(sorted(summary.categories), { label: 'Clicks per category' }))}
+                ${panel('Clicks by position', Charts.bar(positionEntries, { label: 'Clicks by position in group' }))}
+                ${panel('Click-through rate by position', Charts.bar(positionRateEntries, { label: 'Click-through rate by position in group', format: percent }))}
+                ${panel('Click-through rate per link', this.renderRates(summary.links, 'Link'), true)}
+                ${panel('Click-through rate per group', this.renderRates(groupRates, 'Group'), true)}
+                ${panel('Referrers', Charts.bar(sorted(summary.referrers), { label: 'Page views by referrer' }))}
+                ${panel('Clicks by source', Charts.bar(sorted(summary.attribution.sources), { label: 'Link clicks by campaign source' }))}
+                ${panel('Clicks by medium', Charts.bar(sorted(summary.attribution.mediums), { label: 'Link clicks by campaign medium' }))}
+                ${panel('Clicks by campaign', Charts.bar(sorted(summary.attribution.campaigns), { label: 'Link clicks by campaign' }))}
+                ${panel('Clicks by referrer', Charts.bar(sorted(summary.attribution.referrers), { label: 'Link clicks by landing referrer' }))}
+                ${panel('Devices', Charts.bar(sorted(summary.devices), { label: 'Page views by device' }))}
+                ${panel('Viewport widths', Charts.bar(sorted(summary.viewports), { label: 'Page views by viewport width' }))}
+                ${panel('Core Web Vitals (75th percentile)', this.renderVitals(summary.webVitals), true)}
+                ${panel('Experiments', this.renderExperiments(summary.experiments), true)}
+                ${panel('Forms', this.renderForms(summary.forms), true)}
+                ${panel('Embed plays', Charts.bar(embedEntries, { label: 'Plays per embed' }))}
+                ${panel('Shares', Charts.bar(shareEntries, { label: 'Shares by target' }))}
+                ${panel('Languages', Charts.bar(localeEntries, { label: 'Page views by language' }))}
+                ${panel('Searches without results', Charts.bar(sorted(summary.failedSearches), { label: 'Searches that found no links' }))}
+            </div>
+        `;
+    },
+
+    /**
+     * Web Vitals p75 values with their rating
+     */
+    renderVitals(vitals) {
+        const metrics = Object.entries(vitals);
+        if (metrics.length === 0) return Charts.empty();
+
+        return `
+            <dl class="dashboard-vitals">
+                ${metrics.map(([metric, { p75, rating, samples }]) => `
+                <div class="dashboard-vital dashboard-vital-${rating}">
+                    <dt>${metric}</dt>
+                    <dd>
+                        <span class="dashboard-vital-value">${metric === 'CLS' ? p75.toFixed(3) : `${p75.toLocaleString()} ms`}</span>
+                        <span class="dashboard-vital-rating">${rating.replace('-', ' ')} · ${samples} page views</span>
+                    </dd>
+                </div>`).join('')}
+            </dl>`;
+    },
+
+    /**
+     * Impressions, clicks and CTR for links or groups, most seen first
+     */
+    renderRates(items, label) {
+        const rows = Object.entries(items).sort((a, b) => b[1].impressions - a[1].impressions);
+        if (rows.length === 0) return Charts.empty();
+
+        const escape = Utils.escapeHtml;
+        return `
+            <table class="dashboard-table">
+                <thead>
+                    <tr><th scope="col">${label}</th><th scope="col">Impressions</th><th scope="col">Clicks</th><th scope="col">CTR</th></tr>
+                </thead>
+                <tbody>
+                    ${rows.map(([id, item]) => `
+                    <tr>
+                        <th scope="row">${escape(item.title || id)}</th>
+                        <td>${item.impressions.toLocaleString()}</td>
+                        <td>${item.clicks.toLocaleString()}</td>
+                        <td>${item.impressions > 0 ? `${(item.ctr * 100).toFixed(1)}%` : '–'}</td>
+                    </tr>`).join('')}
+                </tbody>
+            </table>`;
+    },
+
+    /**
+     * Views, starts, submissions and conversion rate per lead form
+     */
+    renderForms(forms) {
+        const rows = Object.entries(forms);
+        if (rows.length === 0) return Charts.empty();
+
+        const escape = Utils.escapeHtml;
+        const declared = ProfileLoader.profile?.forms || [];
+        return `
+            <table class="dashboard-table">
+                <thead>
+                    <tr><th scope="col">Form</th><th scope="col">Views</th><th scope="col">Started</th><th scope="col">Submissions</th><th scope="col">Conversion</th></tr>
+                </thead>
+                <tbody>
+                    ${rows.map(([formId, form]) => `
+                    <tr>
+                        <th scope="row">${escape(declared.find(candidate => candidate.id === formId)?.title || formId)}</th>
+                        <td>${form.views.toLocaleString()}</td>
+                        <td>${form.starts.toLocaleString()}</td>
+                        <td>${form.submissions.toLocaleString()}</td>
+                        <td>${form.views > 0 ? `${(form.conversionRate * 100).toFixed(1)}%` : '–'}</td>
+                    </tr>`).join('')}
+                </tbody>
+            </table>`;
+    },
+
+    /**
+     * Per-variant click-through rates, with the lift over the control
+     */
+    renderExperiments(experiments) {
+        const entries = Object.entries(experiments);
+        if (entries.length === 0) return Charts.empty();
+
+        const escape = Utils.escapeHtml;
+        const percent = (value) => `${(value * 100).toFixed(1)}%`;
+        const declared = ProfileLoader.profile?.experiments || [];
+
+        return entries.map(([experimentId, { variants }]) => `
+            <table class="dashboard-table">
+                <caption>${escape(declared.find(experiment => experiment.id === experimentId)?.name || experimentId)}</caption>
+                <thead>
+                    <tr><th scope="col">Variant</th><th scope="col">Impressions</th><th scope="col">Clicks</th><th scope="col">CTR</th><th scope="col">vs. control</th></tr>
+                </thead>
+                <tbody>
+                    ${variants.map((variant, index) => `
+                    <tr>
+                        <th scope="row">${escape(variant.id)}</th>
+                        <td>${variant.impressions.toLocaleString()}</td>
+                        <td>${variant.clicks.toLocaleString()}</td>
+                        <td>${percent(variant.ctr)}</td>
+                        <td>${index === 0 ? 'control' : this.formatComparison(variant)}</td>
+                    </tr>`).join('')}
+                </tbody>
+            </table>`).join('');
+    },
+
+    /**
+     * "+12.5% · significant (p = 0.012)"
+     */
+    formatComparison({ lift, pValue, significant }) {
+        const change = lift === null ? '–' : `${lift >= 0 ? '+' : ''}${(lift * 100).toFixed(1)}%`;
+        if (pValue === null) return `${change} · not enough data`;
+
+        const verdict = significant ? 'significant' : 'not significant';
+        return `${change} · <span class="dashboard-${significant ? 'significant' : 'inconclusive'}">${verdict}</span> (p = ${pValue.toFixed(3)})`;
+    },
+
+    /**
+     * Format seconds as "1m 05s"
+     */
+    formatDuration(seconds) {
+        if (seconds < 60) return `${seconds}s`;
+        return `${Math.floor(seconds / 60)}m ${String(seconds % 60).padStart(2, '0')}s`;
+    }
+};
+
+// =============================================================================
+// Accessibility Audit Module
+// =============================================================================
+
+// What each check looks for, its WCAG success criterion and how serious a
+// finding is: errors fail the criterion, warnings need a closer look
+const AUDIT_RULES = {
+    'image-alt': { label: 'Images without alt text', wcag: '1.1.1', severity: 'error' },
+    'contrast': { label: 'Text contrast', wcag: '1.4.3', severity: 'error' },
+    'theme-contrast': { label: 'Theme color contrast', wcag: '1.4.3', severity: 'error' },
+    'link-name': { label: 'Links and buttons without a name', wcag: '4.1.2', severity: 'error' },
+    'duplicate-link-name': { label: 'Links with the same name', wcag: '2.4.4', severity: 'warning' },
+    'heading-order': { label: 'Skipped heading levels', wcag: '1.3.1', severity: 'warning' },
+    'target-size': { label: 'Small touch targets', wcag: '2.5.8', severity: 'warning' },
+    'page-lang': { label: 'Page language', wcag: '3.1.1', severity: 'error' },
+};
+
+const Audit = {
+    /**
+     * Whether the page was opened with ?audit=true
+     */
+    isRequested() {
+        return new URLSearchParams(window.location.search).get(APP_CONFIG.audit.queryParam) === 'true';
+    },
+
+    /**
+     * Audit the page and show the report
+     */
+    init() {
+        this.createDialog();
+        this.open();
+    },
+
+    /**
+     * Check the rendered page. Returns a report that can be exported
+     * as JSON: the page and theme it describes, counts by severity and
+     * every issue with the element it was found on.
+     */
+    run() {
+        this.issues = [];
+        document.querySelectorAll('[data-audit]').forEach(element => element.removeAttribute('data-audit'));
+
+        this.checkLanguage();
+        this.checkImages();
+        this.checkLinkNames();
+        this.checkHeadings();
+        this.checkTargets();
+        this.checkContrast();
+
+        const issues = this.issues;
+        issues.forEach(issue => issue.node?.setAttribute('data-audit', issue.severity));
+
+        const url = new URL(window.location.href);
+        url.searchParams.delete(APP_CONFIG.audit.queryParam);
+
+        return {
+            url: url.href,
+            template: Template.name,
+            theme: { name: Theme.config?.name || 'default', mode: document.documentElement.dataset.theme || null },
+            locale: I18n.locale,
+            generatedAt: new Date().toISOString(),
+            summary: {
+                errors: issues.filter(issue => issue.severity === 'error').length,
+                warnings: issues.filter(issue => issue.severity === 'warning').length,
+            },
+            issues: issues.map(({ node, ...issue }) => issue),
+        };
+    },
+
+    /**
+     * Record a finding; `element` is kept for highlighting and described
+     * by a selector in the report
+     */
+    report(rule, message, element = null) {
+        const { wcag, severity } = AUDIT_RULES[rule];
+        this.issues.push({
+            rule,
+            severity,
+            wcag,
+            message,
+            element: element ? this.selectorFor(element) : null,
+            text: element?.textContent.trim().replace(/\s+/g, ' ').slice(0, 80) || null,
+            node: element,
+        });
+    },
+
+    /**
+     * Elements the visitor can see, leaving out the audit's own dialog and
+     * anything hidden
+     */
+    isRendered(element) {
+        if (element.closest('[hidden], [aria-hidden="true"], dialog:not([open]), .audit')) return false;
+        for (let node = element; node && node !== document.documentElement; node = node.parentElement) {
+            const style = getComputedStyle(node);
+            if (style.display === 'none' || style.visibility === 'hidden') return false;
+        }
+        return true;
     },
 
     /**
-     * Get stored theme preference
+     * Short CSS selector locating an element, anchored at the nearest ID
      */
-    getStoredTheme() {
-        return localStorage.getItem('linkpro_theme');
+    selectorFor(element) {
+        const parts = [];
+        for (let node = element; node && node !== document.documentElement && parts.length < 4; node = node.parentElement) {
+            if (node.id) {
+                parts.unshift(`#${node.id}`);
+                break;
+            }
+            let part = node.tagName.toLowerCase();
+            if (node.classList.length > 0) part += `.${node.classList[0]}`;
+            const siblings = node.parentElement ? Array.from(node.parentElement.children).filter(sibling => sibling.tagName === node.tagName) : [];
+            if (siblings.length > 1) part += `:nth-of-type(${siblings.indexOf(node) + 1})`;
+            parts.unshift(part);
+        }
+        return parts.join(' > ');
     },
 
     /**
-     * Store theme preference
+     * Accessible name, following aria-labelledby, aria-label, image alt
+     * text and the element's own text
      */
-    storeTheme(theme) {
-        localStorage.setItem('linkpro_theme', theme);
+    accessibleName(element) {
+        const labelledBy = element.getAttribute('aria-labelledby');
+        if (labelledBy) {
+            const text = labelledBy.split(/\s+/).map(id => document.getElementById(id)?.textContent || '').join(' ');
+            if (text.trim()) return text.trim().replace(/\s+/g, ' ');
+        }
+        const label = element.getAttribute('aria-label') || element.getAttribute('title');
+        if (label?.trim()) return label.trim();
+
+        const clone = element.cloneNode(true);
+        clone.querySelectorAll('[aria-hidden="true"]').forEach(child => child.remove());
+        clone.querySelectorAll('img').forEach(image => image.replaceWith(` ${image.alt || ''} `));
+        return clone.textContent.trim().replace(/\s+/g, ' ');
     },
 
     /**
-     * Apply theme
+     * The page declares a valid language
      */
-    applyTheme(theme) {
-        const html = document.documentElement;
-        
-        if (theme === 'system') {
-            const systemTheme = window.matchMedia('(prefers-color-scheme: dark)').matches ? 'dark' : 'light';
-            html.setAttribute('data-theme', systemTheme);
-        } else {
-            html.setAttribute('data-theme', theme);
+    checkLanguage() {
+        const lang = document.documentElement.getAttribute('lang');
+        if (!lang?.trim()) {
+            this.report('page-lang', 'The page has no lang attribute, so screen readers guess the language');
+            return;
+        }
+        try {
+            Intl.getCanonicalLocales(lang);
+        } catch (e) {
+            this.report('page-lang', `lang="${lang}" is not a valid language tag`);
         }
-
-        this.updateThemeIcon(theme);
     },
 
     /**
-     * Update theme toggle icon
+     * Images carry alt text; alt="" marks a decorative one
      */
-    updateThemeIcon(theme) {
-        const icon = document.querySelector('#themeToggle i');
-        if (!icon) return;
-
-        const isDark = theme === 'dark' || (theme === 'system' && window.matchMedia('(prefers-color-scheme: dark)').matches);
-        icon.className = isDark ? 'fas fa-sun' : 'fas fa-moon';
+    checkImages() {
+        document.querySelectorAll('img, [role="img"]').forEach(image => {
+            if (!this.isRendered(image)) return;
+            const named = image.tagName === 'IMG'
+                ? image.hasAttribute('alt')
+                : Boolean(image.getAttribute('aria-label') || image.getAttribute('aria-labelledby'));
+            if (!named) {
+                const source = image.getAttribute('src') || image.dataset.src;
+                this.report('image-alt', `Image${source ? ` ${source}` : ''} has no alt text`, image);
+            }
+        });
     },
 
     /**
-     * Setup theme toggle
+     * Every link and button has a name, and links with the same name go
+     * to the same place
      */
-    setupThemeToggle() {
-        const toggle = document.getElementById('themeToggle');
-        if (!toggle) return;
+    checkLinkNames() {
+        const byName = new Map();
 
-        toggle.addEventListener('click', () => {
-            this.currentTheme = this.currentTheme === 'light' ? 'dark' : 'light';
-            this.storeTheme(this.currentTheme);
-            this.applyTheme(this.currentTheme);
-            
-            // Track theme change
-            Analytics.trackEvent('theme_change', {
-                theme: this.currentTheme,
+        document.querySelectorAll('a[href], button, [role="button"], [role="link"]').forEach(element => {
+            if (!this.isRendered(element)) return;
+
+            const name = this.accessibleName(element);
+            if (!name) {
+                this.report('link-name', `${element.tagName === 'A' ? 'Link' : 'Button'} has no accessible name`, element);
+                return;
+            }
+            if (element.tagName !== 'A') return;
+
+            const key = name.toLocaleLowerCase();
+            if (!byName.has(key)) byName.set(key, []);
+            byName.get(key).push(element);
+        });
+
+        byName.forEach(links => {
+            const destinations = new Set(links.map(link => link.dataset.destination || link.href));
+            if (destinations.size < 2) return;
+            links.slice(1).forEach(link => {
+                this.report('duplicate-link-name', `“${this.accessibleName(link)}” also names a link to ${links[0].dataset.destination || links[0].getAttribute('href')}`, link);
             });
         });
     },
 
     /**
-     * Watch system theme changes
+     * Headings go down one level at a time
      */
-    watchSystemTheme() {
-        const mediaQuery = window.matchMedia('(prefers-color-scheme: dark)');
-        
-        mediaQuery.addEventListener('change', (e) => {
-            if (this.currentTheme === 'system') {
-                this.applyTheme('system');
+    checkHeadings() {
+        const headings = Array.from(document.querySelectorAll('h1, h2, h3, h4, h5, h6, [role="heading"]'))
+            .filter(heading => this.isRendered(heading));
+        let previous = 0;
+
+        headings.forEach(heading => {
+            const level = Number(heading.getAttribute('aria-level') || heading.tagName.slice(1)) || 2;
+            if (level > previous + 1) {
+                this.report('heading-order', previous === 0
+                    ? `The first heading is level ${level}; pages should start at level 1`
+                    : `Level ${level} heading follows a level ${previous} heading`, heading);
             }
+            previous = level;
         });
-    }
-};
-
-// =============================================================================
-// Performance Module
-// =============================================================================
+    },
 
-const Performance = {
     /**
-     * Initialize performance optimizations
+     * Controls are at least APP_CONFIG.audit.minTargetSize CSS pixels in
+     * both directions. Links inside running text are exempt.
      */
-    init() {
-        this.setupImageLazyLoading();
-        this.setupLinkPrefetching();
-        this.setupResourceHints();
+    checkTargets() {
+        const minimum = APP_CONFIG.audit.minTargetSize;
+
+        document.querySelectorAll('a[href], button, input:not([type="hidden"]), select, textarea, [role="button"]').forEach(element => {
+            if (!this.isRendered(element) || element.closest('.sr-only')) return;
+
+            const { width, height } = element.getBoundingClientRect();
+            if (width === 0 && height === 0) return; // not laid out
+            if (getComputedStyle(element).display === 'inline' && element.parentElement?.closest('p, li')) return;
+
+            if (width < minimum || height < minimum) {
+                this.report('target-size', `Target is ${Math.round(width)}×${Math.round(height)}px, smaller than ${minimum}×${minimum}px`, element);
+            }
+        });
     },
 
     /**
-     * Setup lazy loading for images
+     * Visible text against the background it sits on, and the theme's own
+     * color pairs. Text over images and gradients cannot be measured and is
+     * skipped.
      */
-    setupImageLazyLoading() {
-        if (!('IntersectionObserver' in window)) return;
-
-        const imageObserver = new IntersectionObserver((entries) => {
-            entries.forEach(entry => {
-                if (entry.isIntersecting) {
-                    const img = entry.target;
-                    if (img.dataset.src) {
-                        img.src = img.dataset.src;
-                        img.removeAttribute('data-src');
-                        imageObserver.unobserve(img);
-                    }
-                }
-            });
+    checkContrast() {
+        Theme.checkContrast().filter(result => !result.passes).forEach(({ foreground, background, ratio, minimum }) => {
+            this.report('theme-contrast', `--${foreground} on --${background} is ${ratio.toFixed(2)}:1, needs ${minimum}:1`);
         });
 
-        document.querySelectorAll('img[data-src]').forEach(img => {
-            imageObserver.observe(img);
-        });
+        const walker = document.createTreeWalker(document.body, NodeFilter.SHOW_TEXT);
+        const seen = new Set();
+        for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+            const element = node.parentElement;
+            if (!node.textContent.trim() || seen.has(element) || element.closest('script, style, noscript, .sr-only')) continue;
+            seen.add(element);
+            if (!this.isRendered(element)) continue;
+
+            const style = getComputedStyle(element);
+            const background = this.backgroundOf(element);
+            const color = this.parseRgba(style.color);
+            if (!background || !color) continue;
+
+            const foreground = this.toRgb(this.blend(color, background));
+            const ratio = Utils.contrastRatio(foreground, this.toRgb(background));
+            const size = parseFloat(style.fontSize);
+            const large = size >= 24 || (size >= 18.66 && Number(style.fontWeight) >= 700);
+            const minimum = large ? 3 : 4.5;
+            if (ratio !== null && ratio < minimum) {
+                this.report('contrast', `${foreground} on ${this.toRgb(background)} is ${ratio.toFixed(2)}:1, needs ${minimum}:1`, element);
+            }
+        }
     },
 
     /**
-     * Setup link prefetching on hover
+     * Opaque color behind an element, compositing translucent backgrounds
+     * over the page, or null when an image or gradient is in the way
      */
-    setupLinkPrefetching() {
-        const links = document.querySelectorAll('.link-card');
-        const prefetched = new Set();
-
-        links.forEach(link => {
-            link.addEventListener('mouseenter', () => {
-                const href = link.href;
-                if (!prefetched.has(href)) {
-                    const prefetchLink = document.createElement('link');
-                    prefetchLink.rel = 'prefetch';
-                    prefetchLink.href = href;
-                    document.head.appendChild(prefetchLink);
-                    prefetched.add(href);
-                }
-            }, { once: true });
-        });
+    backgroundOf(element) {
+        const layers = [];
+        for (let node = element; node; node = node.parentElement) {
+            const style = getComputedStyle(node);
+            if (style.backgroundImage && style.backgroundImage !== 'none') return null;
+            const color = this.parseRgba(style.backgroundColor);
+            if (color && color[3] > 0) {
+                layers.push(color);
+                if (color[3] >= 1) break;
+            }
+        }
+        return layers.reduceRight((below, layer) => this.blend(layer, below), [255, 255, 255, 1]);
     },
 
     /**
-     * Setup resource hints
+     * [r, g, b, a] from a computed rgb()/rgba() color
      */
-    setupResourceHints() {
-        // DNS prefetch for external domains
-        const domains = ['fonts.googleapis.com', 'cdnjs.cloudflare.com'];
-        domains.forEach(domain => {
-            const link = document.createElement('link');
-            link.rel = 'dns-prefetch';
-            link.href = `//${domain}`;
-            document.head.appendChild(link);
-        });
-    }
-};
+    parseRgba(value) {
+        const match = String(value).match(/^rgba?\(\s*([\d.]+)[\s,]+([\d.]+)[\s,]+([\d.]+)(?:[\s,/]+([\d.]+%?))?\s*\)$/i);
+        if (!match) return null;
+        const alpha = match[4] === undefined ? 1 : match[4].endsWith('%') ? parseFloat(match[4]) / 100 : Number(match[4]);
+        return [Number(match[1]), Number(match[2]), Number(match[3]), alpha];
+    },
 
-// =============================================================================
-// Accessibility Module
-// =============================================================================
+    /**
+     * Composite a translucent color over an opaque one
+     */
+    blend([r, g, b, a], [br, bg, bb]) {
+        return [r * a + br * (1 - a), g * a + bg * (1 - a), b * a + bb * (1 - a), 1];
+    },
 
-const Accessibility = {
     /**
-     * Initialize accessibility features
+     * rgb() string for an [r, g, b, a] color
      */
-    init() {
-        this.setupKeyboardNavigation();
-        this.setupFocusManagement();
-        this.setupAriaLabels();
-        this.setupSkipLinks();
+    toRgb([r, g, b]) {
+        return `rgb(${Math.round(r)}, ${Math.round(g)}, ${Math.round(b)})`;
     },
 
     /**
-     * Setup keyboard navigation
+     * Build the report dialog
      */
-    setupKeyboardNavigation() {
-        // Handle Tab key
-        document.addEventListener('keydown', (e) => {
-            if (e.key === 'Tab') {
-                document.body.classList.add('keyboard-navigation');
-            }
-        });
+    createDialog() {
+        const dialog = document.createElement('dialog');
+        dialog.className = 'dashboard audit';
+        dialog.setAttribute('aria-labelledby', 'auditTitle');
+        dialog.innerHTML = `
+            <div class="dashboard-header">
+                <h2 class="dashboard-title" id="auditTitle">Accessibility audit</h2>
+                <div class="dashboard-actions">
+                    <button type="button" class="ui-button" data-audit-action="run">
+                        <i class="fas fa-rotate" aria-hidden="true"></i> Run again
+                    </button>
+                    <button type="button" class="ui-button" data-audit-action="export">
+                        <i class="fas fa-download" aria-hidden="true"></i> Export JSON
+                    </button>
+                    <button type="button" class="ui-button" data-audit-action="close" aria-label="Close audit">
+                        <i class="fas fa-times" aria-hidden="true"></i>
+                    </button>
+                </div>
+            </div>
+            <div class="dashboard-body" aria-live="polite"></div>
+        `;
+        document.body.appendChild(dialog);
+        this.dialog = dialog;
 
-        // Handle mouse events
-        document.addEventListener('mousedown', () => {
-            document.body.classList.remove('keyboard-navigation');
+        dialog.addEventListener('click', (e) => {
+            const action = e.target.closest('[data-audit-action]')?.dataset.auditAction;
+            if (action === 'run') this.open();
+            if (action === 'export') this.export();
+            if (action === 'close') dialog.close();
         });
 
-        // Handle Escape key
-        document.addEventListener('keydown', (e) => {
-            if (e.key === 'Escape') {
-                this.handleEscape(e);
-            }
+        dialog.addEventListener('close', () => {
+            const url = new URL(window.location.href);
+            url.searchParams.delete(APP_CONFIG.audit.queryParam);
+            window.history.replaceState(null, '', url);
         });
     },
 
     /**
-     * Setup focus management
+     * Run the checks and show the results
      */
-    setupFocusManagement() {
-        // Trap focus in modals (if any are added later)
-        // Ensure focus is visible
-        const style = document.createElement('style');
-        style.textContent = `
-            .keyboard-navigation *:focus {
-                outline: 2px solid var(--color-accent);
-                outline-offset: 2px;
-            }
+    open() {
+        this.result = this.run();
+        this.render(this.result);
+        if (!this.dialog.open) this.dialog.showModal();
+    },
+
+    /**
+     * Summary counts and one table row per issue, errors first
+     */
+    render(result) {
+        const escape = Utils.escapeHtml;
+        const issues = [...result.issues].sort((a, b) => (a.severity === b.severity ? 0 : a.severity === 'error' ? -1 : 1));
+        const kpis = [
+            ['Errors', result.summary.errors],
+            ['Warnings', result.summary.warnings],
+            ['Checks', Object.keys(AUDIT_RULES).length],
+            ['Theme', `${result.theme.name} (${result.theme.mode || 'light'})`],
+        ];
+
+        this.dialog.querySelector('.dashboard-body').innerHTML = `
+            <div class="dashboard-kpis">
+                ${kpis.map(([label, value]) => `
+                <div class="dashboard-kpi">
+                    <span class="dashboard-kpi-value">${escape(String(value))}</span>
+                    <span class="dashboard-kpi-label">${label}</span>
+                </div>`).join('')}
+            </div>
+            ${issues.length === 0 ? '<p class="audit-clean">No issues found. Automated checks cover part of WCAG; test with a keyboard and a screen reader too.</p>' : `
+            <table class="dashboard-table audit-table">
+                <thead>
+                    <tr><th scope="col">Severity</th><th scope="col">Check</th><th scope="col">WCAG</th><th scope="col">Issue</th><th scope="col">Element</th></tr>
+                </thead>
+                <tbody>
+                    ${issues.map(issue => `
+                    <tr>
+                        <td><span class="audit-severity audit-severity-${issue.severity}">${issue.severity}</span></td>
+                        <td>${escape(AUDIT_RULES[issue.rule].label)}</td>
+                        <td>${issue.wcag}</td>
+                        <td>${escape(issue.message)}${issue.text ? `<br><span class="audit-text">“${escape(issue.text)}”</span>` : ''}</td>
+                        <td>${issue.element ? `<code>${escape(issue.element)}</code>` : '–'}</td>
+                    </tr>`).join('')}
+                </tbody>
+            </table>`}
         `;
-        document.head.appendChild(style);
     },
 
     /**
-     * Setup ARIA labels
+     * Download the last report
      */
-    setupAriaLabels() {
-        // Add aria labels to link cards
-        document.querySelectorAll('.link-card').forEach((card, index) => {
-            const title = card.querySelector('.link-title')?.textContent;
-            if (title) {
-                card.setAttribute('aria-label', `${title}, ${card.querySelector('.link-description')?.textContent || ''}`);
+    export() {
+        const date = new Date().toISOString().split('T')[0];
+        Utils.downloadJson(this.result, `linkpro_audit_${Utils.slugify(ProfileLoader.profile?.name || 'page') || 'page'}_${date}.json`);
+    },
+};
+
+// =============================================================================
+// Offline Support Module
+// =============================================================================
+
+const OfflineSupport = {
+    /**
+     * Register the service worker that caches the page for offline use.
+     * Its URL carries APP_CONFIG.version, so each release installs anew.
+     */
+    async init() {
+        const config = APP_CONFIG.offline;
+        if (!config.enabled || !('serviceWorker' in navigator) || !window.isSecureContext) return;
+
+        try {
+            const registration = await navigator.serviceWorker.register(`${config.serviceWorker}?v=${encodeURIComponent(APP_CONFIG.version)}`);
+            this.registration = registration;
+
+            // A worker left waiting by an earlier visit
+            if (registration.waiting && navigator.serviceWorker.controller) {
+                this.showUpdatePrompt(registration.waiting);
             }
-        });
+
+            registration.addEventListener('updatefound', () => {
+                const worker = registration.installing;
+                worker?.addEventListener('statechange', () => {
+                    // Without a controller this is the first install, not an update
+                    if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+                        this.showUpdatePrompt(worker);
+                    }
+                });
+            });
+
+            let reloading = false;
+            navigator.serviceWorker.addEventListener('controllerchange', () => {
+                if (!this.accepted || reloading) return;
+                reloading = true;
+                window.location.reload();
+            });
+
+            setInterval(() => registration.update().catch(() => {}), config.updateCheckInterval);
+        } catch (error) {
+            console.warn('Service worker registration failed:', error);
+        }
     },
 
     /**
-     * Setup skip links
+     * Version a worker was registered for, from its `?v=` parameter
      */
-    setupSkipLinks() {
-        const skipLink = document.createElement('a');
-        skipLink.href = '#main';
-        skipLink.className = 'skip-link';
-        skipLink.textContent = 'Skip to main content';
-        document.body.insertBefore(skipLink, document.body.firstChild);
+    getWorkerVersion(worker) {
+        try {
+            return new URL(worker.scriptURL).searchParams.get('v');
+        } catch (e) {
+            return null;
+        }
     },
 
     /**
-     * Handle Escape key
+     * Offer to reload into the waiting version
      */
-    handleEscape(e) {
-        // Close any open modals or dropdowns
-        // Implementation depends on what interactive elements are added
+    showUpdatePrompt(worker) {
+        if (document.querySelector('.update-prompt')) return;
+
+        const version = this.getWorkerVersion(worker);
+        const text = (key) => Utils.escapeHtml(I18n.t(key, { version }));
+        const prompt = document.createElement('div');
+        prompt.className = 'update-prompt';
+        prompt.setAttribute('role', 'status');
+        prompt.innerHTML = `
+            <p class="update-prompt-text">${text(version ? 'update.availableVersion' : 'update.available')}</p>
+            <div class="update-prompt-actions">
+                <button type="button" class="ui-button" data-update-action="dismiss">${text('update.later')}</button>
+                <button type="button" class="ui-button ui-button-primary" data-update-action="refresh">${text('update.refresh')}</button>
+            </div>
+        `;
+
+        prompt.addEventListener('click', (e) => {
+            const action = e.target.closest('[data-update-action]')?.dataset.updateAction;
+            if (action === 'refresh') {
+                this.accepted = true;
+                worker.postMessage({ type: 'SKIP_WAITING' });
+            }
+            if (action) prompt.remove();
+        });
+
+        document.body.appendChild(prompt);
     }
 };
 
@@ -637,16 +8621,58 @@ class LinkProApp {
     async init() {
         try {
             console.log(`🚀 Link Pro v${this.version} initializing...`);
-            
+
+            // Edit mode works on a local draft; neither it nor the owner's
+            // dashboard and audit views record analytics
+            const editing = Editor.isRequested();
+            const viewingAnalytics = Dashboard.isRequested();
+            const auditing = Audit.isRequested();
+            if (editing || viewingAnalytics || auditing) {
+                APP_CONFIG.analytics.enabled = false;
+            }
+            // The editor works on the profile's own (default language) text
+            if (editing) {
+                APP_CONFIG.i18n.detect = false;
+            }
+
+            // Render profile content before modules attach behavior
+            Template.init();
+            await this.loadProfile(editing ? Editor.loadDraft() : null);
+            Template.checkProfile(ProfileLoader.profile);
+
             // Hide loading screen
             this.hideLoadingScreen();
             
             // Initialize modules
+            if (APP_CONFIG.analytics.enabled) {
+                Consent.init();
+            }
             Analytics.init();
-            Animations.init();
-            Theme.init();
+            if (!editing) {
+                LinkRules.init(ProfileLoader.profile);
+                Experiments.init(ProfileLoader.profile);
+                LeadForms.init(ProfileLoader.profile);
+                Embeds.init();
+                Share.init(ProfileLoader.profile);
+                Search.init(ProfileLoader.profile);
+                I18n.createSwitcher();
+                Animations.init();
+            }
+            Theme.init(ProfileLoader.profile?.theme);
             Performance.init();
             Accessibility.init();
+            Navigation.init();
+
+            if (editing) {
+                Editor.init(ProfileLoader.profile || ProfileLoader.fromMarkup());
+            }
+            if (viewingAnalytics) {
+                Dashboard.init();
+            }
+            if (auditing) {
+                Audit.init();
+            }
+            OfflineSupport.init();
             
             // Setup event listeners
             this.setupEventListeners();
@@ -664,7 +8690,24 @@ class LinkProApp {
             
         } catch (error) {
             console.error('❌ Link Pro initialization failed:', error);
-            this.showError('Application failed to initialize');
+            this.showError(I18n.t('app.initFailed'));
+        }
+    }
+
+    /**
+     * Load and render the profile config. A malformed config is reported
+     * through showError and the static markup is kept.
+     */
+    async loadProfile(override = null) {
+        try {
+            await ProfileLoader.init(override);
+        } catch (error) {
+            if (!(error instanceof ProfileError)) throw error;
+
+            console.error(`❌ ${error.message}:`, error.details);
+            const shown = error.details.slice(0, APP_CONFIG.profile.maxErrorsShown);
+            const more = error.details.length - shown.length;
+            this.showError(`${error.message}: ${shown.join('; ')}${more > 0 ? ` (+${more} more)` : ''}`);
         }
     }
 
@@ -672,7 +8715,7 @@ class LinkProApp {
      * Hide loading screen
      */
     hideLoadingScreen() {
-        const loadingScreen = document.getElementById('loadingScreen');
+        const loadingScreen = Template.query('loadingScreen');
         if (loadingScreen) {
             loadingScreen.classList.add('hidden');
             setTimeout(() => {
@@ -686,7 +8729,7 @@ class LinkProApp {
      */
     setupEventListeners() {
         // Link click tracking
-        document.querySelectorAll('.link-card').forEach(link => {
+        Template.queryAll('card').forEach(link => {
             link.addEventListener('click', (e) => {
                 const category = link.dataset.category || 'unknown';
                 Analytics.trackLinkClick(link, category);
@@ -710,21 +8753,6 @@ class LinkProApp {
                 lineno: e.lineno,
             });
         });
-
-        // Performance monitoring
-        if ('PerformanceObserver' in window) {
-            const observer = new PerformanceObserver((list) => {
-                for (const entry of list.getEntries()) {
-                    Analytics.trackEvent('performance_entry', {
-                        name: entry.name,
-                        value: entry.value,
-                        type: entry.entryType,
-                    });
-                }
-            });
-            
-            observer.observe({ entryTypes: ['measure', 'navigation'] });
-        }
     }
 
     /**
@@ -737,7 +8765,7 @@ class LinkProApp {
         errorDiv.style.cssText = `
             position: fixed;
             top: 20px;
-            right: 20px;
+            inset-inline-end: 20px;
             background: #ff4444;
             color: white;
             padding: 16px;
@@ -755,24 +8783,39 @@ class LinkProApp {
     /**
      * Get analytics summary
      */
-    getAnalytics() {
-        return Analytics.getSummary();
+    getAnalytics(range) {
+        return Analytics.getSummary(range);
+    }
+
+    /**
+     * Open the analytics dashboard overlay
+     */
+    showAnalytics() {
+        if (!Dashboard.dialog) {
+            Dashboard.init();
+        } else {
+            Dashboard.open();
+        }
+    }
+
+    /**
+     * Audit the rendered page and show the report; returns the report
+     */
+    showAudit() {
+        if (!Audit.dialog) {
+            Audit.init();
+        } else {
+            Audit.open();
+        }
+        return Audit.result;
     }
 
     /**
      * Export analytics data
      */
-    exportAnalytics() {
-        const data = Analytics.loadFromStorage();
-        const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
-        const url = URL.createObjectURL(blob);
-        
-        const a = document.createElement('a');
-        a.href = url;
-        a.download = `linkpro_analytics_${new Date().toISOString().split('T')[0]}.json`;
-        a.click();
-        
-        URL.revokeObjectURL(url);
+    async exportAnalytics() {
+        const data = await Analytics.loadFromStorage();
+        Utils.downloadJson(data, `linkpro_analytics_${new Date().toISOString().split('T')[0]}.json`);
     }
 }
 
@@ -780,37 +8823,42 @@ class LinkProApp {
 // Initialize Application
 // =============================================================================
 
-// Wait for DOM to be ready
-if (document.readyState === 'loading') {
-    document.addEventListener('DOMContentLoaded', () => {
+// Wait for DOM to be ready. In Node (scripts/build.js) there is no page to
+// start; the profile modules are exported below instead.
+if (typeof document !== 'undefined') {
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', () => {
+            window.LinkPro = new LinkProApp();
+            window.LinkPro.init();
+        });
+    } else {
         window.LinkPro = new LinkProApp();
         window.LinkPro.init();
-    });
-} else {
-    window.LinkPro = new LinkProApp();
-    window.LinkPro.init();
+    }
 }
 
 // =============================================================================
 // Global Error Handling
 // =============================================================================
 
-window.addEventListener('error', (e) => {
-    console.error('Global error:', e.error);
-    Analytics.trackEvent('global_error', {
-        message: e.message,
-        source: e.source,
-        lineno: e.lineno,
-        colno: e.colno,
+if (typeof window !== 'undefined') {
+    window.addEventListener('error', (e) => {
+        console.error('Global error:', e.error);
+        Analytics.trackEvent('global_error', {
+            message: e.message,
+            source: e.source,
+            lineno: e.lineno,
+            colno: e.colno,
+        });
     });
-});
 
-window.addEventListener('unhandledrejection', (e) => {
-    console.error('Unhandled promise rejection:', e.reason);
-    Analytics.trackEvent('promise_rejection', {
-        reason: e.reason,
+    window.addEventListener('unhandledrejection', (e) => {
+        console.error('Unhandled promise rejection:', e.reason);
+        Analytics.trackEvent('promise_rejection', {
+            reason: e.reason,
+        });
     });
-});
+}
 
 // =============================================================================
 // Export for debugging
@@ -819,11 +8867,55 @@ window.addEventListener('unhandledrejection', (e) => {
 if (typeof window !== 'undefined') {
     window.LinkProDebug = {
         Analytics,
+        Attribution,
+        AnalyticsTransport,
+        EventStore,
+        Consent,
+        WebVitals,
         Animations,
         Theme,
+        THEMES,
+        Template,
+        TEMPLATES,
         Performance,
         Accessibility,
+        Navigation,
+        ProfileLoader,
+        ProfileRenderer,
+        ProfileSchema,
+        LinkRules,
+        Experiments,
+        LeadForms,
+        Embeds,
+        QRCode,
+        Share,
+        Search,
+        I18n,
+        Editor,
+        Dashboard,
+        Charts,
+        Audit,
+        OfflineSupport,
         Utils,
         APP_CONFIG,
     };
-}
\ No newline at end of file
+}
+
+// Node: scripts/build.js renders and validates profiles with the same code,
+// and the tests in test/ load modules from here
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        APP_CONFIG,
+        AnalyticsTransport,
+        Utils,
+        I18n,
+        THEMES,
+        Theme,
+        TEMPLATES,
+        Template,
+        ProfileError,
+        ProfileSchema,
+        ProfileRenderer,
+        LinkRules,
+    };
+}
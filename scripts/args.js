@@ -0,0 +1,37 @@
+/**
+ * Command-line parsing shared by the Node commands (scripts/build.js,
+ * scripts/check-links.js, worker/dev.js)
+ */
+
+'use strict';
+
+/**
+ * Parse `--name value` and `--name=value` pairs over `defaults`, whose keys
+ * are the accepted names. Names in `flags` are switches: `--name` alone sets
+ * them to true, and they default to false.
+ */
+function parseArgs(argv, defaults, flags = []) {
+    const options = { ...defaults, ...Object.fromEntries(flags.map(flag => [flag, false])) };
+
+    for (let i = 0; i < argv.length; i++) {
+        const match = argv[i].match(/^--([a-z][a-z-]*)(?:=(.*))?$/);
+        if (match && flags.includes(match[1])) {
+            if (match[2] !== undefined) {
+                throw new Error(`--${match[1]} does not take a value`);
+            }
+            options[match[1]] = true;
+            continue;
+        }
+        if (!match || !(match[1] in defaults)) {
+            throw new Error(`Unknown argument "${argv[i]}"`);
+        }
+        options[match[1]] = match[2] !== undefined ? match[2] : argv[++i];
+        if (options[match[1]] === undefined) {
+            throw new Error(`--${match[1]} needs a value`);
+        }
+    }
+
+    return options;
+}
+
+module.exports = { parseArgs };
@@ -0,0 +1,246 @@
+#!/usr/bin/env node
+/**
+ * Link Pro static site builder
+ *
+ * Renders one deployable site per client profile:
+ *
+ *   node scripts/build.js [--clients clients] [--template <name>] [--out dist]
+ *
+ * Every `<client>.json` in the clients directory becomes `<out>/<client>/`,
+ * with the profile rendered into its layout (the profile's `template`, or
+ * `--template` for every client), per-client meta tags and
+ * manifest, content-hashed CSS/JS, self-hosted fonts (scripts/fonts.js) and
+ * a service worker that precaches them.
+ * Files in an optional `<clients>/<client>/` directory (e.g. an avatar under
+ * `assets/`) are copied over the output.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const { APP_CONFIG, ProfileRenderer, ProfileSchema, TEMPLATES } = require('../script-clean.js');
+const { parseArgs } = require('./args.js');
+const { selfHostFonts } = require('./fonts.js');
+const { renderPage, renderManifest, rewriteAssetReferences } = require('./render.js');
+
+const ROOT = path.resolve(__dirname, '..');
+
+// Every layout (TEMPLATES in script-clean.js) runs the same script
+const SCRIPTS = ['script-clean.js'];
+
+// Copied unchanged (apart from asset references) into every site
+const STATIC_FILES = ['offline.html', '_headers', '_redirects'];
+const ASSET_DIRS = ['assets'];
+
+// Blocks of _redirects with this comment are for this repository's own
+// deployment and are left out of client sites
+const REPO_ONLY = '# repo-only';
+
+// Command-line options and their defaults
+const OPTIONS = { clients: 'clients', template: null, out: 'dist' };
+
+// =============================================================================
+// Per-client output
+// =============================================================================
+
+/**
+ * Short content hash for cache-busting file names
+ */
+function contentHash(content) {
+    return crypto.createHash('sha256').update(content).digest('hex').slice(0, 10);
+}
+
+/**
+ * Copy a directory tree
+ */
+function copyDir(source, target) {
+    fs.mkdirSync(target, { recursive: true });
+    fs.readdirSync(source, { withFileTypes: true }).forEach(entry => {
+        const from = path.join(source, entry.name);
+        const to = path.join(target, entry.name);
+        if (entry.isDirectory()) {
+            copyDir(from, to);
+        } else {
+            fs.copyFileSync(from, to);
+        }
+    });
+}
+
+/**
+ * Service worker with the client's precache list and a build-specific cache
+ */
+function renderServiceWorker(source, shellFiles, buildId) {
+    const list = (files) => `[\n${files.map(file => `    '${file}',`).join('\n')}\n]`;
+
+    return source
+        .replace(/const BUILD_ID = '[^']*';/, `const BUILD_ID = '${buildId}';`)
+        .replace(/const SHELL_FILES = \[[\s\S]*?\];/, `const SHELL_FILES = ${list(shellFiles)};`)
+        .replace(/const FONT_STYLESHEETS = \[[\s\S]*?\];/, 'const FONT_STYLESHEETS = [];')
+        .replace(/const FRESH_FILES = \[[\s\S]*?\];/, `const FRESH_FILES = ${list(['profile.json', 'index.html'])};`);
+}
+
+/**
+ * A client's `_redirects`: the profile's click redirects, then the shared
+ * rules without the repo-only blocks
+ */
+function renderRedirects(source, profile) {
+    const shared = source.split(/\n\s*\n/)
+        .filter(block => !block.split('\n').some(line => line.startsWith(REPO_ONLY)))
+        .join('\n\n');
+    return renderClickRedirects(profile) + shared;
+}
+
+/**
+ * `_redirects` rules for the profile's `go/<linkId>` hrefs. A static host
+ * only redirects; counting clicks server-side needs worker/handler.js.
+ */
+function renderClickRedirects(profile) {
+    const rules = profile.groups.flatMap(group => group.links
+        .filter(link => ProfileRenderer.redirects(link, profile.redirect))
+        .map(link => `/go/${link.id}    ${ProfileRenderer.linkUrl(link, profile.utm, group.id)}    302`));
+    if (rules.length === 0) return '';
+
+    return `# Click redirects (profile.redirect)\n${rules.join('\n')}\n\n`;
+}
+
+/**
+ * Build one client's site into `outDir`
+ */
+function buildClient(profileFile, templateName, outDir, clientsDir) {
+    const client = path.basename(profileFile, '.json');
+    let profile;
+    try {
+        profile = JSON.parse(fs.readFileSync(profileFile, 'utf8'));
+    } catch (e) {
+        throw new Error(`${client}: ${e.message}`);
+    }
+
+    const errors = ProfileSchema.validate(profile);
+    if (errors.length > 0) {
+        throw new Error(`${client}: invalid profile\n  - ${errors.join('\n  - ')}`);
+    }
+
+    const name = templateName || profile.template || APP_CONFIG.template.default;
+    const template = TEMPLATES[name];
+    if (templateName) {
+        // --template wins; the embedded profile says so too
+        profile = { ...profile, template: templateName };
+    }
+
+    const target = path.join(outDir, client);
+    fs.rmSync(target, { recursive: true, force: true });
+    fs.mkdirSync(target, { recursive: true });
+
+    ASSET_DIRS.forEach(dir => copyDir(path.join(ROOT, dir), path.join(target, dir)));
+    const overrides = path.join(clientsDir, client);
+    if (fs.existsSync(overrides) && fs.statSync(overrides).isDirectory()) {
+        copyDir(overrides, target);
+    }
+
+    // CSS and JS get content-hashed names, so _headers can cache them forever
+    const assets = {};
+    [...template.styles, ...SCRIPTS].forEach(file => {
+        const content = fs.readFileSync(path.join(ROOT, file));
+        const extension = path.extname(file);
+        const hashed = `${path.basename(file, extension)}.${contentHash(content)}${extension}`;
+        fs.writeFileSync(path.join(target, hashed), content);
+        assets[file] = hashed;
+    });
+
+    // Fonts come with the site instead of from Google Fonts and cdnjs
+    const fonts = new Set();
+    const withFonts = (html) => {
+        const result = selfHostFonts(html, target);
+        result.files.forEach(file => fonts.add(file));
+        return result.html;
+    };
+
+    const page = withFonts(renderPage(fs.readFileSync(path.join(ROOT, template.page), 'utf8'), profile, assets, template));
+    fs.writeFileSync(path.join(target, 'index.html'), page);
+    fs.writeFileSync(path.join(target, 'profile.json'), `${JSON.stringify(profile, null, 2)}\n`);
+
+    const manifest = renderManifest(JSON.parse(fs.readFileSync(path.join(ROOT, 'manifest.json'), 'utf8')), profile);
+    fs.writeFileSync(path.join(target, 'manifest.json'), `${JSON.stringify(manifest, null, 2)}\n`);
+
+    STATIC_FILES.forEach(file => {
+        let content = fs.readFileSync(path.join(ROOT, file), 'utf8');
+        if (file.endsWith('.html')) content = withFonts(rewriteAssetReferences(content, assets));
+        if (file === '_redirects') content = renderRedirects(content, profile);
+        fs.writeFileSync(path.join(target, file), content);
+    });
+
+    const avatar = profile.avatar?.src;
+    const localAvatar = avatar && !/^[a-z]+:/i.test(avatar) && fs.existsSync(path.join(target, avatar)) ? [avatar] : [];
+    const shellFiles = [
+        './',
+        'index.html',
+        ...Object.values(assets),
+        'profile.json',
+        'manifest.json',
+        'offline.html',
+        ...localAvatar,
+        // Browsers with service workers all read woff2; the .ttf fallbacks are not needed
+        ...[...fonts].filter(file => !file.endsWith('.ttf')),
+        'assets/favicon-16x16.png',
+        'assets/favicon-32x32.png',
+        'assets/icon-192x192.png',
+        'assets/icon-512x512.png',
+    ];
+    const buildId = contentHash(page + Object.values(assets).join());
+    const serviceWorker = renderServiceWorker(fs.readFileSync(path.join(ROOT, 'sw.js'), 'utf8'), shellFiles, buildId);
+    fs.writeFileSync(path.join(target, 'sw.js'), serviceWorker);
+
+    return { client, template: name, target, files: fs.readdirSync(target).length };
+}
+
+// =============================================================================
+// Main
+// =============================================================================
+
+function main() {
+    const options = parseArgs(process.argv.slice(2), OPTIONS);
+    if (options.template && !TEMPLATES[options.template]) {
+        throw new Error(`Unknown template "${options.template}". Available: ${Object.keys(TEMPLATES).join(', ')}`);
+    }
+
+    const clientsDir = path.resolve(options.clients);
+    const outDir = path.resolve(options.out);
+    if (!fs.existsSync(clientsDir)) {
+        throw new Error(`Clients directory not found: ${clientsDir}`);
+    }
+
+    const profiles = fs.readdirSync(clientsDir)
+        .filter(file => file.endsWith('.json'))
+        .map(file => path.join(clientsDir, file));
+    if (profiles.length === 0) {
+        throw new Error(`No client profiles (*.json) in ${clientsDir}`);
+    }
+
+    const failures = [];
+    profiles.forEach(file => {
+        try {
+            const result = buildClient(file, options.template, outDir, clientsDir);
+            console.log(`✅ ${result.client} (${result.template}) → ${path.relative(process.cwd(), result.target) || '.'}`);
+        } catch (error) {
+            failures.push(error.message);
+            console.error(`❌ ${error.message}`);
+        }
+    });
+
+    console.log(`Built ${profiles.length - failures.length} of ${profiles.length} site(s)`);
+    if (failures.length > 0) process.exitCode = 1;
+}
+
+if (require.main === module) {
+    try {
+        main();
+    } catch (error) {
+        console.error(`❌ ${error.message}`);
+        process.exitCode = 1;
+    }
+}
+
+module.exports = { renderServiceWorker, buildClient };
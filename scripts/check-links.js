@@ -0,0 +1,459 @@
+#!/usr/bin/env node
+/**
+ * Link Pro link health checker
+ *
+ * Checks where every link card goes:
+ *
+ *   node scripts/check-links.js [--profile profile.json | --page <file or URL> | --clients clients]
+ *                               [--report link-health.json] [--hide] [--timeout 10000] [--fetch <module>]
+ *
+ * Web links are requested (HEAD, then GET when HEAD is refused) and their
+ * redirects followed one hop at a time. A link is broken when it ends in a
+ * 4xx/5xx response, cannot be reached or redirects in a loop, and when a
+ * mailto: or tel: address is malformed. Plain http:// links, redirects to
+ * http:// and chains of several redirects are warnings. The exit code is 1
+ * when any link is broken, so the command can gate a CI job.
+ *
+ * `--fetch` names a module exporting a fetch-compatible function, used in
+ * place of the global fetch (e.g. to answer from a local mock server).
+ * `--hide` sets `"hidden": true` on broken links in the profile files, which
+ * keeps them in the profile but off the page; it never un-hides a link.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+const { ProfileSchema } = require('../script-clean.js');
+const { parseArgs } = require('./args.js');
+
+const DEFAULTS = {
+    timeout: 10000,
+    maxRedirects: 5,
+    concurrency: 4,
+};
+
+// Statuses that mean the site turned the checker away rather than the page
+// being gone (bot protection, rate limits, LinkedIn's 999)
+const UNVERIFIED_STATUSES = [401, 403, 429, 999];
+
+const USER_AGENT = 'LinkProLinkChecker/1.0 (+https://github.com/HLPFLCG/whitelabellinkinbio)';
+
+// =============================================================================
+// Command line
+// =============================================================================
+
+/**
+ * Command-line options, checked for combinations that make no sense
+ */
+function parseOptions(argv) {
+    const options = parseArgs(argv, {
+        profile: null,
+        page: null,
+        clients: null,
+        report: null,
+        timeout: String(DEFAULTS.timeout),
+        fetch: null,
+    }, ['hide']);
+
+    const sources = ['profile', 'page', 'clients'].filter(name => options[name]);
+    if (sources.length > 1) {
+        throw new Error('Use only one of --profile, --page and --clients');
+    }
+    if (sources.length === 0) options.profile = 'profile.json';
+    if (options.hide && options.page) {
+        throw new Error('--hide needs profile files (--profile or --clients), not a page');
+    }
+    if (!(Number(options.timeout) > 0)) {
+        throw new Error('--timeout must be a number of milliseconds');
+    }
+
+    return { ...options, timeout: Number(options.timeout) };
+}
+
+// =============================================================================
+// Collecting links
+// =============================================================================
+
+/**
+ * Links of a profile, hidden ones included so they can be checked again
+ */
+function profileLinks(profile, source) {
+    return profile.groups.flatMap(group => group.links.map(link => ({
+        source,
+        id: link.id,
+        title: link.title,
+        group: group.id,
+        url: link.url,
+        hidden: Boolean(link.hidden),
+    })));
+}
+
+/**
+ * Undo the escaping of an HTML attribute or text
+ */
+function decodeHtml(value) {
+    return value
+        .replace(/&quot;/g, '"')
+        .replace(/&#0?39;/g, "'")
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&amp;/g, '&');
+}
+
+/**
+ * Links of a rendered page: every `.link-card` / `.link-card-2026` anchor.
+ * Redirected cards are checked at their `data-destination`; relative hrefs
+ * are resolved against `baseUrl` when the page was fetched.
+ */
+function pageLinks(html, source, baseUrl = null) {
+    const cards = /<a\b([^>]*\bclass="(?:[^"]*\s)?link-card(?:-2026)?(?:\s[^"]*)?"[^>]*)>([\s\S]*?)<\/a>/gi;
+    const attribute = (attributes, name) => {
+        const found = new RegExp(`\\s${name}="([^"]*)"`, 'i').exec(attributes);
+        return found ? decodeHtml(found[1]) : null;
+    };
+
+    const links = [];
+    let match;
+    while ((match = cards.exec(html))) {
+        const [, attributes, inner] = match;
+        let url = attribute(attributes, 'data-destination') || attribute(attributes, 'href') || '';
+        if (baseUrl && !/^[a-z][a-z0-9+.-]*:/i.test(url)) {
+            url = new URL(url, baseUrl).href;
+        }
+        const title = /class="link-title(?:-2026)?"[^>]*>([^<]*)</i.exec(inner)?.[1]
+            || inner.replace(/<[^>]*>/g, ' ');
+
+        links.push({
+            source,
+            id: attribute(attributes, 'data-link-id'),
+            title: decodeHtml(title).trim().replace(/\s+/g, ' ').slice(0, 80),
+            group: null,
+            url,
+            hidden: false,
+        });
+    }
+    return links;
+}
+
+// =============================================================================
+// Checks
+// =============================================================================
+
+/**
+ * mailto: with at least one plausible address, tel: with 3 to 15 digits
+ */
+function checkAddress(url) {
+    if (url.protocol === 'mailto:') {
+        const addresses = [url.pathname, url.searchParams.get('to') || '']
+            .flatMap(list => decodeURIComponent(list).split(','))
+            .map(address => address.trim())
+            .filter(Boolean);
+        const invalid = addresses.filter(address => !/^[^\s@<>()]+@[^\s@<>()]+\.[^\s@<>()]{2,}$/.test(address));
+        if (addresses.length === 0) return 'mailto: link has no email address';
+        if (invalid.length > 0) return `mailto: address "${invalid[0]}" is not a valid email address`;
+        return null;
+    }
+
+    const number = decodeURIComponent(url.pathname).split(';')[0].replace(/[\s().-]/g, '');
+    if (!/^\+?\d{3,15}$/.test(number)) {
+        return `tel: number "${decodeURIComponent(url.pathname)}" is not a valid phone number`;
+    }
+    return null;
+}
+
+/**
+ * Request a URL without following redirects. HEAD first; servers that refuse
+ * it are asked again with GET.
+ */
+async function request(url, { fetch, timeout }) {
+    for (const method of ['HEAD', 'GET']) {
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), timeout);
+        try {
+            const response = await fetch(url, {
+                method,
+                redirect: 'manual',
+                signal: controller.signal,
+                headers: { 'User-Agent': USER_AGENT, 'Accept': 'text/html,*/*' },
+            });
+            if (method === 'HEAD' && [405, 501].includes(response.status)) continue;
+            if (method === 'GET') response.body?.cancel?.().catch(() => {});
+            return response;
+        } catch (error) {
+            throw error.name === 'AbortError' ? new Error(`No response within ${timeout / 1000}s`) : error;
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+    return null;
+}
+
+/**
+ * Check one URL. Resolves to `{ url, status, finalUrl, redirects, issues }`
+ * where each issue is `{ severity: 'error' | 'warning', message }`.
+ */
+async function checkUrl(value, { fetch = globalThis.fetch, timeout = DEFAULTS.timeout, maxRedirects = DEFAULTS.maxRedirects } = {}) {
+    const result = { url: value, status: null, finalUrl: null, redirects: [], issues: [] };
+    const issue = (severity, message) => result.issues.push({ severity, message });
+
+    if (!/^[a-z][a-z0-9+.-]*:/i.test(value)) {
+        result.skipped = 'Relative links are not checked';
+        return result;
+    }
+
+    let url;
+    try {
+        url = new URL(value);
+    } catch (e) {
+        issue('error', `"${value}" is not a valid URL`);
+        return result;
+    }
+
+    if (url.protocol === 'mailto:' || url.protocol === 'tel:') {
+        let problem;
+        try {
+            problem = checkAddress(url);
+        } catch (e) {
+            problem = `${url.protocol} link has a malformed %-escape`;
+        }
+        if (problem) issue('error', problem);
+        return result;
+    }
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+        result.skipped = `${url.protocol} links are not checked`;
+        return result;
+    }
+    if (url.protocol === 'http:') {
+        issue('warning', 'Uses http://, so visitors get no encryption');
+    }
+
+    const visited = new Set();
+    let current = url.href;
+    for (;;) {
+        let response;
+        try {
+            response = await request(current, { fetch, timeout });
+        } catch (error) {
+            issue('error', `Unreachable: ${error.cause?.code || error.message}`);
+            return result;
+        }
+
+        const location = response.status >= 300 && response.status < 400 ? response.headers.get('location') : null;
+        if (!location) {
+            result.status = response.status;
+            result.finalUrl = current;
+            break;
+        }
+
+        visited.add(current);
+        const next = new URL(location, current).href;
+        result.redirects.push({ status: response.status, url: next });
+
+        if (visited.has(next)) {
+            issue('error', `Redirect loop at ${next}`);
+            return result;
+        }
+        if (result.redirects.length > maxRedirects) {
+            issue('error', `More than ${maxRedirects} redirects`);
+            return result;
+        }
+        if (current.startsWith('https:') && next.startsWith('http:')) {
+            issue('warning', `Redirects from https:// to ${next}`);
+        }
+        current = next;
+    }
+
+    if (result.redirects.length > 1) {
+        issue('warning', `Redirect chain of ${result.redirects.length} hops; link to ${result.finalUrl} directly`);
+    }
+    if (UNVERIFIED_STATUSES.includes(result.status)) {
+        issue('warning', `Responds ${result.status}; the site may be blocking automated checks`);
+    } else if (result.status >= 400) {
+        issue('error', `Responds ${result.status}`);
+    }
+
+    return result;
+}
+
+/**
+ * Check a list of links, each distinct URL once, a few at a time. Resolves
+ * to the links with their check results merged in.
+ */
+async function checkLinks(links, options = {}) {
+    const concurrency = options.concurrency || DEFAULTS.concurrency;
+    const results = new Map();
+    const urls = [...new Set(links.map(link => link.url))];
+
+    let next = 0;
+    const worker = async () => {
+        while (next < urls.length) {
+            const url = urls[next++];
+            results.set(url, await checkUrl(url, options));
+        }
+    };
+    await Promise.all(Array.from({ length: Math.min(concurrency, urls.length) }, worker));
+
+    return links.map(link => {
+        const result = results.get(link.url);
+        const severity = result.issues.some(found => found.severity === 'error') ? 'error'
+            : result.issues.length > 0 ? 'warning'
+                : result.skipped ? 'skipped' : 'ok';
+        return { ...link, ...result, severity };
+    });
+}
+
+/**
+ * JSON report: when and what was checked, counts by outcome and every link
+ */
+function buildReport(checked, sources) {
+    const count = (severity) => checked.filter(link => link.severity === severity).length;
+    return {
+        checkedAt: new Date().toISOString(),
+        sources,
+        summary: {
+            links: checked.length,
+            ok: count('ok'),
+            warnings: count('warning'),
+            errors: count('error'),
+            skipped: count('skipped'),
+        },
+        links: checked,
+    };
+}
+
+// =============================================================================
+// Hiding broken links
+// =============================================================================
+
+/**
+ * Set `hidden: true` on the profile's broken links. Returns the IDs of the
+ * links that were newly hidden.
+ */
+function hideBrokenLinks(profile, checked) {
+    const broken = new Set(checked.filter(link => link.severity === 'error').map(link => link.id));
+    const hidden = [];
+
+    profile.groups.forEach(group => group.links.forEach(link => {
+        if (broken.has(link.id) && !link.hidden) {
+            link.hidden = true;
+            hidden.push(link.id);
+        }
+    }));
+    return hidden;
+}
+
+// =============================================================================
+// Main
+// =============================================================================
+
+/**
+ * Read and validate a profile file
+ */
+function readProfile(file) {
+    let profile;
+    try {
+        profile = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (e) {
+        throw new Error(`${file}: ${e.message}`);
+    }
+
+    const errors = ProfileSchema.validate(profile);
+    if (errors.length > 0) {
+        throw new Error(`${file}: invalid profile\n  - ${errors.join('\n  - ')}`);
+    }
+    return profile;
+}
+
+/**
+ * Page HTML from a file, or fetched when `page` is a URL
+ */
+async function readPage(page, fetch) {
+    if (!/^https?:\/\//i.test(page)) {
+        return { html: fs.readFileSync(page, 'utf8'), baseUrl: null };
+    }
+
+    const response = await fetch(page, { headers: { 'User-Agent': USER_AGENT } });
+    if (!response.ok) {
+        throw new Error(`${page} responded ${response.status}`);
+    }
+    return { html: await response.text(), baseUrl: response.url || page };
+}
+
+/**
+ * Console line for a checked link
+ */
+function describe(link) {
+    const marks = { ok: '✅', warning: '⚠️ ', error: '❌', skipped: '➖' };
+    const name = `${link.title || link.url}${link.hidden ? ' (hidden)' : ''}`;
+    const details = link.skipped ? [link.skipped] : link.issues.map(found => found.message);
+    return `${marks[link.severity]} ${name} → ${link.url}${details.length > 0 ? `\n     ${details.join('\n     ')}` : ''}`;
+}
+
+async function main() {
+    const options = parseOptions(process.argv.slice(2));
+    const loaded = options.fetch ? require(path.resolve(options.fetch)) : globalThis.fetch;
+    const fetch = typeof loaded === 'function' ? loaded : loaded?.fetch;
+    if (typeof fetch !== 'function') {
+        throw new Error(`${options.fetch} does not export a fetch function`);
+    }
+    const checkOptions = { fetch, timeout: options.timeout };
+
+    // Profile files by path, for --hide
+    const profiles = new Map();
+    let links;
+    if (options.page) {
+        const { html, baseUrl } = await readPage(options.page, fetch);
+        links = pageLinks(html, options.page, baseUrl);
+        if (links.length === 0) {
+            throw new Error(`No link cards found in ${options.page}`);
+        }
+    } else {
+        const files = options.clients
+            ? fs.readdirSync(options.clients).filter(file => file.endsWith('.json')).map(file => path.join(options.clients, file))
+            : [options.profile];
+        if (files.length === 0) {
+            throw new Error(`No client profiles (*.json) in ${options.clients}`);
+        }
+        files.forEach(file => profiles.set(file, readProfile(file)));
+        links = [...profiles].flatMap(([file, profile]) => profileLinks(profile, file));
+    }
+
+    const checked = await checkLinks(links, checkOptions);
+    checked.forEach(link => {
+        if (link.severity !== 'ok') console.log(describe(link));
+        if (link.hidden && link.status && link.severity !== 'error') {
+            console.log(`ℹ️  ${link.title} (${link.source}) is hidden but responds ${link.status} now; remove "hidden" to show it again`);
+        }
+    });
+
+    const report = buildReport(checked, options.page ? [options.page] : [...profiles.keys()]);
+    const { summary } = report;
+    console.log(`Checked ${summary.links} link(s): ${summary.ok} ok, ${summary.warnings} with warnings, ${summary.errors} broken, ${summary.skipped} skipped`);
+
+    if (options.report) {
+        fs.writeFileSync(options.report, `${JSON.stringify(report, null, 2)}\n`);
+        console.log(`Report written to ${options.report}`);
+    }
+
+    if (options.hide) {
+        profiles.forEach((profile, file) => {
+            const hidden = hideBrokenLinks(profile, checked.filter(link => link.source === file));
+            if (hidden.length === 0) return;
+            fs.writeFileSync(file, `${JSON.stringify(profile, null, 2)}\n`);
+            console.log(`Hid ${hidden.join(', ')} in ${file}`);
+        });
+    }
+
+    if (summary.errors > 0) process.exitCode = 1;
+}
+
+if (require.main === module) {
+    main().catch(error => {
+        console.error(`❌ ${error.message}`);
+        process.exitCode = 1;
+    });
+}
+
+module.exports = { parseOptions, profileLinks, pageLinks, checkUrl, checkLinks, buildReport, hideBrokenLinks };
@@ -0,0 +1,123 @@
+/**
+ * Link Pro self-hosted fonts
+ *
+ * The layouts load their web fonts from Google Fonts and Font Awesome from
+ * cdnjs. For built sites, scripts/build.js swaps those stylesheets for copies
+ * from the font packages in devDependencies, so a site works offline and
+ * loads nothing from a CDN.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+// Google Fonts family → Fontsource package. The packages name their
+// families "<family> Variable"; the copies use the plain name the CSS asks for.
+const FONT_FAMILIES = {
+    'Inter': '@fontsource-variable/inter',
+    'Space Grotesk': '@fontsource-variable/space-grotesk',
+    'JetBrains Mono': '@fontsource-variable/jetbrains-mono',
+};
+
+const ICON_PACKAGE = '@fortawesome/fontawesome-free';
+
+// Where the copies go in a site
+const FONTS_DIR = 'fonts';
+
+const GOOGLE_FONTS = /^https:\/\/fonts\.googleapis\.com\/css2\?/;
+const FONT_AWESOME = /^https:\/\/cdnjs\.cloudflare\.com\/ajax\/libs\/font-awesome\/[^/]+\/css\/all(?:\.min)?\.css$/;
+const FONT_HOSTS = /^https:\/\/(?:fonts\.googleapis\.com|fonts\.gstatic\.com|cdnjs\.cloudflare\.com)\/?$/;
+
+// =============================================================================
+// Packages
+// =============================================================================
+
+/**
+ * Installed directory and version of a font package
+ */
+function fontPackage(name) {
+    let manifest;
+    try {
+        manifest = require.resolve(`${name}/package.json`);
+    } catch (e) {
+        throw new Error(`Font package ${name} is not installed; run npm install first`);
+    }
+    return { dir: path.dirname(manifest), version: JSON.parse(fs.readFileSync(manifest, 'utf8')).version };
+}
+
+/**
+ * Copy a stylesheet and every file its url()s point to. Returns the copied
+ * paths relative to the site root, stylesheet first.
+ */
+function copyStylesheet(packageName, stylesheet, siteDir, transform = css => css) {
+    const { dir, version } = fontPackage(packageName);
+    const base = `${FONTS_DIR}/${path.basename(packageName)}-${version}`;
+    const css = transform(fs.readFileSync(path.join(dir, stylesheet), 'utf8'));
+    const files = [path.posix.join(base, stylesheet)];
+
+    const referenced = new Set([...css.matchAll(/url\(\s*['"]?([^'")?#]+)/g)].map(match => match[1]));
+    referenced.forEach(url => {
+        const file = path.posix.join(path.posix.dirname(stylesheet), url);
+        fs.mkdirSync(path.join(siteDir, base, path.dirname(file)), { recursive: true });
+        fs.copyFileSync(path.join(dir, file), path.join(siteDir, base, file));
+        files.push(path.posix.join(base, file));
+    });
+
+    fs.mkdirSync(path.join(siteDir, base, path.dirname(stylesheet)), { recursive: true });
+    fs.writeFileSync(path.join(siteDir, files[0]), css);
+    return files;
+}
+
+/**
+ * Families requested by a Google Fonts css2 URL, e.g. "Space Grotesk"
+ */
+function googleFamilies(url) {
+    return new URL(url).searchParams.getAll('family').map(family => family.split(':')[0]);
+}
+
+// =============================================================================
+// Pages
+// =============================================================================
+
+/**
+ * Point a page's CDN font stylesheets at copies in `siteDir` and drop its
+ * preconnects to the font CDNs. Returns the page and the copied files.
+ */
+function selfHostFonts(html, siteDir) {
+    const files = new Set();
+    const attribute = (tag, name) => tag.match(new RegExp(`\\b${name}="([^"]*)"`))?.[1];
+
+    const page = html.replace(/^([ \t]*)<link\b[^>]*>\n?/gm, (tag, indent) => {
+        const href = attribute(tag, 'href')?.replace(/&amp;/g, '&');
+        const rel = attribute(tag, 'rel');
+
+        if (href && ['preconnect', 'dns-prefetch'].includes(rel) && FONT_HOSTS.test(href)) {
+            return '';
+        }
+
+        if (href && GOOGLE_FONTS.test(href)) {
+            return googleFamilies(href).map(family => {
+                if (!FONT_FAMILIES[family]) {
+                    throw new Error(`Font "${family}" is not self-hosted; add its package to FONT_FAMILIES in scripts/fonts.js`);
+                }
+                const copied = copyStylesheet(FONT_FAMILIES[family], 'index.css', siteDir,
+                    css => css.replace(/font-family: '([^']+) Variable';/g, "font-family: '$1';"));
+                copied.forEach(file => files.add(file));
+                return `${indent}<link rel="stylesheet" href="${copied[0]}">\n`;
+            }).join('');
+        }
+
+        if (href && FONT_AWESOME.test(href)) {
+            const copied = copyStylesheet(ICON_PACKAGE, 'css/all.min.css', siteDir);
+            copied.forEach(file => files.add(file));
+            return tag.replace(/\bhref="[^"]*"/, () => `href="${copied[0]}"`);
+        }
+
+        return tag;
+    });
+
+    return { html: page, files: [...files] };
+}
+
+module.exports = { selfHostFonts };
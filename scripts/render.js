@@ -0,0 +1,208 @@
+/**
+ * Link Pro page rendering
+ *
+ * Renders a profile into a layout's page: hero and links from
+ * ProfileRenderer, per-profile meta tags and the embedded profile JSON.
+ * Shared by scripts/build.js and the edge worker, so it must not touch the
+ * file system.
+ */
+
+'use strict';
+
+const { APP_CONFIG, I18n, ProfileRenderer, Theme, Utils } = require('../script-clean.js');
+
+// =============================================================================
+// HTML helpers
+// =============================================================================
+
+/**
+ * Locate the first element carrying `className`, including its matching
+ * closing tag. Enough for our own templates; not a general HTML parser.
+ */
+function findElement(html, className) {
+    const open = new RegExp(`<([a-z][a-z0-9]*)\\b[^>]*\\bclass="(?:[^"]*\\s)?${className}(?:\\s[^"]*)?"[^>]*>`, 'i').exec(html);
+    if (!open) return null;
+
+    const tag = open[1].toLowerCase();
+    const tags = new RegExp(`<(/?)${tag}\\b[^>]*>`, 'gi');
+    tags.lastIndex = open.index + open[0].length;
+
+    let depth = 1;
+    let match;
+    while ((match = tags.exec(html))) {
+        depth += match[1] ? -1 : 1;
+        if (depth === 0) {
+            return { innerStart: open.index + open[0].length, innerEnd: match.index };
+        }
+    }
+    throw new Error(`Unclosed <${tag} class="${className}"> in template`);
+}
+
+/**
+ * Replace the content of the element carrying `className`
+ */
+function replaceInner(html, className, content) {
+    if (!className) return html;
+    const element = findElement(html, className);
+    if (!element) return html;
+    return html.slice(0, element.innerStart) + content + html.slice(element.innerEnd);
+}
+
+/**
+ * Set a <meta> tag's content, adding the tag before </head> if missing
+ */
+function setMeta(html, attribute, key, content) {
+    if (content === undefined || content === null || content === '') return html;
+
+    const tag = `<meta ${attribute}="${key}" content="${Utils.escapeHtml(content)}">`;
+    const existing = new RegExp(`<meta\\s+${attribute}="${key}"[^>]*>`, 'i');
+    return existing.test(html)
+        ? html.replace(existing, () => tag)
+        : html.replace('</head>', () => `    ${tag}\n</head>`);
+}
+
+/**
+ * Set or add a <link rel="..."> tag
+ */
+function setLink(html, rel, href) {
+    if (!href) return html;
+
+    const tag = `<link rel="${rel}" href="${Utils.escapeHtml(href)}">`;
+    const existing = new RegExp(`<link\\s+rel="${rel}"[^>]*>`, 'i');
+    return existing.test(html)
+        ? html.replace(existing, () => tag)
+        : html.replace('</head>', () => `    ${tag}\n</head>`);
+}
+
+/**
+ * Point `href="file"` / `src="file"` references at their hashed names
+ */
+function rewriteAssetReferences(html, assets) {
+    return Object.entries(assets).reduce((result, [source, hashed]) => result.replace(
+        new RegExp(`((?:href|src)=")${source.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}(")`, 'g'),
+        `$1${hashed}$2`,
+    ), html);
+}
+
+/**
+ * JSON that is safe inside a <script> element
+ */
+function embedJson(data) {
+    return JSON.stringify(data).replace(/</g, '\\u003c');
+}
+
+// =============================================================================
+// Pages
+// =============================================================================
+
+/**
+ * Resolve a possibly relative URL against the site's public URL
+ */
+function absoluteUrl(url, base) {
+    if (!url || !base) return url;
+    try {
+        return new URL(url, base).href;
+    } catch (e) {
+        return url;
+    }
+}
+
+/**
+ * Colors for the browser UI: explicit site colors win over the theme's
+ */
+function resolveColors(profile) {
+    const theme = Theme.resolve(profile.theme || {});
+    return {
+        themeColor: profile.site?.themeColor || theme.light['color-accent'] || null,
+        backgroundColor: profile.site?.backgroundColor || theme.light['color-surface'] || null,
+    };
+}
+
+/**
+ * Class name of a layout part, from its selector
+ */
+function partClass(template, part) {
+    return template.selectors[part]?.replace(/^[.#]/, '');
+}
+
+/**
+ * Set the lang and dir attributes of <html>
+ */
+function setLanguage(html, locale) {
+    const attributes = `lang="${Utils.escapeHtml(locale)}" dir="${I18n.direction(locale)}"`;
+    return html.replace(/<html\b([^>]*)>/i, (match, existing) => `<html ${attributes}${existing.replace(/\s+(lang|dir)="[^"]*"/gi, '')}>`);
+}
+
+/**
+ * Render the template page for a profile, in the profile's own language;
+ * translations are applied by I18n in the browser
+ */
+function renderPage(templateHtml, profile, assets, template) {
+    const site = profile.site || {};
+    const title = profile.title || profile.name;
+    const description = profile.description || profile.subtitle;
+    const image = absoluteUrl(site.image || profile.avatar?.src, site.url);
+    const { themeColor } = resolveColors(profile);
+
+    // Interface text in the markup (form and embed labels) follows the profile
+    I18n.configure(profile);
+
+    let html = setLanguage(templateHtml, I18n.defaultLocale);
+    html = replaceInner(html, partClass(template, 'hero'), ProfileRenderer.renderHero(profile, template));
+    html = replaceInner(html, partClass(template, 'links'), ProfileRenderer.renderBlocks(profile, template));
+    if (profile.brand) {
+        html = replaceInner(html, partClass(template, 'brandTitle'), Utils.escapeHtml(profile.brand));
+    }
+
+    html = html.replace(/<title>[\s\S]*?<\/title>/i, () => `<title>${Utils.escapeHtml(title)}</title>`);
+    html = setMeta(html, 'name', 'description', description);
+    html = setMeta(html, 'name', 'theme-color', themeColor);
+    html = setMeta(html, 'property', 'og:title', title);
+    html = setMeta(html, 'property', 'og:description', description);
+    html = setMeta(html, 'property', 'og:image', image);
+    html = setMeta(html, 'property', 'og:url', site.url);
+    html = setMeta(html, 'property', 'og:locale', I18n.defaultLocale.replace('-', '_'));
+    html = setMeta(html, 'name', 'twitter:title', title);
+    html = setMeta(html, 'name', 'twitter:description', description);
+    html = setMeta(html, 'name', 'twitter:image', image);
+    html = setLink(html, 'canonical', site.url);
+
+    // ProfileLoader reads the embedded copy instead of fetching profile.json
+    const embedded = `<script type="application/json" id="${APP_CONFIG.profile.embeddedId}">${embedJson(profile)}</script>`;
+    html = html.replace(/(\n\s*)(<script src="(?!https?:))/, (match, space, tag) => `${space}${embedded}${space}${tag}`);
+
+    return rewriteAssetReferences(html, assets);
+}
+
+/**
+ * Per-client web app manifest based on the shared one
+ */
+function renderManifest(baseManifest, profile) {
+    const { themeColor, backgroundColor } = resolveColors(profile);
+    const name = profile.title || profile.name;
+
+    return {
+        ...baseManifest,
+        name,
+        short_name: profile.brand || profile.name,
+        description: profile.description || profile.subtitle || baseManifest.description,
+        theme_color: themeColor || baseManifest.theme_color,
+        background_color: backgroundColor || baseManifest.background_color,
+        lang: profile.locale || APP_CONFIG.i18n.defaultLocale,
+        dir: I18n.direction(profile.locale || APP_CONFIG.i18n.defaultLocale),
+    };
+}
+
+module.exports = {
+    findElement,
+    replaceInner,
+    setMeta,
+    setLink,
+    rewriteAssetReferences,
+    embedJson,
+    setLanguage,
+    absoluteUrl,
+    resolveColors,
+    renderPage,
+    renderManifest,
+};
@@ -0,0 +1,171 @@
+/**
+ * Link Pro service worker
+ *
+ * Registered by OfflineSupport in script-clean.js as `sw.js?v=<APP_CONFIG.version>`,
+ * so every release installs a fresh worker with its own cache.
+ */
+
+const VERSION = new URL(self.location.href).searchParams.get('v') || 'dev';
+const BUILD_ID = 'source'; // replaced by scripts/build.js
+const CACHE_PREFIX = 'linkpro-';
+const SHELL_CACHE = `${CACHE_PREFIX}shell-${VERSION}-${BUILD_ID}`;
+const RUNTIME_CACHE = `${CACHE_PREFIX}runtime-${VERSION}-${BUILD_ID}`;
+const OFFLINE_PAGE = 'offline.html';
+
+// Same-origin files needed to render the page without a network
+const SHELL_FILES = [
+    './',
+    'index.html',
+    'style-clean.css',
+    'script-clean.js',
+    'profile.json',
+    'manifest.json',
+    OFFLINE_PAGE,
+    'assets/profile.jpg',
+    'assets/favicon-16x16.png',
+    'assets/favicon-32x32.png',
+    'assets/icon-192x192.png',
+    'assets/icon-512x512.png',
+];
+
+// Font stylesheets from the page head; the font files they reference are
+// cached at runtime on first use. Built sites host their fonts, so
+// scripts/build.js precaches them as shell files and empties this list.
+const FONT_STYLESHEETS = [
+    'https://fonts.googleapis.com/css2?family=Inter:wght@100..900&family=Space+Grotesk:wght@300..700&display=swap',
+    'https://cdnjs.cloudflare.com/ajax/libs/font-awesome/6.5.1/css/all.min.css',
+];
+
+const FONT_HOSTS = ['fonts.googleapis.com', 'fonts.gstatic.com', 'cdnjs.cloudflare.com'];
+
+// `go/<linkId>` click redirects (worker/handler.js), at the root or under /u/<handle>
+const CLICK_REDIRECT = /\/go\/[^/]+$/;
+
+// Revalidated in the background on every request
+const FRESH_FILES = ['profile.json', 'index.html', 'style-clean.css', 'script-clean.js'];
+
+// =============================================================================
+// Lifecycle
+// =============================================================================
+
+self.addEventListener('install', (event) => {
+    event.waitUntil((async () => {
+        const cache = await caches.open(SHELL_CACHE);
+        // Bypass the HTTP cache: _headers marks CSS and JS as immutable
+        await cache.addAll(SHELL_FILES.map(url => new Request(url, { cache: 'reload' })));
+
+        // Fonts are nice to have; a blocked CDN must not fail the install
+        await Promise.all(FONT_STYLESHEETS.map(url => cache.add(url).catch(error => {
+            console.warn('Font precache skipped:', url, error);
+        })));
+
+        // The first install takes over right away; updates wait for the
+        // page to accept the "new version" prompt
+        if (!(await self.registration.active)) {
+            await self.skipWaiting();
+        }
+    })());
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil((async () => {
+        const names = await caches.keys();
+        await Promise.all(names
+            .filter(name => name.startsWith(CACHE_PREFIX) && ![SHELL_CACHE, RUNTIME_CACHE].includes(name))
+            .map(name => caches.delete(name)));
+        await self.clients.claim();
+    })());
+});
+
+self.addEventListener('message', (event) => {
+    if (event.data?.type === 'SKIP_WAITING') {
+        self.skipWaiting();
+    }
+});
+
+// =============================================================================
+// Fetch strategies
+// =============================================================================
+
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    if (request.method !== 'GET') return;
+
+    const url = new URL(request.url);
+
+    // Click redirects must reach the server to be counted
+    if (url.origin === self.location.origin && CLICK_REDIRECT.test(url.pathname)) return;
+
+    if (request.mode === 'navigate') {
+        event.respondWith(handleNavigation(event));
+    } else if (url.origin === self.location.origin && isFreshFile(url)) {
+        event.respondWith(staleWhileRevalidate(event));
+    } else if (url.origin === self.location.origin || FONT_HOSTS.includes(url.hostname)) {
+        event.respondWith(cacheFirst(request));
+    }
+});
+
+/**
+ * Whether a same-origin URL is one of the files revalidated on every request
+ */
+function isFreshFile(url) {
+    const path = url.pathname.replace(/^\//, '') || 'index.html';
+    return FRESH_FILES.includes(path);
+}
+
+/**
+ * Pages: serve the cached shell at once and refresh it in the background;
+ * pages that were never cached fall back to the offline page
+ */
+async function handleNavigation(event) {
+    const cached = await caches.match(event.request, { ignoreSearch: true });
+    const network = fetchAndCache(event.request, SHELL_CACHE);
+    event.waitUntil(network.catch(() => {}));
+
+    if (cached) return cached;
+
+    try {
+        return await network;
+    } catch (error) {
+        return (await caches.match(OFFLINE_PAGE)) || Response.error();
+    }
+}
+
+/**
+ * Profile data, HTML, CSS and JS: answer from the cache, update it from
+ * the network for the next visit
+ */
+async function staleWhileRevalidate(event) {
+    const cached = await caches.match(event.request, { ignoreSearch: true });
+    const network = fetchAndCache(event.request, SHELL_CACHE);
+    event.waitUntil(network.catch(() => {}));
+
+    return cached || network;
+}
+
+/**
+ * Images, icons and fonts: the cache wins; misses are stored for next time
+ */
+async function cacheFirst(request) {
+    const cached = await caches.match(request);
+    if (cached) return cached;
+
+    try {
+        return await fetchAndCache(request, RUNTIME_CACHE);
+    } catch (error) {
+        return Response.error();
+    }
+}
+
+/**
+ * Fetch past the HTTP cache and store successful (or opaque cross-origin)
+ * responses
+ */
+async function fetchAndCache(request, cacheName) {
+    const response = await fetch(request, { cache: 'no-cache' });
+    if (response.ok || response.type === 'opaque') {
+        const cache = await caches.open(cacheName);
+        await cache.put(request, response.clone());
+    }
+    return response;
+}
@@ -0,0 +1,160 @@
+/**
+ * AnalyticsTransport delivering to a local mock endpoint
+ */
+
+'use strict';
+
+const assert = require('node:assert/strict');
+const http = require('node:http');
+const { afterEach, beforeEach, describe, it } = require('node:test');
+
+const { APP_CONFIG, AnalyticsTransport } = require('../script-clean.js');
+
+const config = APP_CONFIG.analytics.transport;
+
+/**
+ * Endpoint answering each request with the next of `statuses` (200 once
+ * they run out), optionally after `delay` ms
+ */
+function startEndpoint() {
+    const endpoint = { requests: [], statuses: [], delay: 0 };
+
+    endpoint.server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            endpoint.requests.push({ contentType: req.headers['content-type'], body: JSON.parse(body) });
+            const status = endpoint.statuses.shift() || 200;
+            setTimeout(() => res.writeHead(status).end(), endpoint.delay);
+        });
+    });
+
+    return new Promise(resolve => endpoint.server.listen(0, '127.0.0.1', () => {
+        endpoint.url = `http://127.0.0.1:${endpoint.server.address().port}/events`;
+        resolve(endpoint);
+    }));
+}
+
+/**
+ * The browser globals the transport uses
+ */
+function installBrowserGlobals() {
+    const storage = new Map();
+    const globals = {
+        window: new EventTarget(),
+        navigator: { onLine: true },
+        localStorage: {
+            getItem: key => (storage.has(key) ? storage.get(key) : null),
+            setItem: (key, value) => storage.set(key, String(value)),
+            removeItem: key => storage.delete(key),
+        },
+    };
+    Object.entries(globals).forEach(([name, value]) => {
+        Object.defineProperty(globalThis, name, { value, configurable: true, writable: true });
+    });
+}
+
+const storedQueue = () => JSON.parse(localStorage.getItem(config.queueKey) || '[]');
+
+const events = (count, from = 0) => Array.from({ length: count }, (_, i) => ({
+    id: `event-${from + i}`,
+    name: 'link_click',
+    timestamp: Date.now(),
+    data: { linkId: 'linkedin' },
+}));
+
+// Wait until `condition` holds, polling
+async function until(condition, timeout = 2000) {
+    const start = Date.now();
+    while (!condition()) {
+        if (Date.now() - start > timeout) throw new Error('Timed out waiting');
+        await new Promise(resolve => setTimeout(resolve, 5));
+    }
+}
+
+describe('AnalyticsTransport', () => {
+    const saved = { ...config };
+    let endpoint;
+
+    beforeEach(async (t) => {
+        installBrowserGlobals();
+        t.mock.method(console, 'warn', () => {});
+        endpoint = await startEndpoint();
+        Object.assign(config, {
+            endpoint: endpoint.url,
+            batchSize: 5,
+            flushInterval: 60 * 1000,
+            retryBaseDelay: 40,
+            retryMaxDelay: 40,
+        });
+    });
+
+    afterEach(() => {
+        AnalyticsTransport.stop();
+        Object.assign(config, saved);
+        endpoint.server.closeAllConnections?.();
+        endpoint.server.close();
+    });
+
+    it('delivers a full batch and acknowledges it', async () => {
+        AnalyticsTransport.init();
+        events(5).forEach(event => AnalyticsTransport.enqueue(event));
+
+        await until(() => storedQueue().length === 0 && !AnalyticsTransport.sending);
+
+        assert.equal(endpoint.requests.length, 1);
+        assert.equal(endpoint.requests[0].contentType, 'application/json');
+        assert.deepEqual(endpoint.requests[0].body.events.map(event => event.id), events(5).map(event => event.id));
+        assert.deepEqual(AnalyticsTransport.queue, []);
+    });
+
+    it('keeps the queue and backs off after a non-2xx response', async () => {
+        endpoint.statuses = [503];
+        AnalyticsTransport.init();
+        events(5).forEach(event => AnalyticsTransport.enqueue(event));
+
+        await until(() => endpoint.requests.length === 1 && !AnalyticsTransport.sending);
+        assert.equal(storedQueue().length, 5);
+        assert.equal(AnalyticsTransport.retries, 1);
+        assert.ok(AnalyticsTransport.retryTimer, 'a retry is scheduled');
+
+        // Flushing again before the backoff ends sends nothing
+        await AnalyticsTransport.flush();
+        assert.equal(endpoint.requests.length, 1);
+
+        await until(() => storedQueue().length === 0 && !AnalyticsTransport.sending);
+        assert.equal(endpoint.requests.length, 2);
+        assert.deepEqual(endpoint.requests[1].body.events, endpoint.requests[0].body.events);
+        assert.equal(AnalyticsTransport.retries, 0);
+    });
+
+    it('removes events from the stored queue only after a 2xx', async () => {
+        endpoint.delay = 100;
+        localStorage.setItem(config.queueKey, JSON.stringify(events(3)));
+
+        AnalyticsTransport.init(); // replays the stored queue
+        await until(() => endpoint.requests.length === 1);
+        assert.equal(storedQueue().length, 3, 'still stored while the request is in flight');
+
+        AnalyticsTransport.enqueue(events(1, 3)[0]);
+        await until(() => !AnalyticsTransport.sending);
+        assert.deepEqual(storedQueue().map(event => event.id), ['event-3'], 'only the delivered batch is dropped');
+    });
+
+    it('beacons each queued event once per page view', () => {
+        const beacons = [];
+        navigator.sendBeacon = (url, blob) => beacons.push({ url, blob }) > 0;
+
+        AnalyticsTransport.init();
+        AnalyticsTransport.queue = events(7);
+        AnalyticsTransport.flushWithBeacon();
+        AnalyticsTransport.flushWithBeacon();
+        assert.equal(beacons.length, 2, 'batches of 5 and 2, sent once');
+        assert.equal(beacons[0].blob.type, 'text/plain;charset=utf-8');
+
+        AnalyticsTransport.queue.push(...events(1, 7));
+        AnalyticsTransport.flushWithBeacon();
+        assert.equal(beacons.length, 3, 'only the new event');
+        assert.equal(AnalyticsTransport.queue.length, 8, 'beaconed events stay queued');
+    });
+});
@@ -0,0 +1,197 @@
+/**
+ * Link health checker against a local server and, through the command line,
+ * the mock fetch in fixtures/
+ */
+
+'use strict';
+
+const assert = require('node:assert/strict');
+const { execFile } = require('node:child_process');
+const fs = require('node:fs');
+const http = require('node:http');
+const os = require('node:os');
+const path = require('node:path');
+const { after, before, describe, it } = require('node:test');
+
+const { checkLinks, checkUrl, pageLinks } = require('../scripts/check-links.js');
+
+const ROOT = path.resolve(__dirname, '..');
+
+// Path → [status, Location]
+const ROUTES = {
+    '/ok': [200],
+    '/gone': [404],
+    '/down': [500],
+    '/head-refused': [405],
+    '/a': [301, '/b'],
+    '/b': [302, '/c'],
+    '/c': [307, '/ok'],
+    '/loop': [302, '/loop'],
+};
+
+const messages = result => result.issues.map(found => `${found.severity}: ${found.message}`);
+
+describe('checkUrl against a local server', () => {
+    let server;
+    let base;
+
+    before(async () => {
+        server = http.createServer((req, res) => {
+            const [status, location] = ROUTES[req.url] || [404];
+            // HEAD is refused, GET works
+            if (req.url === '/head-refused' && req.method === 'GET') return res.writeHead(200).end();
+            res.writeHead(status, location ? { Location: location } : {}).end();
+        });
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        base = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    after(() => {
+        server.closeAllConnections?.();
+        server.close();
+    });
+
+    it('passes a 200 but warns that it is http-only', async () => {
+        const result = await checkUrl(`${base}/ok`);
+        assert.equal(result.status, 200);
+        assert.deepEqual(messages(result), ['warning: Uses http://, so visitors get no encryption']);
+    });
+
+    it('flags 404 and 5xx responses as broken', async () => {
+        assert.ok(messages(await checkUrl(`${base}/gone`)).includes('error: Responds 404'));
+        assert.ok(messages(await checkUrl(`${base}/down`)).includes('error: Responds 500'));
+    });
+
+    it('follows a redirect chain hop by hop and warns about it', async () => {
+        const result = await checkUrl(`${base}/a`);
+        assert.equal(result.status, 200);
+        assert.equal(result.finalUrl, `${base}/ok`);
+        assert.deepEqual(result.redirects.map(hop => hop.status), [301, 302, 307]);
+        assert.ok(messages(result).includes(`warning: Redirect chain of 3 hops; link to ${base}/ok directly`));
+    });
+
+    it('stops at redirect loops', async () => {
+        assert.ok(messages(await checkUrl(`${base}/loop`)).includes(`error: Redirect loop at ${base}/loop`));
+    });
+
+    it('retries with GET when HEAD is refused', async () => {
+        assert.equal((await checkUrl(`${base}/head-refused`)).status, 200);
+    });
+
+    it('checks each distinct URL once', async () => {
+        let requests = 0;
+        const counting = (url, init) => {
+            requests++;
+            return fetch(url, init);
+        };
+        const checked = await checkLinks([
+            { id: 'one', url: `${base}/ok` },
+            { id: 'two', url: `${base}/ok` },
+            { id: 'three', url: `${base}/gone` },
+        ], { fetch: counting });
+
+        assert.equal(requests, 2);
+        assert.deepEqual(checked.map(link => link.severity), ['warning', 'warning', 'error']);
+    });
+});
+
+describe('checkUrl without requests', () => {
+    const noFetch = () => assert.fail('mailto: and tel: links are not requested');
+
+    it('accepts well-formed mailto: and tel: links', async () => {
+        for (const url of ['mailto:hello@example.com?subject=Hi', 'mailto:?to=a@example.com', 'tel:+1-555-010-9999']) {
+            assert.deepEqual((await checkUrl(url, { fetch: noFetch })).issues, [], url);
+        }
+    });
+
+    it('flags malformed mailto: and tel: links', async () => {
+        assert.deepEqual(messages(await checkUrl('mailto:hello@example', { fetch: noFetch })),
+            ['error: mailto: address "hello@example" is not a valid email address']);
+        assert.deepEqual(messages(await checkUrl('mailto:', { fetch: noFetch })),
+            ['error: mailto: link has no email address']);
+        assert.deepEqual(messages(await checkUrl('tel:call-me', { fetch: noFetch })),
+            ['error: tel: number "call-me" is not a valid phone number']);
+    });
+
+    it('skips relative links and other schemes', async () => {
+        assert.equal((await checkUrl('contact.html', { fetch: noFetch })).skipped, 'Relative links are not checked');
+        assert.equal((await checkUrl('sms:+15550109999', { fetch: noFetch })).skipped, 'sms: links are not checked');
+    });
+});
+
+describe('pageLinks', () => {
+    it('reads link cards, preferring data-destination', () => {
+        const html = `
+            <a href="go/shop" class="link-card animate-ready" data-link-id="shop" data-destination="https://shop.test/?a=1&amp;b=2"><h3 class="link-title">Shop &amp; more</h3></a>
+            <a class="link-card-2026" href="about.html"><div class="link-title-2026">About</div></a>
+            <a class="nav-link" href="https://elsewhere.test/">Not a card</a>`;
+
+        assert.deepEqual(pageLinks(html, 'page.html', 'https://site.test/').map(({ id, title, url }) => ({ id, title, url })), [
+            { id: 'shop', title: 'Shop & more', url: 'https://shop.test/?a=1&b=2' },
+            { id: null, title: 'About', url: 'https://site.test/about.html' },
+        ]);
+    });
+});
+
+describe('check-links command', () => {
+    let dir;
+    let profileFile;
+
+    before(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'linkpro-check-links-'));
+        profileFile = path.join(dir, 'profile.json');
+
+        const profile = JSON.parse(fs.readFileSync(path.join(ROOT, 'clients', 'john-doe.json'), 'utf8'));
+        profile.groups = [{
+            id: 'links',
+            title: 'Links',
+            links: [
+                { id: 'ok', title: 'OK', url: 'https://links.test/ok' },
+                { id: 'gone', title: 'Gone', url: 'https://links.test/gone' },
+                { id: 'down', title: 'Down', url: 'https://links.test/down' },
+                { id: 'moved', title: 'Moved', url: 'https://links.test/old' },
+                { id: 'plain', title: 'Plain', url: 'http://links.test/plain' },
+                { id: 'mail', title: 'Mail', url: 'mailto:hello@example' },
+                { id: 'phone', title: 'Phone', url: 'tel:call-me' },
+            ],
+        }];
+        fs.writeFileSync(profileFile, `${JSON.stringify(profile, null, 2)}\n`);
+    });
+
+    after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+    const run = (...args) => new Promise(resolve => {
+        execFile(process.execPath, [path.join(ROOT, 'scripts', 'check-links.js'), ...args], { cwd: dir },
+            (error, stdout, stderr) => resolve({ code: error ? error.code : 0, stdout, stderr }));
+    });
+
+    it('reports through the --fetch hook and hides broken links with --hide', async () => {
+        const { code, stdout } = await run('--profile', profileFile, '--fetch', path.join(__dirname, 'fixtures', 'mock-fetch.js'),
+            '--report', 'report.json', '--hide');
+        assert.equal(code, 1, 'broken links fail the command');
+        assert.match(stdout, /Checked 7 link\(s\): 1 ok, 2 with warnings, 4 broken, 0 skipped/);
+
+        const report = JSON.parse(fs.readFileSync(path.join(dir, 'report.json'), 'utf8'));
+        const severity = Object.fromEntries(report.links.map(link => [link.id, link.severity]));
+        assert.deepEqual(severity, {
+            ok: 'ok', gone: 'error', down: 'error', moved: 'warning', plain: 'warning', mail: 'error', phone: 'error',
+        });
+        assert.deepEqual(report.links.find(link => link.id === 'moved').redirects.map(hop => hop.url),
+            ['https://links.test/older', 'https://links.test/ok']);
+
+        const profile = JSON.parse(fs.readFileSync(profileFile, 'utf8'));
+        const hidden = profile.groups[0].links.filter(link => link.hidden).map(link => link.id);
+        assert.deepEqual(hidden, ['gone', 'down', 'mail', 'phone']);
+        assert.match(stdout, /Hid gone, down, mail, phone in /);
+
+        // Hidden links are checked again, but not hidden twice
+        const again = await run('--profile', profileFile, '--fetch', path.join(__dirname, 'fixtures', 'mock-fetch.js'), '--hide');
+        assert.doesNotMatch(again.stdout, /Hid /);
+    });
+
+    it('rejects --hide for a page', async () => {
+        const { code, stderr } = await run('--page', 'index.html', '--hide');
+        assert.equal(code, 1);
+        assert.match(stderr, /--hide needs profile files/);
+    });
+});
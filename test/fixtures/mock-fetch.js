@@ -0,0 +1,25 @@
+/**
+ * fetch stand-in for `check-links.js --fetch`: answers from a table instead
+ * of the network
+ */
+
+'use strict';
+
+const RESPONSES = {
+    'https://links.test/ok': { status: 200 },
+    'https://links.test/gone': { status: 404 },
+    'https://links.test/down': { status: 503 },
+    'https://links.test/old': { status: 301, location: '/older' },
+    'https://links.test/older': { status: 302, location: 'https://links.test/ok' },
+    'http://links.test/plain': { status: 200 },
+};
+
+module.exports = async function mockFetch(url) {
+    const answer = RESPONSES[url];
+    if (!answer) throw new TypeError('fetch failed', { cause: { code: 'ENOTFOUND' } });
+
+    return new Response(null, {
+        status: answer.status,
+        headers: answer.location ? { Location: answer.location } : {},
+    });
+};
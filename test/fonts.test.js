@@ -0,0 +1,57 @@
+/**
+ * Self-hosted fonts for built sites
+ */
+
+'use strict';
+
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { afterEach, beforeEach, describe, it } = require('node:test');
+
+const { selfHostFonts } = require('../scripts/fonts.js');
+
+const ROOT = path.resolve(__dirname, '..');
+
+describe('selfHostFonts', () => {
+    let dir;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'linkpro-fonts-'));
+    });
+
+    afterEach(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+    it('points every layout at local copies and drops the CDN preconnects', () => {
+        for (const page of ['index.html', 'index-2026.html', 'index-professional.html', 'offline.html']) {
+            const { html } = selfHostFonts(fs.readFileSync(path.join(ROOT, page), 'utf8'), dir);
+            assert.doesNotMatch(html, /fonts\.googleapis\.com|fonts\.gstatic\.com|cdnjs\.cloudflare\.com/, page);
+        }
+    });
+
+    it('copies the stylesheets and the font files they reference', () => {
+        const { html, files } = selfHostFonts(fs.readFileSync(path.join(ROOT, 'index.html'), 'utf8'), dir);
+
+        const stylesheets = files.filter(file => file.endsWith('.css'));
+        assert.deepEqual(stylesheets.map(file => file.replace(/-[\d.]+\//, '/')),
+            ['fonts/inter/index.css', 'fonts/space-grotesk/index.css', 'fonts/fontawesome-free/css/all.min.css']);
+        stylesheets.forEach(file => assert.ok(html.includes(`href="${file}"`), file));
+        files.forEach(file => assert.ok(fs.existsSync(path.join(dir, file)), file));
+
+        // The page keeps loading Font Awesome without blocking rendering
+        assert.match(html, /href="fonts\/fontawesome-free-[\d.]+\/css\/all\.min\.css" media="print" onload=/);
+    });
+
+    it('names the families as the layouts CSS does', () => {
+        const { files } = selfHostFonts('<link href="https://fonts.googleapis.com/css2?family=Space+Grotesk:wght@300..700&amp;display=swap" rel="stylesheet">\n', dir);
+        const css = fs.readFileSync(path.join(dir, files[0]), 'utf8');
+        assert.match(css, /font-family: 'Space Grotesk';/);
+        assert.doesNotMatch(css, /Variable/);
+    });
+
+    it('fails for families without a font package', () => {
+        assert.throws(() => selfHostFonts('<link href="https://fonts.googleapis.com/css2?family=Roboto" rel="stylesheet">\n', dir),
+            /Font "Roboto" is not self-hosted/);
+    });
+});
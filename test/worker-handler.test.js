@@ -0,0 +1,149 @@
+/**
+ * Edge handler against the in-memory KV store
+ */
+
+'use strict';
+
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const { beforeEach, describe, it } = require('node:test');
+
+const { createHandler, resolveTenant, CACHE_CONTROL, KEYS } = require('../worker/handler.js');
+const { MemoryKV } = require('../worker/memory-kv.js');
+
+const ROOT = path.resolve(__dirname, '..');
+const PROFILE = fs.readFileSync(path.join(ROOT, 'clients', 'john-doe.json'), 'utf8');
+
+describe('edge handler', () => {
+    let store;
+    let handle;
+    let fallbacks;
+
+    beforeEach(async () => {
+        store = new MemoryKV();
+        await store.put(KEYS.profile('jane'), PROFILE);
+        await store.put(KEYS.host('links.jane.test'), 'jane');
+
+        fallbacks = [];
+        handle = createHandler({
+            store,
+            rootDomain: 'linkpro.test',
+            loadPage: (page) => fs.readFileSync(path.join(ROOT, page), 'utf8'),
+            fallback: (request) => {
+                fallbacks.push(new URL(request.url).pathname);
+                return new Response('static', { status: 200 });
+            },
+        });
+    });
+
+    describe('tenant resolution', () => {
+        it('reads the handle from /u/:handle', async () => {
+            const tenant = await resolveTenant(new Request('https://linkpro.test/u/Jane/profile.json'), store, 'linkpro.test');
+            assert.deepEqual(tenant, { handle: 'jane', path: '/profile.json', byPath: true });
+        });
+
+        it('reads the handle from a subdomain of the root domain', async () => {
+            const tenant = await resolveTenant(new Request('https://jane.linkpro.test/'), store, 'linkpro.test');
+            assert.deepEqual(tenant, { handle: 'jane', path: '/', byPath: false });
+        });
+
+        it('looks custom domains up under host: keys', async () => {
+            const tenant = await resolveTenant(new Request('https://links.jane.test/'), store, 'linkpro.test');
+            assert.deepEqual(tenant, { handle: 'jane', path: '/', byPath: false });
+            assert.equal(await resolveTenant(new Request('https://unknown.test/'), store, 'linkpro.test'), null);
+        });
+
+        it('leaves the root domain and nested subdomains to the static site', async () => {
+            assert.equal(await resolveTenant(new Request('https://linkpro.test/'), store, 'linkpro.test'), null);
+            assert.equal(await resolveTenant(new Request('https://www.linkpro.test/'), store, 'linkpro.test'), null);
+            assert.equal(await resolveTenant(new Request('https://a.jane.linkpro.test/'), store, 'linkpro.test'), null);
+        });
+    });
+
+    describe('pages', () => {
+        it('renders /u/:handle with a base href under the handle', async () => {
+            const response = await handle(new Request('https://linkpro.test/u/jane'));
+            const html = await response.text();
+
+            assert.equal(response.status, 200);
+            assert.match(response.headers.get('content-type'), /^text\/html/);
+            assert.match(html, /<base href="\/u\/jane\/">/);
+            assert.match(html, /data-link-id="/);
+        });
+
+        it('renders the same profile on its subdomain and custom domain', async () => {
+            for (const url of ['https://jane.linkpro.test/', 'https://links.jane.test/index.html']) {
+                const response = await handle(new Request(url));
+                const html = await response.text();
+                assert.equal(response.status, 200, url);
+                assert.doesNotMatch(html, /<base href=/, url);
+            }
+        });
+
+        it('serves the profile JSON', async () => {
+            const response = await handle(new Request('https://jane.linkpro.test/profile.json'));
+            assert.equal(response.status, 200);
+            assert.deepEqual(await response.json(), JSON.parse(PROFILE));
+        });
+
+        it('passes assets and the root domain to the static site', async () => {
+            await handle(new Request('https://linkpro.test/'));
+            await handle(new Request('https://jane.linkpro.test/style-clean.css'));
+            await handle(new Request('https://linkpro.test/u/jane/assets/icon-192x192.png'));
+            assert.deepEqual(fallbacks, ['/', '/style-clean.css', '/assets/icon-192x192.png']);
+        });
+    });
+
+    describe('unknown handles', () => {
+        it('answers 404 for handles without a profile', async () => {
+            for (const url of ['https://linkpro.test/u/nobody', 'https://nobody.linkpro.test/', 'https://linkpro.test/u/bad.handle']) {
+                const response = await handle(new Request(url));
+                assert.equal(response.status, 404, url);
+                assert.equal(response.headers.get('cache-control'), CACHE_CONTROL.notFound, url);
+            }
+        });
+
+        it('answers 500 without caching for an invalid profile', async (t) => {
+            t.mock.method(console, 'error', () => {});
+            await store.put(KEYS.profile('broken'), JSON.stringify({ name: 'Broken' }));
+
+            const response = await handle(new Request('https://linkpro.test/u/broken'));
+            assert.equal(response.status, 500);
+            assert.equal(response.headers.get('cache-control'), CACHE_CONTROL.error);
+        });
+    });
+
+    describe('caching', () => {
+        it('sends Cache-Control and an ETag, and 304 for a current copy', async () => {
+            const first = await handle(new Request('https://linkpro.test/u/jane'));
+            const tag = first.headers.get('etag');
+            assert.equal(first.headers.get('cache-control'), CACHE_CONTROL.page);
+            assert.match(tag, /^W\/"[0-9a-f]{16}"$/);
+
+            const again = await handle(new Request('https://linkpro.test/u/jane', { headers: { 'If-None-Match': tag } }));
+            assert.equal(again.status, 304);
+            assert.equal(await again.text(), '');
+            assert.equal(again.headers.get('etag'), tag);
+        });
+
+        it('changes the ETag when the profile changes', async () => {
+            const before = (await handle(new Request('https://linkpro.test/u/jane'))).headers.get('etag');
+            await store.put(KEYS.profile('jane'), JSON.stringify({ ...JSON.parse(PROFILE), name: 'Jane Roe' }));
+            const response = await handle(new Request('https://linkpro.test/u/jane', { headers: { 'If-None-Match': before } }));
+
+            assert.equal(response.status, 200);
+            assert.notEqual(response.headers.get('etag'), before);
+        });
+
+        it('answers HEAD without a body and refuses other methods', async () => {
+            const head = await handle(new Request('https://linkpro.test/u/jane', { method: 'HEAD' }));
+            assert.equal(head.status, 200);
+            assert.equal(await head.text(), '');
+
+            const post = await handle(new Request('https://linkpro.test/u/jane', { method: 'POST' }));
+            assert.equal(post.status, 405);
+            assert.equal(post.headers.get('allow'), 'GET, HEAD');
+        });
+    });
+});
@@ -0,0 +1,127 @@
+#!/usr/bin/env node
+/**
+ * Run the edge handler locally, with the profiles in clients/ loaded into an
+ * in-memory store:
+ *
+ *   node worker/dev.js [--clients clients] [--port 8787] [--root-domain localhost]
+ *
+ * Then open http://localhost:8787/u/<client> or http://<client>.localhost:8787/.
+ * Everything else is served from the repository like a static host. Clicks
+ * on redirected links are logged to the console.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+
+const { parseArgs } = require('../scripts/args.js');
+const { createHandler, KEYS } = require('./handler.js');
+const { MemoryKV } = require('./memory-kv.js');
+
+const ROOT = path.resolve(__dirname, '..');
+
+const CONTENT_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.svg': 'image/svg+xml',
+};
+
+// Command-line options and their defaults
+const OPTIONS = { clients: 'clients', port: '8787', 'root-domain': 'localhost' };
+
+/**
+ * Store with one profile per client file, and host mappings for clients
+ * whose `site.url` names a domain
+ */
+function loadClients(clientsDir) {
+    const store = new MemoryKV();
+
+    fs.readdirSync(clientsDir).filter(file => file.endsWith('.json')).forEach(file => {
+        const handle = path.basename(file, '.json');
+        const source = fs.readFileSync(path.join(clientsDir, file), 'utf8');
+        store.put(KEYS.profile(handle), source);
+
+        try {
+            const siteUrl = JSON.parse(source).site?.url;
+            if (siteUrl) store.put(KEYS.host(new URL(siteUrl).hostname), handle);
+        } catch (e) {
+            // Served as is; the handler reports the broken profile
+        }
+    });
+
+    return store;
+}
+
+/**
+ * Static files from the repository, like Pages would serve them
+ */
+function serveStatic(request) {
+    const pathname = decodeURIComponent(new URL(request.url).pathname);
+    const file = path.join(ROOT, pathname.endsWith('/') ? `${pathname}index.html` : pathname);
+
+    if (!file.startsWith(ROOT + path.sep) || !fs.existsSync(file) || !fs.statSync(file).isFile()) {
+        return new Response('Not found', { status: 404 });
+    }
+
+    return new Response(fs.readFileSync(file), {
+        headers: { 'Content-Type': CONTENT_TYPES[path.extname(file)] || 'application/octet-stream' },
+    });
+}
+
+function main() {
+    const options = parseArgs(process.argv.slice(2), OPTIONS);
+    const store = loadClients(path.resolve(options.clients));
+
+    const handle = createHandler({
+        store,
+        rootDomain: options['root-domain'],
+        loadPage: (page) => fs.readFileSync(path.join(ROOT, page), 'utf8'),
+        fallback: serveStatic,
+        clicks: {
+            record: (click) => console.log(`click ${click.handle}/${click.linkId}`, click),
+        },
+    });
+
+    const server = http.createServer(async (req, res) => {
+        const request = new Request(`http://${req.headers.host}${req.url}`, {
+            method: req.method,
+            headers: req.headers,
+        });
+
+        try {
+            const response = await handle(request);
+            res.writeHead(response.status, Object.fromEntries(response.headers));
+            res.end(Buffer.from(await response.arrayBuffer()));
+        } catch (error) {
+            console.error(error);
+            res.writeHead(500).end('Internal error');
+        }
+        console.log(`${req.method} ${req.headers.host}${req.url} → ${res.statusCode}`);
+    });
+
+    server.listen(Number(options.port), async () => {
+        const { keys } = await store.list({ prefix: 'profile:' });
+        console.log(`Serving ${keys.length} profile(s) on http://localhost:${options.port}`);
+        keys.forEach(({ name }) => {
+            const handleName = name.slice('profile:'.length);
+            console.log(`  http://localhost:${options.port}/u/${handleName}  http://${handleName}.${options['root-domain']}:${options.port}/`);
+        });
+    });
+}
+
+if (require.main === module) {
+    try {
+        main();
+    } catch (error) {
+        console.error(`❌ ${error.message}`);
+        process.exitCode = 1;
+    }
+}
+
+module.exports = { loadClients, serveStatic };
@@ -0,0 +1,371 @@
+/**
+ * Link Pro edge handler
+ *
+ * Serves many profiles from one deployment. The tenant comes from the path
+ * (`/u/:handle`), a subdomain of the root domain (`jane.linkpro.dev`) or a
+ * custom domain mapped in the store. Its profile is read from a key-value
+ * store with the Workers KV API and rendered server-side with the same
+ * layouts and markup as scripts/build.js, so the client modules attach to it
+ * unchanged.
+ *
+ * Profiles with `redirect.enabled` link their cards to `go/<linkId>`; the
+ * handler counts those clicks and redirects to the link's URL from the
+ * profile, so only destinations the profile lists can be reached.
+ *
+ * Store keys:
+ *   profile:<handle>    profile JSON
+ *   host:<hostname>     handle served on a custom domain
+ */
+
+'use strict';
+
+const { APP_CONFIG, LinkRules, ProfileRenderer, ProfileSchema, TEMPLATES, Utils } = require('../script-clean.js');
+const { renderPage } = require('../scripts/render.js');
+
+// Same rule as profile, group and link IDs
+const HANDLE_PATTERN = /^[a-z0-9][a-z0-9_-]*$/;
+
+const KEYS = {
+    profile: (handle) => `profile:${handle}`,
+    host: (hostname) => `host:${hostname}`,
+};
+
+// Pages are cached at the edge for a minute, so profile edits show up quickly
+// while most requests never reach the store
+const CACHE_CONTROL = {
+    page: 'public, max-age=0, s-maxage=60, stale-while-revalidate=300',
+    notFound: 'public, max-age=0, s-maxage=60',
+    error: 'no-store',
+};
+
+// Tenant paths the handler renders; anything else on a tenant host is a
+// static asset
+const TENANT_PATHS = ['/', '/index.html', '/profile.json'];
+
+// Click redirect for a link card
+const CLICK_PATH = /^\/go\/([^/]+)$/;
+
+// =============================================================================
+// Routing
+// =============================================================================
+
+/**
+ * Hostname of the request, from the Host header
+ */
+function requestHostname(request) {
+    const host = request.headers.get('host') || new URL(request.url).host;
+    return host.replace(/:\d+$/, '').toLowerCase();
+}
+
+/**
+ * Work out which tenant a request is for. Resolves to
+ * `{ handle, path, byPath }`, or null for requests that are not for a tenant
+ * (the root domain itself, unknown hosts).
+ */
+async function resolveTenant(request, store, rootDomain) {
+    const url = new URL(request.url);
+
+    const match = url.pathname.match(/^\/u\/([^/]+)(\/.*)?$/);
+    if (match) {
+        return { handle: match[1].toLowerCase(), path: match[2] || '/', byPath: true };
+    }
+
+    const hostname = requestHostname(request);
+    if (rootDomain && (hostname === rootDomain || hostname === `www.${rootDomain}`)) {
+        return null;
+    }
+
+    let handle = null;
+    if (rootDomain && hostname.endsWith(`.${rootDomain}`)) {
+        handle = hostname.slice(0, -(rootDomain.length + 1));
+        if (handle.includes('.')) return null;
+    } else {
+        handle = await store.get(KEYS.host(hostname));
+        if (!handle) return null;
+    }
+
+    return { handle, path: url.pathname, byPath: false };
+}
+
+/**
+ * Coarse client class for click counts
+ */
+function clientClass(userAgent) {
+    if (!userAgent) return 'unknown';
+    if (/bot|crawl|spider|slurp|preview|facebookexternalhit|embedly|curl|wget|python|java\//i.test(userAgent)) return 'bot';
+    if (/ipad|tablet|kindle|silk|(android(?!.*mobile))/i.test(userAgent)) return 'tablet';
+    if (/mobi|iphone|ipod|android|blackberry|opera mini|iemobile/i.test(userAgent)) return 'mobile';
+    return 'desktop';
+}
+
+/**
+ * Origin of the Referer header; full referring URLs are not stored
+ */
+function referrerOrigin(request) {
+    try {
+        return new URL(request.headers.get('referer')).origin;
+    } catch (e) {
+        return null;
+    }
+}
+
+// =============================================================================
+// Responses
+// =============================================================================
+
+/**
+ * Web Crypto: a global on Workers and Node 20+, only in the crypto module on
+ * Node 18
+ */
+function webCrypto() {
+    return globalThis.crypto?.subtle ? globalThis.crypto : require('node:crypto').webcrypto;
+}
+
+/**
+ * Weak ETag from the response body
+ */
+async function etag(body) {
+    const digest = await webCrypto().subtle.digest('SHA-1', new TextEncoder().encode(body));
+    const hex = Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+    return `W/"${hex.slice(0, 16)}"`;
+}
+
+/**
+ * 200 response with caching headers, or 304 when the client's copy is current
+ */
+async function cachedResponse(request, body, contentType) {
+    const tag = await etag(body);
+    const headers = {
+        'Content-Type': contentType,
+        'Cache-Control': CACHE_CONTROL.page,
+        'ETag': tag,
+    };
+
+    if (request.headers.get('if-none-match') === tag) {
+        return new Response(null, { status: 304, headers });
+    }
+    return new Response(request.method === 'HEAD' ? null : body, { status: 200, headers });
+}
+
+/**
+ * Page for handles nobody has claimed
+ */
+function notFound(request, handle) {
+    const body = `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <meta name="robots" content="noindex">
+    <title>Profile not found</title>
+    <link rel="stylesheet" href="/style-clean.css">
+</head>
+<body>
+    <main class="offline-page" role="main">
+        <h1 class="offline-title">Profile not found</h1>
+        <p class="offline-text">There is no profile${handle ? ` called “${Utils.escapeHtml(handle)}”` : ''} here.</p>
+    </main>
+</body>
+</html>
+`;
+
+    return new Response(request.method === 'HEAD' ? null : body, {
+        status: 404,
+        headers: {
+            'Content-Type': 'text/html; charset=utf-8',
+            'Cache-Control': CACHE_CONTROL.notFound,
+        },
+    });
+}
+
+/**
+ * Plain-text error that is never cached
+ */
+function errorResponse(status, message, headers = {}) {
+    return new Response(message, {
+        status,
+        headers: {
+            'Content-Type': 'text/plain; charset=utf-8',
+            'Cache-Control': CACHE_CONTROL.error,
+            ...headers,
+        },
+    });
+}
+
+// =============================================================================
+// Handler
+// =============================================================================
+
+/**
+ * Create a `(request, ctx) => Response` handler.
+ *
+ * - `store`: KV namespace (or MemoryKV) holding profiles and host mappings
+ * - `loadPage(page, request)`: HTML of a layout's page, e.g. `index.html`
+ * - `fallback(request)`: serves everything that is not a tenant page
+ *   (static assets, the root domain); 404 when omitted
+ * - `rootDomain`: subdomains of it are handles
+ * - `cache`: a Cache API cache (`caches.default` on Workers) for rendered pages
+ * - `clicks.record(click)`: stores a counted click
+ *   (`{ handle, linkId, timestamp, referrer, country, client }`); clicks are
+ *   only redirected when omitted
+ */
+function createHandler({ store, loadPage, fallback = null, rootDomain = null, cache = null, clicks = null }) {
+    const pages = new Map();
+
+    // Layout pages rarely change; keep them for the life of the isolate
+    const page = (name, request) => {
+        if (!pages.has(name)) {
+            pages.set(name, Promise.resolve(loadPage(name, request)).catch(error => {
+                pages.delete(name);
+                throw error;
+            }));
+        }
+        return pages.get(name);
+    };
+
+    const passThrough = (request) => (fallback ? fallback(request) : notFound(request, null));
+
+    /**
+     * The tenant's validated profile, or the response to send instead
+     */
+    const loadProfile = async (request, tenant) => {
+        if (!HANDLE_PATTERN.test(tenant.handle)) {
+            return { response: notFound(request, tenant.handle) };
+        }
+
+        let profile;
+        try {
+            profile = await store.get(KEYS.profile(tenant.handle), 'json');
+        } catch (error) {
+            console.error(`Profile "${tenant.handle}" is not valid JSON:`, error);
+            return { response: errorResponse(500, 'Profile configuration is invalid') };
+        }
+        if (!profile) {
+            return { response: notFound(request, tenant.handle) };
+        }
+
+        const errors = ProfileSchema.validate(profile);
+        if (errors.length > 0) {
+            console.error(`Profile "${tenant.handle}" is invalid:`, errors);
+            return { response: errorResponse(500, 'Profile configuration is invalid') };
+        }
+
+        return { profile };
+    };
+
+    /**
+     * Render the tenant's page or profile.json
+     */
+    const render = async (request, tenant) => {
+        const { profile, response } = await loadProfile(request, tenant);
+        if (response) return response;
+
+        if (tenant.path === '/profile.json') {
+            return cachedResponse(request, JSON.stringify(profile), 'application/json; charset=utf-8');
+        }
+
+        // Canonical and og:url default to the address the page is served at
+        const url = new URL(request.url);
+        const site = { url: `${url.origin}${tenant.byPath ? `/u/${tenant.handle}` : '/'}`, ...profile.site };
+        const template = TEMPLATES[profile.template] || TEMPLATES[APP_CONFIG.template.default];
+
+        let html = renderPage(await page(template.page, request), { ...profile, site }, {}, template);
+        if (tenant.byPath) {
+            // Relative URLs (profile.json, go/<id>, sw.js, assets/…) stay
+            // under /u/<handle>/, also when the page is /u/<handle>
+            html = html.replace(/<head>/i, `<head>\n    <base href="/u/${tenant.handle}/">`);
+        }
+
+        return cachedResponse(request, html, 'text/html; charset=utf-8');
+    };
+
+    /**
+     * Count a click on a redirected link card and send the visitor on.
+     * Never cached, so every click reaches the handler.
+     */
+    const redirectClick = async (request, tenant, linkId, ctx) => {
+        const { profile, response } = await loadProfile(request, tenant);
+        if (response) return response;
+
+        const group = profile.groups.find(candidate => candidate.links.some(link => link.id === linkId));
+        const link = group?.links.find(candidate => candidate.id === linkId);
+        if (!link || !ProfileRenderer.redirects(link, profile.redirect)
+            || !LinkRules.matchesSchedule(link.schedule, Date.now())) {
+            return notFound(request, null);
+        }
+
+        if (clicks) {
+            const recorded = Promise.resolve()
+                .then(() => clicks.record({
+                    handle: tenant.handle,
+                    linkId: link.id,
+                    timestamp: new Date().toISOString(),
+                    referrer: referrerOrigin(request),
+                    country: request.headers.get('cf-ipcountry') || null,
+                    client: clientClass(request.headers.get('user-agent')),
+                }))
+                .catch(error => console.error(`Recording a click for "${tenant.handle}" failed:`, error));
+            if (ctx.waitUntil) ctx.waitUntil(recorded); else await recorded;
+        }
+
+        return new Response(null, {
+            status: 302,
+            headers: {
+                'Location': ProfileRenderer.linkUrl(link, profile.utm, group.id),
+                'Cache-Control': CACHE_CONTROL.error,
+            },
+        });
+    };
+
+    return async function handle(request, ctx = {}) {
+        const tenant = await resolveTenant(request, store, rootDomain);
+        if (!tenant) {
+            return passThrough(request);
+        }
+
+        const click = tenant.path.match(CLICK_PATH);
+        if (!click && !TENANT_PATHS.includes(tenant.path)) {
+            if (!tenant.byPath) return passThrough(request);
+
+            // Assets of a page served under /u/<handle>/ are the site's own
+            const url = new URL(request.url);
+            url.pathname = tenant.path;
+            return passThrough(new Request(url, request));
+        }
+
+        if (request.method !== 'GET' && request.method !== 'HEAD') {
+            return errorResponse(405, 'Method not allowed', { 'Allow': 'GET, HEAD' });
+        }
+
+        if (click) {
+            try {
+                return await redirectClick(request, tenant, click[1], ctx);
+            } catch (error) {
+                console.error(`Redirecting a click for "${tenant.handle}" failed:`, error);
+                return errorResponse(500, 'Link could not be opened');
+            }
+        }
+
+        if (cache && request.method === 'GET') {
+            const cached = await cache.match(request);
+            if (cached) return cached;
+        }
+
+        let response;
+        try {
+            response = await render(request, tenant);
+        } catch (error) {
+            console.error(`Rendering "${tenant.handle}" failed:`, error);
+            return errorResponse(500, 'Profile could not be rendered');
+        }
+
+        if (cache && request.method === 'GET' && (response.status === 200 || response.status === 404)) {
+            const stored = cache.put(request, response.clone());
+            if (ctx.waitUntil) ctx.waitUntil(stored); else await stored;
+        }
+
+        return response;
+    };
+}
+
+module.exports = { createHandler, resolveTenant, clientClass, KEYS, CACHE_CONTROL };
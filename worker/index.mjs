@@ -0,0 +1,43 @@
+/**
+ * Cloudflare Workers entry point for the edge handler
+ *
+ * Bindings:
+ *   PROFILES      KV namespace with `profile:<handle>` and `host:<hostname>` keys
+ *   ASSETS        the static site (layout pages, CSS, JS, assets/)
+ *   ROOT_DOMAIN   optional; subdomains of it are handles (e.g. "linkpro.dev")
+ *   CLICKS        optional Analytics Engine dataset for `go/<linkId>` clicks:
+ *                 index = handle, blobs = linkId, referrer, country, client
+ */
+
+import handler from './handler.js';
+
+const { createHandler } = handler;
+
+let handle = null;
+
+export default {
+    async fetch(request, env, ctx) {
+        handle ||= createHandler({
+            store: env.PROFILES,
+            rootDomain: env.ROOT_DOMAIN || null,
+            loadPage: async (page, pageRequest) => {
+                const response = await env.ASSETS.fetch(new URL(`/${page}`, pageRequest.url));
+                if (!response.ok) {
+                    throw new Error(`Layout page ${page} is not available (${response.status})`);
+                }
+                return response.text();
+            },
+            fallback: (assetRequest) => env.ASSETS.fetch(assetRequest),
+            cache: caches.default,
+            clicks: env.CLICKS ? {
+                record: (click) => env.CLICKS.writeDataPoint({
+                    indexes: [click.handle],
+                    blobs: [click.linkId, click.referrer || '', click.country || '', click.client],
+                    doubles: [1],
+                }),
+            } : null,
+        });
+
+        return handle(request, ctx);
+    },
+};
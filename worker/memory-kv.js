@@ -0,0 +1,63 @@
+/**
+ * In-memory stand-in for a Workers KV namespace
+ *
+ * Implements the subset of the KV API the edge handler uses (get as text or
+ * JSON, put, delete, list), so the handler runs under Node for local
+ * development and tests.
+ */
+
+'use strict';
+
+class MemoryKV {
+    constructor(entries = {}) {
+        this.data = new Map(Object.entries(entries));
+    }
+
+    /**
+     * Read a value as text (default) or JSON; null when the key is missing
+     */
+    async get(key, options = 'text') {
+        const type = typeof options === 'string' ? options : options.type || 'text';
+        if (!this.data.has(key)) return null;
+
+        const value = this.data.get(key);
+        switch (type) {
+            case 'text':
+                return value;
+            case 'json':
+                return JSON.parse(value);
+            default:
+                throw new Error(`MemoryKV does not support type "${type}"`);
+        }
+    }
+
+    /**
+     * Store a string value, as KV does
+     */
+    async put(key, value) {
+        if (typeof value !== 'string') {
+            throw new TypeError('MemoryKV values must be strings; JSON.stringify objects first');
+        }
+        this.data.set(key, value);
+    }
+
+    /**
+     * Remove a key
+     */
+    async delete(key) {
+        this.data.delete(key);
+    }
+
+    /**
+     * Keys with a prefix, in one complete page
+     */
+    async list({ prefix = '' } = {}) {
+        const keys = Array.from(this.data.keys())
+            .filter(name => name.startsWith(prefix))
+            .sort()
+            .map(name => ({ name }));
+        return { keys, list_complete: true };
+    }
+}
+
+module.exports = { MemoryKV };